@@ -2,19 +2,47 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+contract StakingRewardNFT is ERC721, AccessControl {
+    using Strings for uint256;
+
+    // Only the staking contract can mint. The admin grants it MINTER_ROLE and then
+    // renounces, so nobody can add minters later and mint NFTs for the APR boost
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
 
-contract StakingRewardNFT is ERC721, Ownable {
     uint256 private _nextTokenId = 1;
 
+    // What the unstake that minted a token looked like
+    struct RewardInfo {
+        uint256 amount;
+        uint256 stakingDuration;
+        uint256 mintedAt;
+    }
+    mapping(uint256 => RewardInfo) public rewardInfo;
+
+    // Amounts are shown in whole tokens of the staking token, which has 18
+    // decimals like MyToken
+    uint256 public constant AMOUNT_DECIMALS = 18;
+
     constructor(
         string memory name,
         string memory symbol,
-        address initialOwner
-    ) ERC721(name, symbol) Ownable(initialOwner) {}
+        address admin
+    ) ERC721(name, symbol) {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+    }
 
-    function mintReward(address to) external onlyOwner returns (uint256) {
+    function mintReward(
+        address to,
+        uint256 amount,
+        uint256 stakingDuration
+    ) external onlyRole(MINTER_ROLE) returns (uint256) {
+        require(amount > 0, "Nothing was unstaked");
         uint256 tokenId = _nextTokenId;
+        rewardInfo[tokenId] = RewardInfo(amount, stakingDuration, block.timestamp);
         _safeMint(to, tokenId);
         unchecked {
             _nextTokenId++;
@@ -22,7 +50,93 @@ contract StakingRewardNFT is ERC721, Ownable {
         return tokenId;
     }
 
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
     function totalMinted() external view returns (uint256) {
         return _nextTokenId - 1;
     }
-}
\ No newline at end of file
+
+    // Bronze under 30 days staked, Silver under 180 days, Gold after that
+    function rankOf(uint256 tokenId) public view returns (string memory) {
+        _requireOwned(tokenId);
+        uint256 duration = rewardInfo[tokenId].stakingDuration;
+        if (duration >= 180 days) {
+            return "Gold";
+        }
+        return duration >= 30 days ? "Silver" : "Bronze";
+    }
+
+    // Fully on-chain: base64 JSON metadata with the SVG artwork embedded
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        RewardInfo storage info = rewardInfo[tokenId];
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"', name(), " #", tokenId.toString(),
+            '","description":"Minted for unstaking from TokenStaking.","image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(_svg(tokenId, info))),
+            '","attributes":', _attributes(tokenId, info), "}"
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    function _attributes(uint256 tokenId, RewardInfo storage info) internal view returns (string memory) {
+        return string(
+            abi.encodePacked(
+                '[{"trait_type":"Amount Unstaked","value":', _formatAmount(info.amount),
+                '},{"trait_type":"Staking Duration (days)","display_type":"number","value":',
+                (info.stakingDuration / 1 days).toString(),
+                '},{"trait_type":"Rank","value":"', rankOf(tokenId),
+                '"},{"trait_type":"Minted","display_type":"date","value":', info.mintedAt.toString(),
+                "}]"
+            )
+        );
+    }
+
+    function _svg(uint256 tokenId, RewardInfo storage info) internal view returns (string memory) {
+        return string(
+            abi.encodePacked(
+                '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">',
+                '<rect width="350" height="350" fill="', _rankColor(info.stakingDuration), '"/>',
+                '<text x="24" y="48" font-family="monospace" font-size="22" fill="#111">Staking Reward #',
+                tokenId.toString(),
+                '</text><text x="24" y="150" font-family="monospace" font-size="28" fill="#111">',
+                _formatAmount(info.amount),
+                ' unstaked</text><text x="24" y="200" font-family="monospace" font-size="20" fill="#111">Staked for ',
+                (info.stakingDuration / 1 days).toString(),
+                ' days</text><text x="24" y="320" font-family="monospace" font-size="18" fill="#111">',
+                rankOf(tokenId),
+                "</text></svg>"
+            )
+        );
+    }
+
+    function _rankColor(uint256 stakingDuration) internal pure returns (string memory) {
+        if (stakingDuration >= 180 days) {
+            return "#f5c542";
+        }
+        return stakingDuration >= 30 days ? "#c0c0c0" : "#cd7f32";
+    }
+
+    // Whole tokens with the fraction trimmed of trailing zeros, e.g. "1234.5"
+    function _formatAmount(uint256 amount) internal pure returns (string memory) {
+        uint256 unit = 10 ** AMOUNT_DECIMALS;
+        uint256 fraction = amount % unit;
+        if (fraction == 0) {
+            return (amount / unit).toString();
+        }
+
+        uint256 digits = AMOUNT_DECIMALS;
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            digits--;
+        }
+        bytes memory padded = bytes(fraction.toString());
+        while (padded.length < digits) {
+            padded = abi.encodePacked("0", padded);
+        }
+        return string(abi.encodePacked((amount / unit).toString(), ".", padded));
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./staking.sol";
+
+// TokenStaking behind a UUPS proxy, so fixes ship without migrating stakers.
+// Only DEFAULT_ADMIN_ROLE can upgrade. Creating the reward NFT here would push
+// the implementation over the contract size limit, so it is deployed first and
+// its admin grants the proxy MINTER_ROLE (see scripts/deployStaking.js)
+contract TokenStakingUpgradeable is TokenStakingBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _stakingToken,
+        address _rewardToken,
+        uint256 _initialAPR,
+        uint256 _lockupPeriod,
+        address _rewardNFT
+    ) external initializer {
+        __TokenStaking_init(_stakingToken, _rewardToken, _initialAPR, _lockupPeriod, StakingRewardNFT(_rewardNFT));
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -2,20 +2,46 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-
-
-contract TokenVesting is Ownable, ReentrancyGuard {
-    IERC20 public immutable token;
-    uint64 public immutable cliffDuration;
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+
+// Everything TokenVesting does, shared with the proxied TokenVestingUpgradeable.
+// Storage must stay upgrade-safe: add new state variables at the end, taking
+// them out of __gap, and never reorder or remove existing ones
+abstract contract TokenVestingBase is Initializable, AccessControlUpgradeable, ReentrancyGuardUpgradeable {
+    // DEFAULT_ADMIN_ROLE grants and revokes these; the deployer starts with all of them
+    bytes32 public constant PARAM_MANAGER_ROLE = keccak256("PARAM_MANAGER_ROLE"); // beneficiaries and allocations
+    bytes32 public constant FUNDER_ROLE = keccak256("FUNDER_ROLE"); // fund
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // pause, unpause
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE"); // setTreasury, revokeWithClawback
+
+    // Set once in the initializer; storage rather than immutables so proxies can read them
+    IERC20 public token;
+    uint64 public cliffDuration;
+    // Time after the cliff over which allocations vest; 0 unlocks everything at the cliff
+    uint64 public vestingDuration;
+    // Vested amounts unlock in steps of this length (e.g. 30 days); 0 vests linearly
+    uint64 public releaseInterval;
     uint256 public startTime;
+    // Receives the unvested remainder of clawed back allocations
+    address public treasury;
 
     mapping(address => uint256) public allocations;
+    // Start of beneficiaries added after setup; 0 means the global startTime
+    mapping(address => uint256) public startTimes;
     mapping(address => uint256) public released;
     mapping(address => bool) public revoked;
+    mapping(address => bool) public clawedBack;
     address[] public beneficiaries;
     uint256 public totalAllocated;
+    // Unreleased allocations of all non-revoked beneficiaries, kept up to date on every
+    // change so release does not have to loop over the beneficiaries
+    uint256 public outstandingAllocation;
+    // Root of (beneficiary, allocation) leaves when configured with setMerkleRoot
+    bytes32 public merkleRoot;
     bool public paused;
     bool private beneficiariesSet;
 
@@ -26,19 +52,51 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     event Unpaused();
     event BeneficiaryRevoked(address indexed beneficiary);
     event BeneficiaryUnrevoked(address indexed beneficiary);
+    event BeneficiaryClawedBack(
+        address indexed beneficiary,
+        address indexed treasury,
+        uint256 vestedAmount,
+        uint256 settledAmount,
+        uint256 clawbackAmount
+    );
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event MerkleRootSet(bytes32 merkleRoot, uint256 totalAllocation);
+    event BeneficiaryAdded(address indexed beneficiary, uint256 allocation, uint256 startTime);
+    event AllocationIncreased(address indexed beneficiary, uint256 amount, uint256 newAllocation);
+
+    function __TokenVesting_init(
+        address _token,
+        uint64 _cliffDuration,
+        uint64 _vestingDuration,
+        uint64 _releaseInterval
+    ) internal onlyInitializing {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
 
-    constructor(address _token, uint64 _cliffDuration) Ownable(msg.sender) {
         require(_token != address(0), "Token address cannot be zero");
         require(_cliffDuration > 0, "Cliff duration must be greater than zero");
+        if (_releaseInterval > 0) {
+            require(_vestingDuration > 0, "Release interval requires a vesting duration");
+            require(_vestingDuration % _releaseInterval == 0, "Vesting duration must be a multiple of the release interval");
+        }
 
         token = IERC20(_token);
         cliffDuration = _cliffDuration;
+        vestingDuration = _vestingDuration;
+        releaseInterval = _releaseInterval;
+        treasury = msg.sender;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PARAM_MANAGER_ROLE, msg.sender);
+        _grantRole(FUNDER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
     }
 
     // Allow contract to receive ETH (e.g., for test scenarios)
     receive() external payable {}
 
-    function setBeneficiaries(address[] calldata _beneficiaries, uint256[] calldata _allocations) external onlyOwner {
+    function setBeneficiaries(address[] calldata _beneficiaries, uint256[] calldata _allocations) external onlyRole(PARAM_MANAGER_ROLE) {
         require(!beneficiariesSet, "Beneficiaries already configured");
         require(_beneficiaries.length > 0, "Empty beneficiaries array");
         require(_beneficiaries.length == _allocations.length, "Array length mismatch");
@@ -63,11 +121,105 @@ contract TokenVesting is Ownable, ReentrancyGuard {
         require(newTotalAllocated > 0, "Zero total allocation");
 
         totalAllocated = newTotalAllocated;
+        outstandingAllocation = newTotalAllocated;
+        startTime = block.timestamp;
+        beneficiariesSet = true;
+    }
+
+    // Alternative to setBeneficiaries for distributions too large for one transaction:
+    // commits a Merkle root of (beneficiary, allocation) leaves and their total. Each
+    // beneficiary is registered with a proof, at the latest on their first release.
+    function setMerkleRoot(bytes32 _merkleRoot, uint256 _totalAllocation) external onlyRole(PARAM_MANAGER_ROLE) {
+        require(!beneficiariesSet, "Beneficiaries already configured");
+        require(_merkleRoot != bytes32(0), "Empty Merkle root");
+        require(_totalAllocation > 0, "Zero total allocation");
+
+        merkleRoot = _merkleRoot;
+        totalAllocated = _totalAllocation;
+        outstandingAllocation = _totalAllocation;
         startTime = block.timestamp;
         beneficiariesSet = true;
+
+        emit MerkleRootSet(_merkleRoot, _totalAllocation);
+    }
+
+    // Anyone can register a beneficiary of the Merkle root; the allocation already
+    // counts towards totalAllocated, so the totals do not change
+    function registerWithProof(address beneficiary, uint256 allocation, bytes32[] calldata proof) public {
+        require(merkleRoot != bytes32(0), "No Merkle root set");
+        require(allocation > 0, "Zero allocation");
+        require(allocations[beneficiary] == 0 && !clawedBack[beneficiary], "Already registered");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(beneficiary, allocation))));
+        require(MerkleProof.verifyCalldata(proof, merkleRoot, leaf), "Invalid Merkle proof");
+
+        allocations[beneficiary] = allocation;
+        beneficiaries.push(beneficiary);
+
+        emit VestingScheduleCreated(beneficiary, allocation);
+    }
+
+    function releaseWithProof(address beneficiary, uint256 allocation, bytes32[] calldata proof) external {
+        if (allocations[beneficiary] == 0 && !clawedBack[beneficiary]) {
+            registerWithProof(beneficiary, allocation, proof);
+        }
+        release(beneficiary);
+    }
+
+    // Adds beneficiaries after setup with their own start time (0 starts now). The
+    // contract must already hold enough tokens to cover every outstanding allocation.
+    // Not available with a Merkle root: an added address could also have a leaf that
+    // then never registers while its allocation stays counted in the totals.
+    function addBeneficiaries(
+        address[] calldata _beneficiaries,
+        uint256[] calldata _allocations,
+        uint256 _startTime
+    ) external onlyRole(PARAM_MANAGER_ROLE) {
+        require(beneficiariesSet, "Beneficiaries not configured");
+        require(merkleRoot == bytes32(0), "Beneficiaries come from the Merkle root");
+        require(_beneficiaries.length > 0, "Empty beneficiaries array");
+        require(_beneficiaries.length == _allocations.length, "Array length mismatch");
+
+        uint256 start = _startTime == 0 ? block.timestamp : _startTime;
+        uint256 addedAllocation;
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            address beneficiary = _beneficiaries[i];
+            uint256 allocation = _allocations[i];
+
+            require(beneficiary != address(0), "Zero address beneficiary");
+            require(allocation > 0, "Zero allocation");
+            require(allocations[beneficiary] == 0 && !clawedBack[beneficiary], "Duplicate beneficiary");
+
+            allocations[beneficiary] = allocation;
+            startTimes[beneficiary] = start;
+            beneficiaries.push(beneficiary);
+            addedAllocation += allocation;
+
+            emit BeneficiaryAdded(beneficiary, allocation, start);
+        }
+
+        totalAllocated += addedAllocation;
+        outstandingAllocation += addedAllocation;
+        require(token.balanceOf(address(this)) >= outstandingAllocation, "Insufficient contract balance for total allocations");
+    }
+
+    // Tops up an allocation; the extra amount vests on the beneficiary's existing schedule
+    function increaseAllocation(address beneficiary, uint256 amount) external onlyRole(PARAM_MANAGER_ROLE) {
+        require(allocations[beneficiary] > 0, "Not a beneficiary");
+        require(!clawedBack[beneficiary], "Allocation was clawed back");
+        require(amount > 0, "Amount must be greater than zero");
+
+        allocations[beneficiary] += amount;
+        totalAllocated += amount;
+        if (!revoked[beneficiary]) {
+            outstandingAllocation += amount;
+        }
+        require(token.balanceOf(address(this)) >= outstandingAllocation, "Insufficient contract balance for total allocations");
+
+        emit AllocationIncreased(beneficiary, amount, allocations[beneficiary]);
     }
 
-    function fund(uint256 amount) external onlyOwner {
+    function fund(uint256 amount) external onlyRole(FUNDER_ROLE) {
         require(amount > 0, "Amount must be greater than zero");
         bool success = token.transferFrom(msg.sender, address(this), amount);
         require(success, "Token transfer failed");
@@ -75,63 +227,96 @@ contract TokenVesting is Ownable, ReentrancyGuard {
         emit ContractFunded(amount);
     }
 
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         require(!paused, "Contract already paused");
         paused = true;
 
         emit Paused();
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         require(paused, "Contract is not paused");
         paused = false;
 
         emit Unpaused();
     }
 
-    function revokeBeneficiary(address beneficiary) external onlyOwner {
+    function revokeBeneficiary(address beneficiary) external onlyRole(PARAM_MANAGER_ROLE) {
         require(allocations[beneficiary] > 0, "Not a beneficiary");
         require(!revoked[beneficiary], "Already revoked");
 
         revoked[beneficiary] = true;
+        outstandingAllocation -= allocations[beneficiary] - released[beneficiary];
 
         emit BeneficiaryRevoked(beneficiary);
     }
 
-    function unrevokeBeneficiary(address beneficiary) external onlyOwner {
+    function setTreasury(address _treasury) external onlyRole(TREASURY_ROLE) {
+        require(_treasury != address(0), "Treasury cannot be zero address");
+
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    // Permanently revokes a beneficiary: the vested but unreleased amount is paid out,
+    // the unvested remainder goes to the treasury and leaves totalAllocated
+    function revokeWithClawback(address beneficiary) external onlyRole(TREASURY_ROLE) nonReentrant {
+        require(beneficiariesSet, "Beneficiaries not configured");
+        require(!clawedBack[beneficiary], "Already clawed back");
+        uint256 allocation = allocations[beneficiary];
+        require(allocation > 0, "Not a beneficiary");
+
+        uint256 vested = vestedAmount(beneficiary);
+        uint256 settled = vested - released[beneficiary];
+        uint256 clawback = allocation - vested;
+        require(token.balanceOf(address(this)) >= settled + clawback, "Insufficient contract balance");
+
+        if (!revoked[beneficiary]) {
+            outstandingAllocation -= settled + clawback;
+        }
+        allocations[beneficiary] = vested;
+        released[beneficiary] = vested;
+        totalAllocated -= clawback;
+        revoked[beneficiary] = true;
+        clawedBack[beneficiary] = true;
+
+        if (settled > 0) {
+            token.transfer(beneficiary, settled);
+        }
+        if (clawback > 0) {
+            token.transfer(treasury, clawback);
+        }
+
+        emit BeneficiaryClawedBack(beneficiary, treasury, vested, settled, clawback);
+    }
+
+    function unrevokeBeneficiary(address beneficiary) external onlyRole(PARAM_MANAGER_ROLE) {
         require(revoked[beneficiary], "Not revoked");
+        require(!clawedBack[beneficiary], "Allocation was clawed back");
 
         revoked[beneficiary] = false;
+        outstandingAllocation += allocations[beneficiary] - released[beneficiary];
 
         emit BeneficiaryUnrevoked(beneficiary);
     }
 
-    function release(address beneficiary) external {
+    function release(address beneficiary) public {
     require(beneficiariesSet, "Beneficiaries not configured");
     require(!paused, "Contract is paused");
     require(!revoked[beneficiary], "Beneficiary is revoked");
-    require(block.timestamp >= startTime + cliffDuration, "Cliff period not reached");
+    require(block.timestamp >= cliffEndOf(beneficiary), "Cliff period not reached");
 
     uint256 allocation = allocations[beneficiary];
     require(allocation > 0, "Beneficiary has no allocation");
 
-    uint256 unreleased = allocation - released[beneficiary];
+    uint256 unreleased = vestedAmount(beneficiary) - released[beneficiary];
     require(unreleased > 0, "No tokens to release");
 
-    // Calculate remaining obligation (sum of unreleased allocations for all non-revoked beneficiaries)
-    uint256 remainingObligation = 0;
-    for (uint256 i = 0; i < beneficiaries.length; i++) {
-        address addr = beneficiaries[i];
-        if (!revoked[addr]) {
-            uint256 unreleasedForAddr = allocations[addr] - released[addr];
-            remainingObligation += unreleasedForAddr;
-        }
-    }
-
-    require(token.balanceOf(address(this)) >= remainingObligation, "Insufficient contract balance for total allocations");
+    require(token.balanceOf(address(this)) >= outstandingAllocation, "Insufficient contract balance for total allocations");
     require(token.balanceOf(address(this)) >= unreleased, "Insufficient contract balance");
 
     released[beneficiary] += unreleased;
+    outstandingAllocation -= unreleased;
     token.transfer(beneficiary, unreleased);
 
     emit TokensReleased(beneficiary, unreleased);
@@ -141,18 +326,48 @@ contract TokenVesting is Ownable, ReentrancyGuard {
         if (!beneficiariesSet || paused || revoked[beneficiary]) {
             return 0;
         }
-        if (!isCliffPassed()) {
+        uint256 vested = vestedAmount(beneficiary);
+        uint256 alreadyReleased = released[beneficiary];
+        if (alreadyReleased >= vested) {
             return 0;
         }
-        uint256 allocation = allocations[beneficiary];
-        if (allocation == 0) {
-            return 0;
+        return vested - alreadyReleased;
+    }
+
+    // Portion of the allocation unlocked by the schedule so far, released or not
+    function vestedAmount(address beneficiary) public view returns (uint256) {
+        if (clawedBack[beneficiary]) {
+            // The allocation was cut down to what had vested at the clawback
+            return allocations[beneficiary];
         }
-        uint256 alreadyReleased = released[beneficiary];
-        if (alreadyReleased >= allocation) {
+        uint256 cliffEnd = cliffEndOf(beneficiary);
+        if (!beneficiariesSet || block.timestamp < cliffEnd) {
             return 0;
         }
-        return allocation - alreadyReleased;
+        uint256 allocation = allocations[beneficiary];
+        uint256 elapsed = block.timestamp - cliffEnd;
+        if (vestingDuration == 0 || elapsed >= vestingDuration) {
+            return allocation;
+        }
+        if (releaseInterval > 0) {
+            elapsed -= elapsed % releaseInterval;
+        }
+        return (allocation * elapsed) / vestingDuration;
+    }
+
+    // Vesting start of a beneficiary: its own start time if it was added after setup
+    function vestingStartOf(address beneficiary) public view returns (uint256) {
+        uint256 start = startTimes[beneficiary];
+        return start == 0 ? startTime : start;
+    }
+
+    function cliffEndOf(address beneficiary) public view returns (uint256) {
+        return vestingStartOf(beneficiary) + cliffDuration;
+    }
+
+    // End of vesting for the beneficiaries configured in setBeneficiaries
+    function vestingEndTime() public view returns (uint256) {
+        return startTime + cliffDuration + vestingDuration;
     }
 
     function getVestingInfo(address beneficiary)
@@ -163,14 +378,20 @@ contract TokenVesting is Ownable, ReentrancyGuard {
             uint256 releasedAmount,
             uint256 releasable,
             uint256 cliffEndTime,
-            bool isRevoked
+            bool isRevoked,
+            uint256 vested,
+            uint256 unvested,
+            uint256 vestingEnd
         )
     {
         allocation = allocations[beneficiary];
         releasedAmount = released[beneficiary];
         releasable = releasableAmount(beneficiary);
-        cliffEndTime = startTime + cliffDuration;
+        cliffEndTime = cliffEndOf(beneficiary);
         isRevoked = revoked[beneficiary];
+        vested = vestedAmount(beneficiary);
+        unvested = allocation - vested;
+        vestingEnd = cliffEndTime + vestingDuration;
     }
 
     function isCliffPassed() public view returns (bool) {
@@ -199,4 +420,17 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     function getBeneficiaries() external view returns (address[] memory) {
         return beneficiaries;
     }
+
+    uint256[50] private __gap;
+}
+
+contract TokenVesting is TokenVestingBase {
+    constructor(
+        address _token,
+        uint64 _cliffDuration,
+        uint64 _vestingDuration,
+        uint64 _releaseInterval
+    ) initializer {
+        __TokenVesting_init(_token, _cliffDuration, _vestingDuration, _releaseInterval);
+    }
 }
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./TokenVesting.sol";
+
+// TokenVesting behind a UUPS proxy. Only DEFAULT_ADMIN_ROLE can upgrade
+contract TokenVestingUpgradeable is TokenVestingBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _token,
+        uint64 _cliffDuration,
+        uint64 _vestingDuration,
+        uint64 _releaseInterval
+    ) external initializer {
+        __TokenVesting_init(_token, _cliffDuration, _vestingDuration, _releaseInterval);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
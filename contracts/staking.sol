@@ -2,11 +2,21 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
 import "./StakingRewardNFT.sol";
 
-contract TokenStaking is ReentrancyGuard, Ownable{
+// Everything TokenStaking does, shared with the proxied TokenStakingUpgradeable.
+// Storage must stay upgrade-safe: add new state variables at the end, taking
+// them out of __gap, and never reorder or remove existing ones
+abstract contract TokenStakingBase is Initializable, ReentrancyGuardUpgradeable, AccessControlUpgradeable {
+    // DEFAULT_ADMIN_ROLE grants and revokes these; the deployer starts with all of them
+    bytes32 public constant REWARD_FUNDER_ROLE = keccak256("REWARD_FUNDER_ROLE"); // addRewards, fundRewardPeriod
+    bytes32 public constant PARAM_MANAGER_ROLE = keccak256("PARAM_MANAGER_ROLE"); // APR, lockups, tiers, reward mode, NFT boost
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // emergency mode
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE"); // emergencyWithdraw
+
     IERC20 public stakingToken;
     IERC20 public rewardToken;
     StakingRewardNFT public rewardNFT;
@@ -16,14 +26,87 @@ contract TokenStaking is ReentrancyGuard, Ownable{
     uint256 public constant SECONDS_PER_YEAR = 365 days;
     uint256 public constant BASIS_POINTS = 10000;
 
+    // APR pays each staker rewardRate on their stake whatever is in the pool;
+    // FixedBudget shares funded reward periods pro-rata between stakers
+    enum RewardMode { APR, FixedBudget }
+    RewardMode public rewardMode;
+
+    // FixedBudget accounting: reward tokens emitted per second until periodFinish,
+    // and the rewards accumulated per staked token (scaled by 1e18)
+    uint256 public emissionRate;
+    uint256 public periodFinish;
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerTokenStored;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+
+    // Optional longer locks for a boosted APR. Tier ids start at 1, tier 0 is the
+    // global lockupPeriod at the base rewardRate. Tiers are never edited, only
+    // disabled, so positions opened in a tier keep its terms.
+    struct LockupTier {
+        uint256 lockupPeriod;
+        uint256 multiplier; // APR multiplier in basis points (15000 = 1.5x)
+        bool active;
+    }
+    LockupTier[] public lockupTiers;
+    uint256 public constant MAX_TIER_MULTIPLIER = 30000;
+
+    // Locking one reward NFT into the contract adds up to nftBoostBps to the staker's APR,
+    // pro-rated by how long the unstake that minted it had been staked (see nftBoostFor)
+    // and only on up to the amount that unstake paid out (see stakerRewardRate)
+    // Only locked NFTs count: a wallet transfer is invisible to the staking
+    // contract, so a boost for merely holding one could be reused by passing the
+    // NFT around between checkpoints. Like APR changes, boost changes are timelocked
+    // (Parameter.NftBoost) and reach a staker at their next checkpoint
+    uint256 public nftBoostBps;
+    uint256 public constant MAX_NFT_BOOST_BPS = 1000;
+    uint256 public constant NFT_BOOST_FULL_DURATION = 180 days; // the NFT's Gold rank
+    mapping(address => uint256) public lockedNft; // 0 when none, ids start at 1
+
+    // While enabled, nothing new can be staked and every staker can take their
+    // principal out at once with emergencyExit, giving up their rewards
+    bool public emergencyMode;
+
+    // APR, lockup and NFT boost changes are queued and only apply PARAMETER_CHANGE_DELAY
+    // later, so stakers see them coming. One change per parameter can be pending
+    // and PARAM_MANAGER_ROLE can cancel it until it is executed
+    enum Parameter { APR, LockupPeriod, NftBoost }
+    struct PendingChange {
+        uint256 value;
+        uint256 effectiveTime; // 0 when nothing is queued
+    }
+    uint256 public constant PARAMETER_CHANGE_DELAY = 2 days;
+    uint256 public constant MAX_LOCKUP_PERIOD = 365 days;
+
     struct StakeInfo {
         uint256 amount;
         uint256 stakeTime;
         uint256 lastRewardTime;
         uint256 pendingRewards;
         uint256 lastRewardRate;
+        uint256 tierId;
     }
     mapping(address => StakeInfo) public stakes;
+
+    // Every deposit is its own position with its own lockup, so a top-up cannot
+    // ride on the lockup of an older stake. Rewards still accrue on the total in
+    // StakeInfo. Position ids are indexes into the user's array and stay stable;
+    // positions before firstOpenPosition are fully unstaked. The lockup is fixed
+    // when the position opens (see positionUnlockTime), so a later lockup change
+    // only affects new ones
+    struct Position {
+        uint256 amount;
+        uint256 stakeTime;
+    }
+    struct PositionInfo {
+        uint256 id;
+        uint256 amount;
+        uint256 stakeTime;
+        uint256 lockupRemaining;
+        uint256 lockupPeriod;
+    }
+    mapping(address => Position[]) public positions;
+    mapping(address => uint256) public firstOpenPosition;
+
     uint256 public totalStaked;
     uint256 public rewardPool;
 
@@ -31,27 +114,62 @@ contract TokenStaking is ReentrancyGuard, Ownable{
     event Unstaked(address indexed user, uint256 amount);
     event NFTRewardMinted(address indexed user, uint256 tokenId);
     event RewardClaimed(address indexed user, uint256 amount);
+    event RewardCompounded(address indexed user, uint256 amount);
     // event RewardRateUpdated(uint256 newRate);
     event APRUpdated(uint256 newAPR);
+    event LockupPeriodUpdated(uint256 newLockupPeriod);
+    event ParameterChangeQueued(Parameter indexed parameter, uint256 value, uint256 effectiveTime);
+    event ParameterChangeCancelled(Parameter indexed parameter, uint256 value);
+    event RewardModeChanged(RewardMode mode);
+    event RewardPeriodFunded(uint256 amount, uint256 duration, uint256 emissionRate, uint256 periodFinish);
+    event LockupTierAdded(uint256 indexed tierId, uint256 lockupPeriod, uint256 multiplier);
+    event LockupTierStatusChanged(uint256 indexed tierId, bool active);
+    event NftBoostUpdated(uint256 boostBps);
+    event NftLocked(address indexed user, uint256 indexed tokenId);
+    event NftUnlocked(address indexed user, uint256 indexed tokenId);
+    event EmergencyModeEnabled();
+    event EmergencyModeDisabled();
+    event EmergencyExit(address indexed user, uint256 amount, uint256 forfeitedRewards);
+    event EmergencyWithdrawal(address indexed token, uint256 amount, uint256 fromRewardPool);
 
-    constructor(
+    // _rewardNFT must let this contract mint
+    function __TokenStaking_init(
         address _stakingToken,
         address _rewardToken,
         uint256 _initialAPR,
-        uint256 _lockupPeriod
-    ) Ownable(msg.sender) {
+        uint256 _lockupPeriod,
+        StakingRewardNFT _rewardNFT
+    ) internal onlyInitializing {
+        __ReentrancyGuard_init();
+        __AccessControl_init();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(REWARD_FUNDER_ROLE, msg.sender);
+        _grantRole(PARAM_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+
         stakingToken = IERC20(_stakingToken);
         rewardToken = IERC20(_rewardToken);
         rewardRate = _initialAPR;
         lockupPeriod = _lockupPeriod;
-
-        rewardNFT = new StakingRewardNFT(
-            "Staking Reward NFT",
-            "SRNFT",
-            address(this)
-        );
+        rewardNFT = _rewardNFT;
     }
+
     function stake(uint256 _amount) external nonReentrant {
+        _stake(_amount, 0);
+    }
+
+    // Stakes into lockup tier _tierId (0 for the default lockup). All of a staker's
+    // positions share one tier, so further deposits must use the same one
+    function stakeWithTier(uint256 _amount, uint256 _tierId) external nonReentrant {
+        require(_tierId <= lockupTiers.length, "Invalid lockup tier");
+        require(_tierId == 0 || lockupTiers[_tierId - 1].active, "Lockup tier is disabled");
+        _stake(_amount, _tierId);
+    }
+
+    function _stake(uint256 _amount, uint256 _tierId) internal {
+        require(!emergencyMode, "Emergency mode is active");
         require(_amount > 0, "Amount must be greater than '0'!");
         require(stakingToken.balanceOf(msg.sender)>= _amount, "Insufficient balance!");
 
@@ -66,28 +184,92 @@ contract TokenStaking is ReentrancyGuard, Ownable{
             //New Stake
             userStake.stakeTime = block.timestamp;
             userStake.lastRewardTime = block.timestamp;
-            userStake.lastRewardRate = rewardRate;
+            userStake.tierId = _tierId;
+        }
+        else {
+            require(userStake.tierId == _tierId, "Stake is in a different lockup tier");
         }
         userStake.amount += _amount;
         totalStaked += _amount;
+        // The NFT boost depends on the amount staked
+        userStake.lastRewardRate = stakerRewardRate(msg.sender, _tierId);
+        _openPosition(msg.sender, _amount, _tierId);
 
         emit Staked(msg.sender,_amount);
     }
+    // Unstakes from the oldest positions first
     function unStake(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount must be greater than 0");
         StakeInfo storage userStake = stakes[msg.sender];
         require(userStake.amount >= _amount, "Insufficient staked amounts");
+        updateRewards(msg.sender);
+
+        Position[] storage userPositions = positions[msg.sender];
+        uint256 remaining = _amount;
+        uint256 weightedAge;
+        for (uint256 i = firstOpenPosition[msg.sender]; remaining > 0; i++) {
+            Position storage position = userPositions[i];
+            if (position.amount == 0) {
+                continue;
+            }
+            require(block.timestamp >= _unlockTime(msg.sender, i), "Funds are still in lockup period");
+            uint256 taken = position.amount < remaining ? position.amount : remaining;
+            position.amount -= taken;
+            remaining -= taken;
+            weightedAge += taken * (block.timestamp - position.stakeTime);
+        }
+
+        _withdraw(_amount, weightedAge / _amount);
+    }
+    function unStakePosition(uint256 _positionId, uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_positionId < positions[msg.sender].length, "Invalid position");
+        Position storage position = positions[msg.sender][_positionId];
+        require(position.amount >= _amount, "Insufficient staked amounts");
         require(
-            block.timestamp >= userStake.stakeTime + lockupPeriod,
+            block.timestamp >= _unlockTime(msg.sender, _positionId),
             "Funds are still in lockup period"
             );
         updateRewards(msg.sender);
 
+        position.amount -= _amount;
+        _withdraw(_amount, block.timestamp - position.stakeTime);
+    }
+    // Opens a position on the lockup its tier has now
+    function _openPosition(address _user, uint256 _amount, uint256 _tierId) internal {
+        positionUnlockTime[_user][positions[_user].length] = block.timestamp + tierLockupPeriod(_tierId);
+        positions[_user].push(Position(_amount, block.timestamp));
+    }
+    // Positions opened before an upgrade to this version have no unlock time
+    // recorded and keep following their tier's current lockup
+    function _unlockTime(address _user, uint256 _positionId) internal view returns (uint256) {
+        uint256 unlockTime = positionUnlockTime[_user][_positionId];
+        if (unlockTime != 0) {
+            return unlockTime;
+        }
+        return positions[_user][_positionId].stakeTime + tierLockupPeriod(stakes[_user].tierId);
+    }
+    // Pays out _amount already taken from the caller's positions and mints the
+    // reward NFT, which records how long (amount-weighted) it was staked
+    function _withdraw(uint256 _amount, uint256 _stakingDuration) internal {
+        StakeInfo storage userStake = stakes[msg.sender];
         userStake.amount -= _amount;
         totalStaked -= _amount;
+        userStake.lastRewardRate = stakerRewardRate(msg.sender, userStake.tierId);
+
+        Position[] storage userPositions = positions[msg.sender];
+        uint256 first = firstOpenPosition[msg.sender];
+        while (first < userPositions.length && userPositions[first].amount == 0) {
+            first++;
+        }
+        firstOpenPosition[msg.sender] = first;
+        if (first < userPositions.length) {
+            userStake.stakeTime = userPositions[first].stakeTime;
+        }
 
         stakingToken.transfer(msg.sender, _amount);
 
-        uint256 nftTokenId = rewardNFT.mintReward(msg.sender);
+        uint256 nftTokenId = rewardNFT.mintReward(msg.sender, _amount, _stakingDuration);
         emit NFTRewardMinted(msg.sender, nftTokenId);
 
         emit Unstaked(msg.sender, _amount);
@@ -107,33 +289,72 @@ contract TokenStaking is ReentrancyGuard, Ownable{
 
         emit RewardClaimed(msg.sender, rewards);
     }
+    // Restakes pending rewards without a transfer, which only works when rewards
+    // are paid in the staking token. Like any deposit it opens a new position
+    function compound() external nonReentrant {
+        require(!emergencyMode, "Emergency mode is active");
+        require(address(stakingToken) == address(rewardToken), "Staking and reward tokens differ");
+        updateRewards(msg.sender);
+
+        StakeInfo storage userStake = stakes[msg.sender];
+        uint256 rewards = userStake.pendingRewards;
+
+        require(userStake.amount > 0, "No active stake to compound into");
+        require(rewards > 0, "No rewards to claim");
+        require(rewardPool >= rewards, "Insufficient Reward Pool funds");
+
+        userStake.pendingRewards = 0;
+        rewardPool -= rewards;
+        userStake.amount += rewards;
+        totalStaked += rewards;
+        userStake.lastRewardRate = stakerRewardRate(msg.sender, userStake.tierId);
+        _openPosition(msg.sender, rewards, userStake.tierId);
+
+        emit RewardCompounded(msg.sender, rewards);
+    }
     function updateRewards(address _user) internal {
 
         StakeInfo storage userStake = stakes[_user];
+        if (rewardMode == RewardMode.FixedBudget) {
+            updateRewardPerToken();
+            userStake.pendingRewards += earnedFromAccumulator(_user);
+            userRewardPerTokenPaid[_user] = rewardPerTokenStored;
+            return;
+        }
         if(userStake.amount > 0){
             uint256 timeElapsed = block.timestamp - userStake.lastRewardTime;
             uint256 earnedRewards = (userStake.amount * userStake.lastRewardRate * timeElapsed) / (SECONDS_PER_YEAR * BASIS_POINTS);
             userStake.pendingRewards += earnedRewards;
             userStake.lastRewardTime = block.timestamp;
-            userStake.lastRewardRate = rewardRate;
+            userStake.lastRewardRate = stakerRewardRate(_user, userStake.tierId);
         }
     }
     function getStakeInfo(address _user) external view returns (
         uint256 amount,
         uint256 stakeTime,
         uint256 lockupRemaining,
-        uint256 pendingRewards
+        uint256 pendingRewards,
+        uint256 tierId
     ){
         StakeInfo storage userStake = stakes[_user];
         amount = userStake.amount;
         stakeTime = userStake.stakeTime;
+        tierId = userStake.tierId;
 
-        if (stakeTime > 0) {
-            uint256 lockupEnd = userStake.stakeTime + lockupPeriod;
-            lockupRemaining = lockupEnd > block.timestamp ? lockupEnd - block.timestamp : 0;
+        // Until the last open position, and so the whole stake, unlocks
+        Position[] storage userPositions = positions[_user];
+        for (uint256 i = firstOpenPosition[_user]; i < userPositions.length; i++) {
+            Position storage position = userPositions[i];
+            uint256 lockupEnd = _unlockTime(_user, i);
+            if (position.amount > 0 && lockupEnd > block.timestamp + lockupRemaining) {
+                lockupRemaining = lockupEnd - block.timestamp;
+            }
         }
         //calculate current pending rewards
-        if (userStake.amount > 0){
+        if (rewardMode == RewardMode.FixedBudget) {
+            pendingRewards = userStake.pendingRewards + earnedFromAccumulator(_user);
+        }
+        else if (userStake.amount > 0){
             uint256 timeElapsed = block.timestamp - userStake.lastRewardTime;
             uint256 earnedRewards = (userStake.amount * userStake.lastRewardRate * timeElapsed)/(SECONDS_PER_YEAR * BASIS_POINTS);
             pendingRewards = userStake.pendingRewards + earnedRewards ;
@@ -143,30 +364,344 @@ contract TokenStaking is ReentrancyGuard, Ownable{
         }
 
     }
-      function updateAPR(uint256 _newAPR) external onlyOwner {
-        require(_newAPR <= 5000, "APR too high"); // Max 50% APR for safety
-        require(_newAPR >= 100, "APR too low");   // Min 1% APR
-        
-        rewardRate = _newAPR;
-        emit APRUpdated(_newAPR);
+    // Open positions, oldest first
+    function getPositions(address _user) external view returns (PositionInfo[] memory open) {
+        Position[] storage userPositions = positions[_user];
+        uint256 count;
+        for (uint256 i = firstOpenPosition[_user]; i < userPositions.length; i++) {
+            if (userPositions[i].amount > 0) {
+                count++;
+            }
+        }
+
+        open = new PositionInfo[](count);
+        uint256 index;
+        for (uint256 i = firstOpenPosition[_user]; i < userPositions.length; i++) {
+            Position storage position = userPositions[i];
+            if (position.amount == 0) {
+                continue;
+            }
+            uint256 lockupEnd = _unlockTime(_user, i);
+            open[index++] = PositionInfo(
+                i,
+                position.amount,
+                position.stakeTime,
+                lockupEnd > block.timestamp ? lockupEnd - block.timestamp : 0,
+                lockupEnd - position.stakeTime
+            );
+        }
+    }
+    // Announces a new APR (basis points), lockup period (seconds) or NFT boost (basis
+    // points) that can be executed once PARAMETER_CHANGE_DELAY has passed
+    function queueParameterChange(Parameter _parameter, uint256 _value) external onlyRole(PARAM_MANAGER_ROLE) {
+        PendingChange storage pending = pendingChanges[_parameter];
+        require(pending.effectiveTime == 0, "A change is already queued");
+        if (_parameter == Parameter.APR) {
+            require(_value <= 5000, "APR too high"); // Max 50% APR for safety
+            require(_value >= 100, "APR too low");   // Min 1% APR
+        } else if (_parameter == Parameter.LockupPeriod) {
+            require(_value <= MAX_LOCKUP_PERIOD, "Lockup period too long");
+        } else {
+            require(_value <= MAX_NFT_BOOST_BPS, "NFT boost too high");
+        }
+
+        pending.value = _value;
+        pending.effectiveTime = block.timestamp + PARAMETER_CHANGE_DELAY;
+        emit ParameterChangeQueued(_parameter, _value, pending.effectiveTime);
+    }
+
+    // Anyone can apply a queued change once it is due; it was announced already
+    function executeParameterChange(Parameter _parameter) external {
+        PendingChange memory pending = pendingChanges[_parameter];
+        require(pending.effectiveTime != 0, "No change queued");
+        require(block.timestamp >= pending.effectiveTime, "Change is not effective yet");
+        delete pendingChanges[_parameter];
+
+        if (_parameter == Parameter.APR) {
+            rewardRate = pending.value;
+            emit APRUpdated(pending.value);
+        } else if (_parameter == Parameter.LockupPeriod) {
+            lockupPeriod = pending.value;
+            emit LockupPeriodUpdated(pending.value);
+        } else {
+            nftBoostBps = pending.value;
+            emit NftBoostUpdated(pending.value);
+        }
     }
+
+    function cancelParameterChange(Parameter _parameter) external onlyRole(PARAM_MANAGER_ROLE) {
+        PendingChange memory pending = pendingChanges[_parameter];
+        require(pending.effectiveTime != 0, "No change queued");
+        delete pendingChanges[_parameter];
+        emit ParameterChangeCancelled(_parameter, pending.value);
+    }
+
     function getAPR() external view returns (uint256){
         return rewardRate / 100; 
     }   
 
-    //Owner Functions
+    // Lockup a new position in a tier gets; tier 0 follows the global lockupPeriod
+    function tierLockupPeriod(uint256 _tierId) public view returns (uint256) {
+        return _tierId == 0 ? lockupPeriod : lockupTiers[_tierId - 1].lockupPeriod;
+    }
+
+    // APR in basis points a tier currently earns: rewardRate boosted by its multiplier.
+    // Multipliers only apply in APR mode; fixed budget rewards are shared by amount
+    function tierRewardRate(uint256 _tierId) public view returns (uint256) {
+        if (_tierId == 0) {
+            return rewardRate;
+        }
+        return (rewardRate * lockupTiers[_tierId - 1].multiplier) / BASIS_POINTS;
+    }
+
+    // The rate _user accrues at from their next checkpoint in tier _tierId. The NFT
+    // boost only covers as much of the stake as the NFT's recorded amount, so on a
+    // larger stake it is diluted over the whole amount
+    function stakerRewardRate(address _user, uint256 _tierId) public view returns (uint256) {
+        uint256 rate = tierRewardRate(_tierId);
+        uint256 tokenId = lockedNft[_user];
+        if (tokenId == 0) {
+            return rate;
+        }
+        uint256 boost = nftBoostFor(tokenId);
+        (uint256 nftAmount, , ) = rewardNFT.rewardInfo(tokenId);
+        uint256 staked = stakes[_user].amount;
+        if (staked > nftAmount) {
+            boost = (boost * nftAmount) / staked;
+        }
+        return rate + boost;
+    }
+
+    // Boost a reward NFT earns when locked: nftBoostBps scaled by the staking
+    // duration it records, in full from NFT_BOOST_FULL_DURATION. An NFT minted
+    // for a brief stake is worth next to nothing
+    function nftBoostFor(uint256 _tokenId) public view returns (uint256) {
+        (, uint256 stakingDuration, ) = rewardNFT.rewardInfo(_tokenId);
+        if (stakingDuration >= NFT_BOOST_FULL_DURATION) {
+            return nftBoostBps;
+        }
+        return (nftBoostBps * stakingDuration) / NFT_BOOST_FULL_DURATION;
+    }
+
+    // Escrows a reward NFT (approve it to this contract first) to boost the
+    // caller's APR. Rewards up to now are settled at the old rate
+    function lockNft(uint256 _tokenId) external nonReentrant {
+        require(!emergencyMode, "Emergency mode is active");
+        require(lockedNft[msg.sender] == 0, "An NFT is already locked");
+        updateRewards(msg.sender);
 
-    function addRewards(uint256 _amount) external onlyOwner {
+        rewardNFT.transferFrom(msg.sender, address(this), _tokenId);
+        lockedNft[msg.sender] = _tokenId;
+        StakeInfo storage userStake = stakes[msg.sender];
+        userStake.lastRewardRate = stakerRewardRate(msg.sender, userStake.tierId);
+
+        emit NftLocked(msg.sender, _tokenId);
+    }
+
+    // Returns the locked NFT; the boost stops from this moment on
+    function unlockNft() external nonReentrant {
+        uint256 tokenId = lockedNft[msg.sender];
+        require(tokenId != 0, "No NFT locked");
+        updateRewards(msg.sender);
+
+        lockedNft[msg.sender] = 0;
+        StakeInfo storage userStake = stakes[msg.sender];
+        userStake.lastRewardRate = stakerRewardRate(msg.sender, userStake.tierId);
+        rewardNFT.transferFrom(address(this), msg.sender, tokenId);
+
+        emit NftUnlocked(msg.sender, tokenId);
+    }
+
+    function getLockupTiers() external view returns (LockupTier[] memory) {
+        return lockupTiers;
+    }
+
+    //Admin Functions
+
+    function addRewards(uint256 _amount) external onlyRole(REWARD_FUNDER_ROLE) {
+        require(rewardMode == RewardMode.APR, "Use fundRewardPeriod in fixed budget mode");
         require(_amount > 0, "Amount must be greater than 0");
         rewardToken.transferFrom(msg.sender, address(this), _amount);
         rewardPool += _amount;
     }
   
-    function setLockupPeriod(uint256 _newPeriod) external onlyOwner {
-        lockupPeriod = _newPeriod;
+    // Only possible while nothing is staked, so no stake ever accrues under both modes
+    function setRewardMode(RewardMode _mode) external onlyRole(PARAM_MANAGER_ROLE) {
+        require(_mode != rewardMode, "Reward mode unchanged");
+        require(totalStaked == 0, "Cannot change reward mode while tokens are staked");
+        require(block.timestamp >= periodFinish, "Reward period still active");
+
+        rewardMode = _mode;
+        lastUpdateTime = block.timestamp;
+        emit RewardModeChanged(_mode);
+    }
+
+    // Emits _amount (plus whatever is left of the running period) evenly over the
+    // next _duration seconds, so stakers can never be owed more than was funded
+    function fundRewardPeriod(uint256 _amount, uint256 _duration) external onlyRole(REWARD_FUNDER_ROLE) {
+        require(rewardMode == RewardMode.FixedBudget, "Not in fixed budget mode");
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_duration > 0, "Duration must be greater than 0");
+        updateRewardPerToken();
+
+        rewardToken.transferFrom(msg.sender, address(this), _amount);
+        rewardPool += _amount;
+
+        uint256 leftover;
+        if (block.timestamp < periodFinish) {
+            leftover = (periodFinish - block.timestamp) * emissionRate;
+        }
+        emissionRate = (_amount + leftover) / _duration;
+        require(emissionRate > 0, "Reward amount too small for duration");
+
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + _duration;
+        emit RewardPeriodFunded(_amount, _duration, emissionRate, periodFinish);
+    }
+
+    function updateRewardPerToken() internal {
+        rewardPerTokenStored = rewardPerToken();
+        lastUpdateTime = lastTimeRewardApplicable();
+    }
+
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    function rewardPerToken() public view returns (uint256) {
+        uint256 applicable = lastTimeRewardApplicable();
+        if (totalStaked == 0 || applicable <= lastUpdateTime) {
+            return rewardPerTokenStored;
+        }
+        return rewardPerTokenStored + ((applicable - lastUpdateTime) * emissionRate * 1e18) / totalStaked;
+    }
+
+    function earnedFromAccumulator(address _user) internal view returns (uint256) {
+        return (stakes[_user].amount * (rewardPerToken() - userRewardPerTokenPaid[_user])) / 1e18;
+    }
+
+    function addLockupTier(uint256 _lockupPeriod, uint256 _multiplier) external onlyRole(PARAM_MANAGER_ROLE) returns (uint256 tierId) {
+        require(_lockupPeriod > 0, "Lockup period must be greater than 0");
+        require(
+            _multiplier >= BASIS_POINTS && _multiplier <= MAX_TIER_MULTIPLIER,
+            "Multiplier must be between 1x and 3x"
+        );
+
+        lockupTiers.push(LockupTier(_lockupPeriod, _multiplier, true));
+        tierId = lockupTiers.length;
+        emit LockupTierAdded(tierId, _lockupPeriod, _multiplier);
+    }
+
+    // Disabling a tier only stops new stakes in it; open positions keep its terms
+    function setLockupTierActive(uint256 _tierId, bool _active) external onlyRole(PARAM_MANAGER_ROLE) {
+        require(_tierId > 0 && _tierId <= lockupTiers.length, "Invalid lockup tier");
+        require(lockupTiers[_tierId - 1].active != _active, "Lockup tier status unchanged");
+
+        lockupTiers[_tierId - 1].active = _active;
+        emit LockupTierStatusChanged(_tierId, _active);
+    }
+
+    // Recovers tokens without ever touching staked principal. Reward tokens come
+    // from any surplus first and then out of rewardPool, which shrinks to match
+    function emergencyWithdraw(address _token, uint256 _amount) external onlyRole(TREASURY_ROLE) {
+        uint256 available = IERC20(_token).balanceOf(address(this));
+        if (_token == address(stakingToken)) {
+            available = available > totalStaked ? available - totalStaked : 0;
+        }
+        require(_amount <= available, "Cannot withdraw staked principal");
+
+        uint256 fromRewardPool;
+        if (_token == address(rewardToken)) {
+            uint256 surplus = available > rewardPool ? available - rewardPool : 0;
+            if (_amount > surplus) {
+                fromRewardPool = _amount - surplus;
+                if (fromRewardPool > rewardPool) {
+                    fromRewardPool = rewardPool;
+                }
+                rewardPool -= fromRewardPool;
+            }
+        }
+
+        IERC20(_token).transfer(msg.sender, _amount);
+        emit EmergencyWithdrawal(_token, _amount, fromRewardPool);
     }
-    function emergencyWithdraw(address _token, uint256 _amount) external onlyOwner {
-        IERC20(_token).transfer(owner(), _amount);
+
+    function enableEmergencyMode() external onlyRole(PAUSER_ROLE) {
+        require(!emergencyMode, "Emergency mode already enabled");
+        emergencyMode = true;
+        emit EmergencyModeEnabled();
+    }
+
+    function disableEmergencyMode() external onlyRole(PAUSER_ROLE) {
+        require(emergencyMode, "Emergency mode is not enabled");
+        emergencyMode = false;
+        emit EmergencyModeDisabled();
+    }
+
+    // Returns the caller's whole stake and any locked NFT regardless of lockups.
+    // Pending rewards are forfeited and stay in the reward pool, and no reward
+    // NFT is minted
+    function emergencyExit() external nonReentrant {
+        require(emergencyMode, "Emergency mode is not enabled");
+        StakeInfo storage userStake = stakes[msg.sender];
+        uint256 amount = userStake.amount;
+        require(amount > 0, "Nothing staked");
+
+        uint256 forfeited;
+        if (rewardMode == RewardMode.FixedBudget) {
+            // Close the accumulator at the old totalStaked so other stakers'
+            // shares stay right
+            updateRewardPerToken();
+            forfeited = userStake.pendingRewards + earnedFromAccumulator(msg.sender);
+            userRewardPerTokenPaid[msg.sender] = rewardPerTokenStored;
+        } else {
+            uint256 timeElapsed = block.timestamp - userStake.lastRewardTime;
+            forfeited = userStake.pendingRewards
+                + (amount * userStake.lastRewardRate * timeElapsed) / (SECONDS_PER_YEAR * BASIS_POINTS);
+        }
+
+        userStake.amount = 0;
+        userStake.pendingRewards = 0;
+        totalStaked -= amount;
+        Position[] storage userPositions = positions[msg.sender];
+        for (uint256 i = firstOpenPosition[msg.sender]; i < userPositions.length; i++) {
+            userPositions[i].amount = 0;
+        }
+        firstOpenPosition[msg.sender] = userPositions.length;
+
+        stakingToken.transfer(msg.sender, amount);
+        uint256 tokenId = lockedNft[msg.sender];
+        if (tokenId != 0) {
+            lockedNft[msg.sender] = 0;
+            rewardNFT.transferFrom(address(this), msg.sender, tokenId);
+            emit NftUnlocked(msg.sender, tokenId);
+        }
+
+        emit EmergencyExit(msg.sender, amount, forfeited);
+    }
+
+    mapping(Parameter => PendingChange) public pendingChanges;
+    // When each position unlocks, by user and position id; fixed when it opens
+    mapping(address => mapping(uint256 => uint256)) public positionUnlockTime;
+
+    uint256[48] private __gap;
+}
+
+contract TokenStaking is TokenStakingBase {
+    constructor(
+        address _stakingToken,
+        address _rewardToken,
+        uint256 _initialAPR,
+        uint256 _lockupPeriod
+    ) initializer {
+        StakingRewardNFT nft = new StakingRewardNFT(
+            "Staking Reward NFT",
+            "SRNFT",
+            address(this)
+        );
+        nft.grantRole(nft.MINTER_ROLE(), address(this));
+        nft.renounceRole(nft.DEFAULT_ADMIN_ROLE(), address(this));
+
+        __TokenStaking_init(_stakingToken, _rewardToken, _initialAPR, _lockupPeriod, nft);
     }
 }
-    
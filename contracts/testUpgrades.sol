@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./staking.sol";
+import "./TokenVesting.sol";
+
+// Next versions of TokenStakingUpgradeable and TokenVestingUpgradeable for the
+// upgrade tests, written the way a real upgrade would be
+
+contract TokenStakingUpgradeableV2 is TokenStakingBase, UUPSUpgradeable {
+    // New state goes after everything TokenStakingBase declares
+    uint256 public maxStakePerUser;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _stakingToken,
+        address _rewardToken,
+        uint256 _initialAPR,
+        uint256 _lockupPeriod,
+        address _rewardNFT
+    ) external initializer {
+        __TokenStaking_init(_stakingToken, _rewardToken, _initialAPR, _lockupPeriod, StakingRewardNFT(_rewardNFT));
+        __UUPSUpgradeable_init();
+    }
+
+    function setMaxStakePerUser(uint256 _maxStakePerUser) external onlyRole(PARAM_MANAGER_ROLE) {
+        maxStakePerUser = _maxStakePerUser;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
+
+contract TokenVestingUpgradeableV2 is TokenVestingBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _token,
+        uint64 _cliffDuration,
+        uint64 _vestingDuration,
+        uint64 _releaseInterval
+    ) external initializer {
+        __TokenVesting_init(_token, _cliffDuration, _vestingDuration, _releaseInterval);
+        __UUPSUpgradeable_init();
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
+
+abstract contract ShiftedStorage {
+    uint256 internal shifted;
+}
+
+// Declares a variable ahead of the inherited ones, moving all existing state
+// one slot down; the storage layout check must reject it
+contract TokenStakingUpgradeableBroken is ShiftedStorage, TokenStakingBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _stakingToken,
+        address _rewardToken,
+        uint256 _initialAPR,
+        uint256 _lockupPeriod,
+        address _rewardNFT
+    ) external initializer {
+        __TokenStaking_init(_stakingToken, _rewardToken, _initialAPR, _lockupPeriod, StakingRewardNFT(_rewardNFT));
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
+
+// The storage TokenStakingBase declared when TokenStakingUpgradeable was first
+// deployed behind a proxy, variable for variable. Later versions are checked
+// against it, so a change that breaks existing proxies fails the tests
+abstract contract TokenStakingBaseV1Storage is Initializable, ReentrancyGuardUpgradeable, AccessControlUpgradeable {
+    IERC20 public stakingToken;
+    IERC20 public rewardToken;
+    StakingRewardNFT public rewardNFT;
+
+    uint256 public rewardRate;
+    uint256 public lockupPeriod;
+
+    enum RewardMode { APR, FixedBudget }
+    RewardMode public rewardMode;
+
+    uint256 public emissionRate;
+    uint256 public periodFinish;
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerTokenStored;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+
+    struct LockupTier {
+        uint256 lockupPeriod;
+        uint256 multiplier;
+        bool active;
+    }
+    LockupTier[] public lockupTiers;
+
+    uint256 public nftBoostBps;
+    mapping(address => uint256) public lockedNft;
+
+    bool public emergencyMode;
+
+    struct StakeInfo {
+        uint256 amount;
+        uint256 stakeTime;
+        uint256 lastRewardTime;
+        uint256 pendingRewards;
+        uint256 lastRewardRate;
+        uint256 tierId;
+    }
+    mapping(address => StakeInfo) public stakes;
+
+    struct Position {
+        uint256 amount;
+        uint256 stakeTime;
+    }
+    mapping(address => Position[]) public positions;
+    mapping(address => uint256) public firstOpenPosition;
+
+    uint256 public totalStaked;
+    uint256 public rewardPool;
+
+    uint256[50] private __gap;
+}
+
+contract TokenStakingUpgradeableV1 is TokenStakingBaseV1Storage, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() external initializer {
+        __ReentrancyGuard_init();
+        __AccessControl_init();
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,65 @@
+/**
+ * Deployment parameters for scripts/deployStaking.js, keyed by network name.
+ *
+ * Token amounts are whole tokens (18 decimals), the APR is in basis points
+ * (1000 = 10%) and the lockup period is in seconds. `verify` tunes the
+ * opt-in Etherscan verification step (confirmations to wait for, attempts and
+ * delay between retries while Etherscan has not indexed the contract yet).
+ *
+ * `roles` hands the admin roles of TokenStaking (deployStaking.js) and
+ * TokenVesting (deployVesting.js) from the deployer to other accounts, e.g. a
+ * multisig as DEFAULT_ADMIN and a bot as REWARD_FUNDER. Each role maps to an
+ * address or a list of addresses; the deployer keeps roles that are not
+ * listed and gives up the listed ones unless it is listed itself.
+ *
+ * `staking.upgradeable` deploys TokenStaking behind a UUPS proxy that
+ * scripts/upgradeProxy.js can upgrade later; it cannot be switched on for a
+ * network that already has a TokenStaking recorded.
+ */
+const DAY = 24 * 60 * 60;
+
+const local = {
+  token: {
+    initialSupply: "1000000000", // 1B tokens
+  },
+  staking: {
+    aprBps: 1000,
+    lockupPeriod: 5, // short lockup for manual testing
+    rewardAmount: "1000000", // 1M tokens as rewards
+  },
+  verify: {
+    confirmations: 1,
+    attempts: 3,
+    retryDelayMs: 1000,
+  },
+};
+
+module.exports = {
+  hardhat: local,
+  localhost: local,
+  sepolia: {
+    token: {
+      initialSupply: "1000000000",
+    },
+    staking: {
+      aprBps: 1000,
+      lockupPeriod: 1 * DAY,
+      rewardAmount: "1000000",
+    },
+    roles: {
+      staking: {
+        // DEFAULT_ADMIN: "0xYourMultisig",
+        // PARAM_MANAGER: "0xYourMultisig",
+        // TREASURY: "0xYourMultisig",
+        // REWARD_FUNDER: ["0xYourFundingBot"],
+        // PAUSER: ["0xYourMultisig", "0xYourMonitoringBot"],
+      },
+      vesting: {},
+    },
+    verify: {
+      confirmations: 5,
+      attempts: 5,
+      retryDelayMs: 15000,
+    },
+  },
+};
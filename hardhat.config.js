@@ -1,9 +1,22 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/deploy");
+require("./tasks/staking");
+require("./tasks/vesting");
+require("./tasks/indexer");
+require("./tasks/roles");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // TokenStaking embeds the StakingRewardNFT creation code and would
+      // exceed the 24KB contract size limit without the optimizer
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
   networks: {
     // Local Hardhat network
     hardhat: {
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { loadBeneficiaryCsv } = require("./lib/beneficiaries");
+const { serialize } = require("./lib/deployments");
+const { buildMerkleDistribution } = require("./lib/merkle");
+
+function writeMerkleDistribution(file, distribution, decimals) {
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      serialize({ decimals: Number(decimals), ...distribution }),
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Reads a `beneficiary,allocation` CSV and writes the Merkle distribution for
+ * TokenVesting.setMerkleRoot to `out` (defaults to <csv>.merkle.json): the
+ * root, the total allocation and every beneficiary's allocation and proof,
+ * amounts in base units. Decimals come from `token` when given.
+ */
+async function buildMerkleTree(hre, { csv, token, decimals = 18, out } = {}) {
+  if (!csv) {
+    throw new Error("A beneficiary CSV file is required");
+  }
+  if (token) {
+    const erc20 = await hre.ethers.getContractAt("IERC20Metadata", token);
+    decimals = await erc20.decimals();
+  }
+
+  const distribution = buildMerkleDistribution(
+    loadBeneficiaryCsv(csv, decimals)
+  );
+  const file =
+    out ||
+    path.join(
+      path.dirname(csv),
+      `${path.basename(csv, path.extname(csv))}.merkle.json`
+    );
+  writeMerkleDistribution(file, distribution, decimals);
+
+  console.log("🌳 Merkle root:", distribution.merkleRoot);
+  console.log("Beneficiaries:", Object.keys(distribution.claims).length);
+  console.log(
+    "Total allocation:",
+    hre.ethers.formatUnits(distribution.totalAllocation, decimals)
+  );
+  console.log("Proofs written to:", file);
+
+  return { file, ...distribution };
+}
+
+/**
+ * Reads a file written by buildMerkleTree back with bigint amounts.
+ */
+function loadMerkleDistribution(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const claims = {};
+  for (const [beneficiary, claim] of Object.entries(data.claims)) {
+    claims[beneficiary] = {
+      allocation: BigInt(claim.allocation),
+      proof: claim.proof,
+    };
+  }
+  return {
+    ...data,
+    totalAllocation: BigInt(data.totalAllocation),
+    claims,
+  };
+}
+
+if (require.main === module) {
+  buildMerkleTree(require("hardhat"), {
+    csv: process.env.VESTING_CSV,
+    token: process.env.VESTING_TOKEN,
+    out: process.env.MERKLE_OUT,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Building the Merkle tree failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  buildMerkleTree,
+  writeMerkleDistribution,
+  loadMerkleDistribution,
+};
@@ -1,7 +1,25 @@
-const hre = require("hardhat");
+const {
+  loadManifest,
+  deployOrResume,
+  deployProxyOrResume,
+  recordChildContract,
+  runStep,
+} = require("./lib/deployments");
+const { loadDeployConfig } = require("./lib/config");
+const { formatDuration, formatApr } = require("./lib/format");
+const { assignRoles, getRoleHolders } = require("./lib/roles");
+const { verifyDeployment } = require("./lib/verify");
 
-async function main() {
+const VERIFIED_CONTRACTS = ["MyToken", "TokenStaking", "StakingRewardNFT"];
+
+async function deployStaking(
+  hre,
+  { deploymentsDir, config, verify = false, runVerify } = {}
+) {
   const [deployer] = await hre.ethers.getSigners();
+  const manifest = await loadManifest(hre, deploymentsDir);
+  const { token, staking, roles, verify: verifyOptions } =
+    config || loadDeployConfig(hre);
 
   console.log("🚀 Starting combined deployment...");
   console.log("Deploying contracts with account:", deployer.address);
@@ -9,6 +27,9 @@ async function main() {
     "Account balance:",
     (await deployer.provider.getBalance(deployer.address)).toString()
   );
+  console.log("Deployment manifest:", manifest.file);
+  console.log("Network config:", hre.network.name);
+  manifest.data.deployer = manifest.data.deployer || deployer.address;
 
   // ======================
   // 1. Deploy ERC20 Token
@@ -16,11 +37,11 @@ async function main() {
 
   console.log("\n📄 Step 1: Deploying MyToken (ERC20)...");
 
-  const MyToken = await hre.ethers.getContractFactory("MyToken");
-  const initialSupply = hre.ethers.parseEther("1000000000"); // 1B tokens
+  const { initialSupply } = token;
 
-  const myToken = await MyToken.deploy(initialSupply);
-  await myToken.waitForDeployment();
+  const myToken = await deployOrResume(hre, manifest, "MyToken", {
+    args: [initialSupply],
+  });
 
   const tokenAddress = await myToken.getAddress();
 
@@ -35,23 +56,77 @@ async function main() {
 
   console.log("\n🥩 Step 2: Deploying TokenStaking contract...");
 
-  const TokenStaking = await hre.ethers.getContractFactory("TokenStaking");
-
-  const stakingContract = await TokenStaking.deploy(
+  const stakingArgs = [
     tokenAddress, // Staking token (MyToken)
     tokenAddress, // Reward token (same MyToken)
-    hre.ethers.parseEther("0.01"), // 1 tokens per second per token staked
-    5 // 5 sec lockup period
-  );
+    staking.aprBps,
+    staking.lockupPeriod,
+  ];
+  let stakingContract;
+  let rewardNFTAddress;
+  if (staking.upgradeable) {
+    const recorded = manifest.data.contracts.TokenStaking;
+    if (recorded && !recorded.proxy) {
+      throw new Error(
+        `TokenStaking in ${manifest.file} was deployed without a proxy; remove its entries to redeploy it upgradeable`
+      );
+    }
+
+    // The proxy cannot create its own reward NFT: deploy it with the deployer
+    // as admin, then let the proxy mint and give up the admin role.
+    const rewardNFT = await deployOrResume(hre, manifest, "StakingRewardNFT", {
+      args: ["Staking Reward NFT", "SRNFT", deployer.address],
+    });
+    rewardNFTAddress = await rewardNFT.getAddress();
 
-  await stakingContract.waitForDeployment();
+    stakingContract = await deployProxyOrResume(hre, manifest, "TokenStaking", {
+      contract: "TokenStakingUpgradeable",
+      args: [...stakingArgs, rewardNFTAddress],
+    });
+    const proxyAddress = await stakingContract.getAddress();
+
+    await runStep(
+      manifest,
+      "grantNftMinter",
+      async () =>
+        rewardNFT.grantRole(await rewardNFT.MINTER_ROLE(), proxyAddress),
+      { nft: rewardNFTAddress, minter: proxyAddress }
+    );
+    await runStep(
+      manifest,
+      "renounceNftAdmin",
+      () => rewardNFT.renounceRole(hre.ethers.ZeroHash, deployer.address),
+      { nft: rewardNFTAddress }
+    );
+  } else {
+    stakingContract = await deployOrResume(hre, manifest, "TokenStaking", {
+      args: stakingArgs,
+    });
+    rewardNFTAddress = await stakingContract.rewardNFT();
+    await recordChildContract(hre, manifest, "StakingRewardNFT", {
+      address: rewardNFTAddress,
+      args: ["Staking Reward NFT", "SRNFT", await stakingContract.getAddress()],
+      parent: "TokenStaking",
+    });
+  }
   const stakingAddress = await stakingContract.getAddress();
 
   console.log("✅ TokenStaking deployed to:", stakingAddress);
+  if (staking.upgradeable) {
+    console.log(
+      "Implementation:",
+      manifest.data.contracts.TokenStaking.proxy.implementation
+    );
+  }
   console.log("Staking token:", tokenAddress);
   console.log("Reward token:", tokenAddress);
-  console.log("Reward rate: 0.01 tokens per second per token staked");
-  console.log("Lockup period: 1 day");
+  console.log("Reward rate:", formatApr(staking.aprBps));
+  console.log(
+    "Lockup period:",
+    formatDuration(staking.lockupPeriod),
+    `(${staking.lockupPeriod} seconds)`
+  );
+  console.log("Reward NFT:", rewardNFTAddress);
 
   // ===========================
   // 3. Setup Initial Rewards
@@ -59,92 +134,164 @@ async function main() {
 
   console.log("\n💰 Step 3: Adding initial rewards to staking contract...");
 
-  const rewardAmount = hre.ethers.parseEther("1000000"); // 1M tokens as rewards
+  const { rewardAmount } = staking;
 
-  // Approve staking contract to spend tokens
-  console.log("Approving staking contract to spend tokens...");
-  await myToken.approve(stakingAddress, rewardAmount);
+  if (rewardAmount === 0n) {
+    console.log("No initial rewards configured, skipping");
+  } else {
+    await runStep(
+      manifest,
+      "addRewards",
+      async () => {
+        // Approve staking contract to spend tokens
+        console.log("Approving staking contract to spend tokens...");
+        await (await myToken.approve(stakingAddress, rewardAmount)).wait();
 
-  // Add rewards to staking contract
-  console.log("Adding rewards to staking pool...");
-  await stakingContract.addRewards(rewardAmount);
+        // Add rewards to staking contract
+        console.log("Adding rewards to staking pool...");
+        return stakingContract.addRewards(rewardAmount);
+      },
+      { staking: stakingAddress, amount: rewardAmount }
+    );
+  }
 
   console.log("Reading reward pool");
   const rewardPool = await stakingContract.rewardPool();
   console.log("✅ Reward pool balance:", rewardPool.toString());
 
   // =====================
-  // 4. Final Summary
+  // 4. Assign Roles
+  // =====================
+
+  console.log("\n🔑 Step 4: Assigning TokenStaking roles...");
+
+  if (Object.keys(roles.staking).length === 0) {
+    console.log("No roles configured, the deployer keeps all of them");
+  } else {
+    await assignRoles(
+      stakingContract,
+      "TokenStaking",
+      roles.staking,
+      deployer.address
+    );
+  }
+  const roleHolders = await getRoleHolders(
+    stakingContract,
+    "TokenStaking",
+    manifest.data.contracts.TokenStaking.blockNumber
+  );
+
+  // =====================
+  // 5. Verify Contracts
+  // =====================
+
+  let verification;
+  if (verify) {
+    console.log("\n🔍 Step 5: Verifying contracts on Etherscan...");
+    verification = await verifyDeployment(hre, manifest, VERIFIED_CONTRACTS, {
+      ...verifyOptions,
+      runVerify,
+    });
+  }
+
+  // =====================
+  // 6. Final Summary
   // =====================
 
   console.log("\n🎉 DEPLOYMENT COMPLETE!");
   console.log("=".repeat(50));
   console.log("MyToken Address:", tokenAddress);
   console.log("Staking Address:", stakingAddress);
-  console.log("Owner:", deployer.address);
+  console.log("Reward NFT Address:", rewardNFTAddress);
+  for (const [role, accounts] of Object.entries(roleHolders)) {
+    console.log(`${role}:`, accounts.join(", ") || "none");
+  }
   console.log(
-    "Owner Token Balance:",
+    "Deployer Token Balance:",
     (await myToken.balanceOf(deployer.address)).toString()
   );
   console.log("Staking Reward Pool:", rewardPool.toString());
 
-  // Calculate APR
-  try {
-    const apr = await stakingContract.getAPR();
-    console.log("Current APR:", apr.toString() + "%");
-  } catch (error) {
-    console.log("APR: 0% (no tokens staked yet)");
-  }
-
-  console.log("\n📝 Contract Verification Commands:");
-  console.log("-".repeat(50));
+  console.log("Current APR:", formatApr(await stakingContract.rewardRate()));
   console.log(
-    `MyToken: npx hardhat verify --network ${
-      hre.network.name
-    } ${tokenAddress} "${initialSupply.toString()}"`
+    "Lockup Period:",
+    formatDuration(await stakingContract.lockupPeriod())
   );
-  console.log(
-    `Staking: npx hardhat verify --network ${
-      hre.network.name
-    } ${stakingAddress} "${tokenAddress}" "${tokenAddress}" "${hre.ethers.parseEther(
-      "0.01"
-    )}" "86400"`
+
+  if (verification) {
+    console.log("\n🔍 Verification Status:");
+    console.log("-".repeat(50));
+    for (const name of VERIFIED_CONTRACTS) {
+      console.log(`${name}: ${verification[name].status}`);
+    }
+  }
+
+  const unverified = VERIFIED_CONTRACTS.filter(
+    (name) => !verification || verification[name].status !== "verified"
   );
+  if (unverified.length > 0) {
+    console.log("\n📝 Contract Verification Commands:");
+    console.log("-".repeat(50));
+    for (const name of unverified) {
+      const { address, proxy } = manifest.data.contracts[name];
+      // hardhat-upgrades' verify finds the implementation of a proxy itself
+      const args = proxy ? [] : manifest.data.contracts[name].args;
+      console.log(
+        `${name}: npx hardhat verify --network ${
+          hre.network.name
+        } ${address} ${args.map((arg) => `"${arg}"`).join(" ")}`
+      );
+    }
+  }
 
   console.log("\n🔧 Next Steps:");
   console.log("-".repeat(50));
-  console.log("1. Verify contracts on Etherscan (commands above)");
-  console.log("2. Users can now:");
+  let nextStep = 1;
+  if (unverified.length > 0) {
+    console.log(`${nextStep++}. Verify contracts on Etherscan (commands above)`);
+  }
+  console.log(`${nextStep}. Users can now:`);
   console.log("   - Approve staking contract to spend their tokens");
   console.log("   - Stake tokens and earn rewards");
   console.log("   - Check rewards and unstake after lockup period");
 
-  console.log("\n📊 Contract Interaction Examples:");
+  const networkFlag = `--network ${hre.network.name}`;
+  console.log("\n📊 Contract Interaction Tasks:");
   console.log("-".repeat(50));
-  console.log("// Approve staking contract");
-  console.log(`await myToken.approve("${stakingAddress}", amount);`);
-  console.log("\n// Stake tokens");
-  console.log(`await stakingContract.stake(amount);`);
-  console.log("\n// Check stake info");
-  console.log(`await stakingContract.getStakeInfo(userAddress);`);
-  console.log("\n// Claim rewards");
-  console.log(`await stakingContract.claimRewards();`);
-  console.log("\n// Unstake tokens");
-  console.log(`await stakingContract.unstake(amount);`);
+  console.log("# Approve and stake tokens");
+  console.log(
+    `npx hardhat staking:approve-and-stake ${networkFlag} --amount 1000`
+  );
+  console.log("\n# Check stake info");
+  console.log(`npx hardhat staking:info ${networkFlag} --user <address>`);
+  console.log("\n# Claim rewards");
+  console.log(`npx hardhat staking:claim ${networkFlag}`);
+  console.log("\n# Unstake tokens");
+  console.log(`npx hardhat staking:unstake ${networkFlag} --amount 1000`);
 
   return {
     tokenAddress,
     stakingAddress,
+    rewardNFTAddress,
     deployer: deployer.address,
+    roles: roleHolders,
+    manifest: manifest.file,
+    verification,
   };
 }
 
-main()
-  .then((result) => {
-    console.log("\n✅ All contracts deployed successfully!");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("❌ Deployment failed:", error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  deployStaking(require("hardhat"), { verify: process.env.VERIFY === "true" })
+    .then((result) => {
+      console.log("\n✅ All contracts deployed successfully!");
+      console.log("📁 Deployment manifest written to:", result.manifest);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Deployment failed:", error);
+      console.error("Re-run the script to resume from the failed step.");
+      process.exit(1);
+    });
+}
+
+module.exports = { deployStaking };
@@ -0,0 +1,299 @@
+const {
+  loadManifest,
+  deployOrResume,
+  deployProxyOrResume,
+  runStep,
+} = require("./lib/deployments");
+const { loadBeneficiaryCsv } = require("./lib/beneficiaries");
+const { formatVestingSchedule } = require("./lib/format");
+const { buildMerkleDistribution } = require("./lib/merkle");
+const { loadRoleConfig } = require("./lib/config");
+const { assignRoles, getRoleHolders } = require("./lib/roles");
+const { writeMerkleDistribution } = require("./buildMerkleTree");
+
+const MAX_UINT64 = 2n ** 64n - 1n;
+
+/**
+ * Validates the schedule arguments the same way the TokenVesting constructor
+ * does, so a bad schedule fails before anything is deployed.
+ */
+function resolveSchedule({ cliffDuration, vestingDuration, releaseInterval }) {
+  const cliff = BigInt(cliffDuration || 0);
+  if (cliff <= 0n || cliff > MAX_UINT64) {
+    throw new Error(
+      `Cliff duration must be between 1 and ${MAX_UINT64} seconds, got "${cliffDuration}"`
+    );
+  }
+  const duration = BigInt(vestingDuration || 0);
+  const interval = BigInt(releaseInterval || 0);
+  for (const [name, value] of [
+    ["Vesting duration", duration],
+    ["Release interval", interval],
+  ]) {
+    if (value < 0n || value > MAX_UINT64) {
+      throw new Error(
+        `${name} must be between 0 and ${MAX_UINT64} seconds, got "${value}"`
+      );
+    }
+  }
+  if (interval > 0n && (duration === 0n || duration % interval !== 0n)) {
+    throw new Error(
+      `Vesting duration (${duration}s) must be a non-zero multiple of the release interval (${interval}s)`
+    );
+  }
+  return { cliff, duration, interval };
+}
+
+async function deployVesting(
+  hre,
+  {
+    token,
+    cliffDuration,
+    vestingDuration,
+    releaseInterval,
+    csv,
+    merkleOut,
+    roles,
+    upgradeable = false,
+    deploymentsDir,
+  } = {}
+) {
+  if (!token || !hre.ethers.isAddress(token)) {
+    throw new Error(`Invalid token address "${token}"`);
+  }
+  if (!csv) {
+    throw new Error("A beneficiary CSV file is required");
+  }
+  const { cliff, duration, interval } = resolveSchedule({
+    cliffDuration,
+    vestingDuration,
+    releaseInterval,
+  });
+  const vestingRoles = roles || loadRoleConfig(hre).vesting;
+
+  const [deployer] = await hre.ethers.getSigners();
+  const manifest = await loadManifest(hre, deploymentsDir);
+  manifest.data.deployer = manifest.data.deployer || deployer.address;
+
+  console.log("🚀 Starting vesting deployment...");
+  console.log("Deploying contracts with account:", deployer.address);
+  console.log("Deployment manifest:", manifest.file);
+
+  // ============================
+  // 1. Validate Beneficiary CSV
+  // ============================
+
+  console.log("\n📋 Step 1: Validating beneficiaries from", csv);
+
+  const vestingToken = await hre.ethers.getContractAt("IERC20Metadata", token);
+  const decimals = await vestingToken.decimals();
+  const symbol = await vestingToken.symbol();
+  const { beneficiaries, allocations, totalAllocation } = loadBeneficiaryCsv(
+    csv,
+    decimals
+  );
+
+  console.log("✅ Beneficiaries:", beneficiaries.length);
+  console.log(
+    "Total allocation:",
+    hre.ethers.formatUnits(totalAllocation, decimals),
+    symbol
+  );
+
+  const deployerBalance = await vestingToken.balanceOf(deployer.address);
+  if (deployerBalance < totalAllocation) {
+    throw new Error(
+      `Deployer holds ${hre.ethers.formatUnits(
+        deployerBalance,
+        decimals
+      )} ${symbol} but the beneficiaries need ${hre.ethers.formatUnits(
+        totalAllocation,
+        decimals
+      )} ${symbol}`
+    );
+  }
+
+  // ==============================
+  // 2. Deploy Vesting Contract
+  // ==============================
+
+  console.log("\n⏳ Step 2: Deploying TokenVesting contract...");
+
+  const vestingArgs = [token, cliff, duration, interval];
+  const vesting = upgradeable
+    ? await deployProxyOrResume(hre, manifest, "TokenVesting", {
+        contract: "TokenVestingUpgradeable",
+        args: vestingArgs,
+      })
+    : await deployOrResume(hre, manifest, "TokenVesting", {
+        args: vestingArgs,
+      });
+  const vestingAddress = await vesting.getAddress();
+
+  console.log("✅ TokenVesting deployed to:", vestingAddress);
+  if (upgradeable) {
+    console.log(
+      "Implementation:",
+      manifest.data.contracts.TokenVesting.proxy.implementation
+    );
+  }
+  console.log("Vesting token:", token);
+  console.log("Schedule:", formatVestingSchedule(cliff, duration, interval));
+
+  // ==============================
+  // 3. Configure Beneficiaries
+  // ==============================
+
+  if (merkleOut) {
+    // Too many beneficiaries for one transaction: commit a Merkle root and let
+    // each beneficiary register with its proof on first release.
+    console.log("\n🌳 Step 3: Committing the beneficiaries' Merkle root...");
+
+    const distribution = buildMerkleDistribution({
+      beneficiaries,
+      allocations,
+    });
+    writeMerkleDistribution(merkleOut, distribution, decimals);
+    console.log("Merkle root:", distribution.merkleRoot);
+    console.log("Proofs written to:", merkleOut);
+
+    await runStep(
+      manifest,
+      "setMerkleRoot",
+      () =>
+        vesting.setMerkleRoot(
+          distribution.merkleRoot,
+          distribution.totalAllocation
+        ),
+      { vesting: vestingAddress, merkleRoot: distribution.merkleRoot }
+    );
+  } else {
+    console.log("\n👥 Step 3: Setting beneficiaries...");
+
+    await runStep(
+      manifest,
+      "setBeneficiaries",
+      () => vesting.setBeneficiaries(beneficiaries, allocations),
+      { vesting: vestingAddress, beneficiaries: beneficiaries.length }
+    );
+  }
+
+  const totalAllocated = await vesting.totalAllocated();
+  if (totalAllocated !== totalAllocation) {
+    throw new Error(
+      `TokenVesting reports totalAllocated ${totalAllocated} but the CSV sums to ${totalAllocation}`
+    );
+  }
+
+  // ==============================
+  // 4. Fund Vesting Contract
+  // ==============================
+
+  console.log("\n💰 Step 4: Funding vesting contract...");
+
+  await runStep(
+    manifest,
+    "fund",
+    async () => {
+      console.log("Approving vesting contract to spend tokens...");
+      await (await vestingToken.approve(vestingAddress, totalAllocated)).wait();
+
+      console.log("Funding exactly totalAllocated...");
+      return vesting.fund(totalAllocated);
+    },
+    { vesting: vestingAddress, amount: totalAllocated }
+  );
+
+  // ==============================
+  // 5. Assign Roles
+  // ==============================
+
+  console.log("\n🔑 Step 5: Assigning TokenVesting roles...");
+
+  if (Object.keys(vestingRoles).length === 0) {
+    console.log("No roles configured, the deployer keeps all of them");
+  } else {
+    await assignRoles(vesting, "TokenVesting", vestingRoles, deployer.address);
+  }
+  const roleHolders = await getRoleHolders(
+    vesting,
+    "TokenVesting",
+    manifest.data.contracts.TokenVesting.blockNumber
+  );
+
+  const [, isConfigured, currentBalance] = await vesting.getContractStatus();
+  const cliffEnd = (await vesting.startTime()) + cliff;
+
+  // =====================
+  // 6. Final Summary
+  // =====================
+
+  console.log("\n🎉 VESTING DEPLOYMENT COMPLETE!");
+  console.log("=".repeat(50));
+  console.log("TokenVesting Address:", vestingAddress);
+  for (const [role, accounts] of Object.entries(roleHolders)) {
+    console.log(`${role}:`, accounts.join(", ") || "none");
+  }
+  console.log("Configured:", isConfigured);
+  console.log("Beneficiaries:", beneficiaries.length);
+  console.log(
+    "Total Allocated:",
+    hre.ethers.formatUnits(totalAllocated, decimals),
+    symbol
+  );
+  console.log(
+    "Contract Balance:",
+    hre.ethers.formatUnits(currentBalance, decimals),
+    symbol
+  );
+  console.log("Cliff ends at:", new Date(Number(cliffEnd) * 1000).toISOString());
+  console.log(
+    "Fully vested at:",
+    new Date(Number(cliffEnd + duration) * 1000).toISOString()
+  );
+
+  console.log("\n📝 Contract Verification Command:");
+  console.log("-".repeat(50));
+  // hardhat-upgrades' verify finds the implementation of a proxy itself
+  const verifyArgs = upgradeable
+    ? ""
+    : ` "${token}" "${cliff}" "${duration}" "${interval}"`;
+  console.log(
+    `TokenVesting: npx hardhat verify --network ${
+      hre.network.name
+    } ${vestingAddress}${verifyArgs}`
+  );
+
+  return {
+    vestingAddress,
+    beneficiaries,
+    totalAllocated,
+    deployer: deployer.address,
+    roles: roleHolders,
+    manifest: manifest.file,
+  };
+}
+
+if (require.main === module) {
+  deployVesting(require("hardhat"), {
+    token: process.env.VESTING_TOKEN,
+    cliffDuration: process.env.VESTING_CLIFF,
+    vestingDuration: process.env.VESTING_DURATION,
+    releaseInterval: process.env.VESTING_INTERVAL,
+    csv: process.env.VESTING_CSV,
+    merkleOut: process.env.VESTING_MERKLE_OUT,
+    upgradeable: process.env.VESTING_UPGRADEABLE === "true",
+  })
+    .then((result) => {
+      console.log("\n✅ Vesting deployed successfully!");
+      console.log("📁 Deployment manifest written to:", result.manifest);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Vesting deployment failed:", error);
+      console.error("Re-run the script to resume from the failed step.");
+      process.exit(1);
+    });
+}
+
+module.exports = { deployVesting };
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+const { getDeployedAddress, serialize } = require("./lib/deployments");
+
+const DEFAULT_REPORTS_DIR = path.join(__dirname, "..", "reports");
+
+const CSV_COLUMNS = [
+  "beneficiary",
+  "allocation",
+  "vested",
+  "released",
+  "releasable",
+  "unreleased",
+  "revoked",
+  "cliffEnd",
+  "vestingEnd",
+];
+
+const toIso = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+
+/**
+ * Reads every beneficiary's getVestingInfo plus the contract totals from
+ * getContractStatus and outstandingAllocation, all at the same block so the
+ * figures add up. `blockTag`
+ * defaults to the latest block.
+ */
+async function buildVestingReport(hre, vesting, { blockTag } = {}) {
+  const block = await hre.ethers.provider.getBlock(
+    blockTag === undefined ? "latest" : blockTag
+  );
+  if (!block) {
+    throw new Error(`Block ${blockTag} does not exist yet`);
+  }
+  const address = await vesting.getAddress();
+  if ((await hre.ethers.provider.getCode(address, block.number)) === "0x") {
+    throw new Error(
+      `TokenVesting ${address} was not deployed yet at block ${block.number}`
+    );
+  }
+
+  const overrides = { blockTag: block.number };
+  const tokenAddress = await vesting.token(overrides);
+  const token = await hre.ethers.getContractAt("IERC20Metadata", tokenAddress);
+  const [isPaused, isConfigured, currentBalance, totalAllocation] =
+    await vesting.getContractStatus(overrides);
+
+  const beneficiaries = [];
+  for (const beneficiary of await vesting.getBeneficiaries(overrides)) {
+    const info = await vesting.getVestingInfo(beneficiary, overrides);
+    beneficiaries.push({
+      beneficiary,
+      allocation: info.allocation,
+      vested: info.vested,
+      released: info.releasedAmount,
+      releasable: info.releasable,
+      unreleased: info.allocation - info.releasedAmount,
+      revoked: info.isRevoked,
+      cliffEnd: isConfigured ? toIso(info.cliffEndTime) : null,
+      vestingEnd: isConfigured ? toIso(info.vestingEnd) : null,
+    });
+  }
+
+  const sum = (key, rows = beneficiaries) =>
+    rows.reduce((total, row) => total + row[key], 0n);
+  // Taken from the contract rather than the rows, which leave out Merkle
+  // beneficiaries who have not registered yet
+  const outstanding = await vesting.outstandingAllocation(overrides);
+
+  return {
+    contract: address,
+    token: {
+      address: tokenAddress,
+      symbol: await token.symbol(),
+      decimals: Number(await token.decimals()),
+    },
+    asOf: { blockNumber: block.number, timestamp: toIso(block.timestamp) },
+    status: {
+      isPaused,
+      isConfigured,
+      currentBalance,
+      totalAllocation,
+      totalVested: sum("vested"),
+      totalReleased: sum("released"),
+      totalReleasable: sum("releasable"),
+      outstanding,
+      shortfall:
+        outstanding > currentBalance ? outstanding - currentBalance : 0n,
+    },
+    beneficiaries,
+  };
+}
+
+function csvValue(value) {
+  const text = value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats the report as CSV with token amounts in whole tokens and a final
+ * TOTAL row, ready to open in a spreadsheet.
+ */
+function toCsv(hre, report) {
+  const { decimals } = report.token;
+  const amount = (value) => hre.ethers.formatUnits(value, decimals);
+  const rows = report.beneficiaries.map((row) =>
+    CSV_COLUMNS.map((column) =>
+      typeof row[column] === "bigint" ? amount(row[column]) : row[column]
+    )
+  );
+  const totals = [
+    "allocation",
+    "vested",
+    "released",
+    "releasable",
+    "unreleased",
+  ].map((column) =>
+    amount(report.beneficiaries.reduce((total, row) => total + row[column], 0n))
+  );
+
+  return (
+    [CSV_COLUMNS, ...rows, ["TOTAL", ...totals, "", "", ""]]
+      .map((row) => row.map(csvValue).join(","))
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * Writes reports/vesting-<network>-<block>.csv and .json for the TokenVesting
+ * recorded in deployments/<network>.json (or `vestingAddress`), as of
+ * `blockNumber` when given. JSON amounts are in base units.
+ */
+async function exportVestingReport(
+  hre,
+  { vestingAddress, blockNumber, outDir = DEFAULT_REPORTS_DIR } = {}
+) {
+  const vesting = await hre.ethers.getContractAt(
+    "TokenVesting",
+    vestingAddress || getDeployedAddress(hre, "TokenVesting")
+  );
+  const report = await buildVestingReport(hre, vesting, {
+    blockTag: blockNumber === undefined ? undefined : Number(blockNumber),
+  });
+
+  const baseName = `vesting-${hre.network.name}-${report.asOf.blockNumber}`;
+  const csvFile = path.join(outDir, `${baseName}.csv`);
+  const jsonFile = path.join(outDir, `${baseName}.json`);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(csvFile, toCsv(hre, report));
+  fs.writeFileSync(jsonFile, JSON.stringify(serialize(report), null, 2) + "\n");
+
+  const { symbol, decimals } = report.token;
+  const format = (value) =>
+    `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+  console.log(
+    `📄 Vesting report for ${report.contract} at block ${report.asOf.blockNumber} (${report.asOf.timestamp})`
+  );
+  console.log("-".repeat(50));
+  console.log("Beneficiaries:", report.beneficiaries.length);
+  console.log("Total allocated:", format(report.status.totalAllocation));
+  console.log("Total vested:", format(report.status.totalVested));
+  console.log("Total released:", format(report.status.totalReleased));
+  console.log("Releasable:", format(report.status.totalReleasable));
+  console.log("Contract balance:", format(report.status.currentBalance));
+  console.log("CSV:", csvFile);
+  console.log("JSON:", jsonFile);
+
+  return { report, csvFile, jsonFile };
+}
+
+if (require.main === module) {
+  exportVestingReport(require("hardhat"), {
+    vestingAddress: process.env.VESTING_ADDRESS,
+    blockNumber: process.env.BLOCK_NUMBER,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Report export failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildVestingReport, toCsv, exportVestingReport };
@@ -0,0 +1,225 @@
+const { getDeployment, serialize } = require("./lib/deployments");
+const {
+  getStorePath,
+  loadEventStore,
+  createEventStore,
+  saveEventStore,
+  rollbackTo,
+  getStakers,
+  getTotalRewardsPaid,
+} = require("./lib/eventStore");
+
+const STAKING_EVENTS = [
+  "Staked",
+  "Unstaked",
+  "RewardClaimed",
+  "RewardCompounded",
+  "EmergencyExit",
+  "APRUpdated",
+  "NFTRewardMinted",
+];
+const NFT_EVENTS = ["Transfer"];
+
+/**
+ * Resolves the TokenStaking address and the block to start indexing from.
+ * A manifest-recorded deployment starts at its deployment block, an explicit
+ * address at `fromBlock` (0 by default).
+ */
+function resolveStakingDeployment(hre, stakingAddress, fromBlock) {
+  if (stakingAddress) {
+    return { address: stakingAddress, startBlock: fromBlock || 0 };
+  }
+  const entry = getDeployment(hre, "TokenStaking");
+  return {
+    address: entry.address,
+    startBlock: fromBlock !== undefined ? fromBlock : entry.blockNumber,
+  };
+}
+
+/**
+ * Returns the newest stored block whose hash still matches the chain, or
+ * `null` when none of them does (the reorg is deeper than the window, or the
+ * local node was restarted).
+ */
+async function findCommonBlock(hre, store) {
+  const numbers = Object.keys(store.data.recentBlocks)
+    .map(Number)
+    .sort((a, b) => b - a);
+  for (const number of numbers) {
+    const block = await hre.ethers.provider.getBlock(number);
+    if (block && block.hash === store.data.recentBlocks[number]) {
+      return number;
+    }
+  }
+  return null;
+}
+
+function toRecord(contractName, log, timestamp) {
+  return serialize({
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    timestamp,
+    contract: contractName,
+    event: log.fragment.name,
+    args: Object.fromEntries(
+      log.fragment.inputs.map((input, i) => [input.name, log.args[i]])
+    ),
+  });
+}
+
+async function fetchEvents(contract, contractName, names, from, to) {
+  const logs = await contract.queryFilter("*", from, to);
+  return logs
+    .filter((log) => log.fragment && names.includes(log.fragment.name))
+    .map((log) => ({ contractName, log }));
+}
+
+/**
+ * Pulls TokenStaking and StakingRewardNFT events into events/<network>.json,
+ * continuing from the last processed block. Before reading new blocks the
+ * hashes of the last `reorgDepth` processed blocks are compared with the
+ * chain; on a mismatch everything above the newest matching block is rolled
+ * back and re-read.
+ */
+async function syncEvents(
+  hre,
+  {
+    stakingAddress,
+    storeFile = getStorePath(hre.network.name),
+    fromBlock,
+    toBlock,
+    reorgDepth = 12,
+    batchSize = 2000,
+    reset = false,
+  } = {}
+) {
+  const { provider } = hre.ethers;
+  const { address, startBlock } = resolveStakingDeployment(
+    hre,
+    stakingAddress,
+    fromBlock
+  );
+  const { chainId } = await provider.getNetwork();
+
+  let store = loadEventStore(storeFile);
+  const recorded = store.data.contracts.TokenStaking;
+  if (
+    reset ||
+    store.data.lastBlock === null ||
+    store.data.chainId !== chainId.toString() ||
+    recorded !== address
+  ) {
+    if (store.data.lastBlock !== null && !reset) {
+      console.log(
+        `⚠️  ${storeFile} was built for another chain or contract, starting over`
+      );
+    }
+    store = createEventStore(storeFile);
+    store.data.chainId = chainId.toString();
+    store.data.startBlock = startBlock;
+    store.data.lastBlock = startBlock - 1;
+  }
+
+  const staking = await hre.ethers.getContractAt("TokenStaking", address);
+  const nftAddress = await staking.rewardNFT();
+  const nft = await hre.ethers.getContractAt("StakingRewardNFT", nftAddress);
+  store.data.contracts = {
+    TokenStaking: address,
+    StakingRewardNFT: nftAddress,
+  };
+
+  let rolledBackTo = null;
+  if (Object.keys(store.data.recentBlocks).length > 0) {
+    const common = await findCommonBlock(hre, store);
+    if (common !== store.data.lastBlock) {
+      rolledBackTo = common === null ? store.data.startBlock - 1 : common;
+      console.log(
+        `⚠️  Reorg detected, rolling back from block ${store.data.lastBlock} to ${rolledBackTo}`
+      );
+      rollbackTo(store, rolledBackTo);
+      saveEventStore(store);
+    }
+  }
+
+  const head =
+    toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+  const firstBlock = store.data.lastBlock + 1;
+  let added = 0;
+
+  for (let from = firstBlock; from <= head; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, head);
+    const logs = [
+      ...(await fetchEvents(staking, "TokenStaking", STAKING_EVENTS, from, to)),
+      ...(await fetchEvents(nft, "StakingRewardNFT", NFT_EVENTS, from, to)),
+    ].sort(
+      (a, b) =>
+        a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index
+    );
+
+    const timestamps = {};
+    for (const { contractName, log } of logs) {
+      if (timestamps[log.blockNumber] === undefined) {
+        timestamps[log.blockNumber] = (await log.getBlock()).timestamp;
+      }
+      store.data.events.push(
+        toRecord(contractName, log, timestamps[log.blockNumber])
+      );
+    }
+    added += logs.length;
+
+    const firstHashed = Math.max(from, to - reorgDepth + 1);
+    for (let number = firstHashed; number <= to; number++) {
+      store.data.recentBlocks[number] = (await provider.getBlock(number)).hash;
+    }
+    for (const number of Object.keys(store.data.recentBlocks)) {
+      if (Number(number) <= to - reorgDepth) {
+        delete store.data.recentBlocks[number];
+      }
+    }
+    store.data.lastBlock = to;
+    saveEventStore(store);
+  }
+
+  if (firstBlock > head) {
+    saveEventStore(store);
+  }
+
+  return {
+    store,
+    fromBlock: firstBlock,
+    toBlock: store.data.lastBlock,
+    added,
+    rolledBackTo,
+  };
+}
+
+if (require.main === module) {
+  const hre = require("hardhat");
+  syncEvents(hre, {
+    stakingAddress: process.env.STAKING_ADDRESS,
+    reorgDepth: process.env.REORG_DEPTH
+      ? Number(process.env.REORG_DEPTH)
+      : undefined,
+  })
+    .then(({ store, fromBlock, toBlock, added }) => {
+      const { formatEther } = hre.ethers;
+      console.log(
+        `\n✅ Indexed blocks ${fromBlock}-${toBlock}: ${added} new event(s)`
+      );
+      console.log("📁 Event store:", store.file);
+      console.log("Stakers:", getStakers(store).length);
+      console.log(
+        "Total rewards paid:",
+        formatEther(getTotalRewardsPaid(store))
+      );
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Indexing failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { syncEvents, STAKING_EVENTS, NFT_EVENTS };
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Parses `beneficiary,allocation` rows. Allocations are human-readable token
+ * amounts and are converted with the token's decimals. A header row, blank
+ * lines and `#` comments are ignored.
+ */
+function parseBeneficiaryCsv(text, decimals = 18) {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) {
+      return;
+    }
+
+    const columns = line.split(",").map((column) => column.trim());
+    if (columns.length !== 2) {
+      throw new Error(
+        `Line ${index + 1}: expected "beneficiary,allocation", got "${line}"`
+      );
+    }
+
+    const [beneficiary, allocation] = columns;
+    if (rows.length === 0 && !ethers.isAddress(beneficiary) && isHeader(line)) {
+      return;
+    }
+    if (!ethers.isAddress(beneficiary)) {
+      throw new Error(`Line ${index + 1}: invalid address "${beneficiary}"`);
+    }
+
+    let amount;
+    try {
+      amount = ethers.parseUnits(allocation, decimals);
+    } catch {
+      throw new Error(`Line ${index + 1}: invalid allocation "${allocation}"`);
+    }
+
+    rows.push({
+      line: index + 1,
+      beneficiary: ethers.getAddress(beneficiary),
+      allocation: amount,
+    });
+  });
+
+  return rows;
+}
+
+function isHeader(line) {
+  return /beneficiary|address/i.test(line);
+}
+
+/**
+ * Applies the checks TokenVesting.setBeneficiaries enforces on-chain so a bad
+ * CSV fails before anything is deployed.
+ */
+function validateBeneficiaries(rows) {
+  if (rows.length === 0) {
+    throw new Error("Empty beneficiaries array");
+  }
+
+  const seen = new Map();
+  let totalAllocation = 0n;
+
+  for (const { line, beneficiary, allocation } of rows) {
+    if (beneficiary === ethers.ZeroAddress) {
+      throw new Error(`Line ${line}: Zero address beneficiary`);
+    }
+    if (allocation === 0n) {
+      throw new Error(`Line ${line}: Zero allocation`);
+    }
+    if (allocation < 0n) {
+      throw new Error(`Line ${line}: Negative allocation`);
+    }
+    if (seen.has(beneficiary)) {
+      throw new Error(
+        `Line ${line}: Duplicate beneficiary ${beneficiary} (first seen on line ${seen.get(
+          beneficiary
+        )})`
+      );
+    }
+    seen.set(beneficiary, line);
+    totalAllocation += allocation;
+  }
+
+  return {
+    beneficiaries: rows.map((row) => row.beneficiary),
+    allocations: rows.map((row) => row.allocation),
+    totalAllocation,
+  };
+}
+
+function loadBeneficiaryCsv(file, decimals) {
+  return validateBeneficiaries(
+    parseBeneficiaryCsv(fs.readFileSync(file, "utf8"), decimals)
+  );
+}
+
+module.exports = {
+  parseBeneficiaryCsv,
+  validateBeneficiaries,
+  loadBeneficiaryCsv,
+};
@@ -0,0 +1,173 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { resolveRoleConfig } = require("./roles");
+
+const DEFAULT_CONFIG_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "deploy.config.js"
+);
+
+// Same bounds TokenStaking enforces on a queued APR change.
+const MIN_APR_BPS = 100;
+const MAX_APR_BPS = 5000;
+
+// TokenStaking.RewardMode values.
+const REWARD_MODES = { apr: 0, fixed: 1 };
+
+// TokenStaking.Parameter values, for the timelocked parameter changes.
+const PARAMETERS = { apr: 0, lockup: 1, nftBoost: 2 };
+
+function parseTokenAmount(value, field) {
+  let amount;
+  try {
+    amount = ethers.parseEther(String(value));
+  } catch {
+    amount = -1n;
+  }
+  if (amount < 0n) {
+    throw new Error(`${field} must be a token amount, got "${value}"`);
+  }
+  return amount;
+}
+
+function requireInteger(value, field) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`${field} must be a non-negative integer, got "${value}"`);
+  }
+  return value;
+}
+
+function optionalBoolean(value, field) {
+  if (value === undefined) {
+    return false;
+  }
+  if (typeof value !== "boolean") {
+    throw new Error(`${field} must be true or false, got "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Validates the `roles` of a network entry for the staking and vesting
+ * deployments.
+ */
+function resolveRoles(raw, prefix) {
+  const roles = raw || {};
+  return {
+    staking: resolveRoleConfig(
+      "TokenStaking",
+      roles.staking,
+      `${prefix}.roles.staking`
+    ),
+    vesting: resolveRoleConfig(
+      "TokenVesting",
+      roles.vesting,
+      `${prefix}.roles.vesting`
+    ),
+  };
+}
+
+/**
+ * Validates a raw network entry from deploy.config.js and converts token
+ * amounts to wei.
+ */
+function resolveStakingConfig(raw, networkName) {
+  const prefix = `deploy.config.js ${networkName}`;
+  const token = (raw && raw.token) || {};
+  const staking = (raw && raw.staking) || {};
+
+  const initialSupply = parseTokenAmount(
+    token.initialSupply,
+    `${prefix}.token.initialSupply`
+  );
+  if (initialSupply === 0n) {
+    throw new Error(`${prefix}.token.initialSupply must be greater than 0`);
+  }
+
+  const aprBps = requireInteger(staking.aprBps, `${prefix}.staking.aprBps`);
+  if (aprBps < MIN_APR_BPS || aprBps > MAX_APR_BPS) {
+    throw new Error(
+      `${prefix}.staking.aprBps must be between ${MIN_APR_BPS} and ${MAX_APR_BPS} basis points, got ${aprBps}`
+    );
+  }
+
+  const lockupPeriod = requireInteger(
+    staking.lockupPeriod,
+    `${prefix}.staking.lockupPeriod`
+  );
+
+  const rewardAmount = parseTokenAmount(
+    staking.rewardAmount,
+    `${prefix}.staking.rewardAmount`
+  );
+  if (rewardAmount > initialSupply) {
+    throw new Error(
+      `${prefix}.staking.rewardAmount cannot exceed token.initialSupply`
+    );
+  }
+
+  const upgradeable = optionalBoolean(
+    staking.upgradeable,
+    `${prefix}.staking.upgradeable`
+  );
+
+  const verify = (raw && raw.verify) || {};
+  const verifyOptions = {
+    confirmations: requireInteger(
+      verify.confirmations === undefined ? 5 : verify.confirmations,
+      `${prefix}.verify.confirmations`
+    ),
+    attempts: requireInteger(
+      verify.attempts === undefined ? 5 : verify.attempts,
+      `${prefix}.verify.attempts`
+    ),
+    retryDelayMs: requireInteger(
+      verify.retryDelayMs === undefined ? 10000 : verify.retryDelayMs,
+      `${prefix}.verify.retryDelayMs`
+    ),
+  };
+
+  return {
+    token: { initialSupply },
+    staking: { aprBps, lockupPeriod, rewardAmount, upgradeable },
+    roles: resolveRoles(raw && raw.roles, prefix),
+    verify: verifyOptions,
+  };
+}
+
+/**
+ * Loads the entry for hre.network.name from deploy.config.js.
+ */
+function loadDeployConfig(hre, configPath = DEFAULT_CONFIG_PATH) {
+  const config = require(configPath);
+  const raw = config[hre.network.name];
+  if (!raw) {
+    throw new Error(
+      `No deployment config for network "${hre.network.name}" in ${configPath}`
+    );
+  }
+  return resolveStakingConfig(raw, hre.network.name);
+}
+
+/**
+ * Loads only the role assignments for hre.network.name, for deployments such
+ * as deployVesting.js that do not need the rest of the entry. A network
+ * without config assigns nothing.
+ */
+function loadRoleConfig(hre, configPath = DEFAULT_CONFIG_PATH) {
+  const raw = require(configPath)[hre.network.name];
+  return resolveRoles(raw && raw.roles, `deploy.config.js ${hre.network.name}`);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  MIN_APR_BPS,
+  MAX_APR_BPS,
+  REWARD_MODES,
+  PARAMETERS,
+  loadDeployConfig,
+  loadRoleConfig,
+  resolveStakingConfig,
+};
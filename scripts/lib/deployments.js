@@ -0,0 +1,307 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Converts BigInt values (constructor args, amounts) into decimal strings so
+ * they survive a JSON round trip.
+ */
+function serialize(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, serialize(entry)])
+    );
+  }
+  return value;
+}
+
+function getManifestPath(
+  networkName,
+  deploymentsDir = DEFAULT_DEPLOYMENTS_DIR
+) {
+  return path.join(deploymentsDir, `${networkName}.json`);
+}
+
+/**
+ * Returns the manifest entry recorded for `name` in
+ * deployments/<network>.json (address, args, tx hash, block number, ...).
+ */
+function getDeployment(hre, name, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = getManifestPath(hre.network.name, deploymentsDir);
+  const contracts = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8")).contracts || {}
+    : {};
+  if (!contracts[name]) {
+    throw new Error(
+      `No ${name} recorded for network "${hre.network.name}" in ${file}; deploy it first or pass --address`
+    );
+  }
+  return contracts[name];
+}
+
+/**
+ * Looks up the address recorded for `name` in deployments/<network>.json.
+ */
+function getDeployedAddress(
+  hre,
+  name,
+  deploymentsDir = DEFAULT_DEPLOYMENTS_DIR
+) {
+  return getDeployment(hre, name, deploymentsDir).address;
+}
+
+/**
+ * Loads deployments/<network>.json, or returns an empty manifest when the
+ * network has never been deployed to.
+ */
+async function loadManifest(hre, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = getManifestPath(hre.network.name, deploymentsDir);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  if (!fs.existsSync(file)) {
+    return {
+      file,
+      data: {
+        network: hre.network.name,
+        chainId: chainId.toString(),
+        contracts: {},
+        steps: {},
+      },
+    };
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.chainId !== chainId.toString()) {
+    throw new Error(
+      `${file} was written for chainId ${data.chainId} but ${hre.network.name} reports ${chainId}`
+    );
+  }
+  data.contracts = data.contracts || {};
+  data.steps = data.steps || {};
+
+  // A local node that was restarted loses every recorded contract, so nothing
+  // in the manifest can be resumed from.
+  for (const [name, entry] of Object.entries(data.contracts)) {
+    if (!(await hasCode(hre, entry.address))) {
+      console.log(
+        `⚠️  No code at recorded ${name} address ${entry.address}, starting a fresh manifest`
+      );
+      data.contracts = {};
+      data.steps = {};
+      break;
+    }
+  }
+
+  return { file, data };
+}
+
+function saveManifest(manifest) {
+  fs.mkdirSync(path.dirname(manifest.file), { recursive: true });
+  manifest.data.updatedAt = new Date().toISOString();
+  fs.writeFileSync(
+    manifest.file,
+    JSON.stringify(serialize(manifest.data), null, 2) + "\n"
+  );
+}
+
+async function getCompilerVersion(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  return buildInfo
+    ? buildInfo.solcLongVersion
+    : hre.config.solidity.compilers[0].version;
+}
+
+async function hasCode(hre, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  return code !== "0x";
+}
+
+/**
+ * Returns the contract recorded under `name` when the manifest has one,
+ * otherwise deploys it and records address, args, tx hash, block number and
+ * compiler version in the manifest before returning.
+ */
+async function deployOrResume(
+  hre,
+  manifest,
+  name,
+  { contract = name, args = [] } = {}
+) {
+  const recorded = manifest.data.contracts[name];
+
+  if (recorded) {
+    if (recorded.proxy) {
+      throw new Error(
+        `${name} in ${manifest.file} was deployed behind a proxy; remove its entry to redeploy it without one`
+      );
+    }
+    if (JSON.stringify(recorded.args) !== JSON.stringify(serialize(args))) {
+      throw new Error(
+        `${name} in ${manifest.file} was deployed with different constructor args; remove its entry to redeploy`
+      );
+    }
+    console.log(`⏭️  ${name} already deployed at ${recorded.address}, skipping`);
+    return hre.ethers.getContractAt(contract, recorded.address);
+  }
+
+  const factory = await hre.ethers.getContractFactory(contract);
+  const instance = await factory.deploy(...args);
+  await instance.waitForDeployment();
+  const receipt = await instance.deploymentTransaction().wait();
+
+  manifest.data.contracts[name] = {
+    contract,
+    address: await instance.getAddress(),
+    args,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    compiler: await getCompilerVersion(hre, contract),
+  };
+  saveManifest(manifest);
+
+  return instance;
+}
+
+/**
+ * deployOrResume for upgradeable contracts: deploys `contract` behind a UUPS
+ * proxy initialized with `args`. The proxy address is recorded under `name`,
+ * so tasks resolve it like a plain deployment, and `proxy` keeps the current
+ * implementation and the upgrades made since.
+ */
+async function deployProxyOrResume(
+  hre,
+  manifest,
+  name,
+  { contract = name, args = [] } = {}
+) {
+  const recorded = manifest.data.contracts[name];
+
+  if (recorded) {
+    if (!recorded.proxy) {
+      throw new Error(
+        `${name} in ${manifest.file} was deployed without a proxy; remove its entry to redeploy it upgradeable`
+      );
+    }
+    if (JSON.stringify(recorded.args) !== JSON.stringify(serialize(args))) {
+      throw new Error(
+        `${name} in ${manifest.file} was initialized with different args; remove its entry to redeploy`
+      );
+    }
+    console.log(
+      `⏭️  ${name} proxy already deployed at ${recorded.address}, skipping`
+    );
+    return hre.ethers.getContractAt(contract, recorded.address);
+  }
+
+  const factory = await hre.ethers.getContractFactory(contract);
+  const instance = await hre.upgrades.deployProxy(factory, args, {
+    kind: "uups",
+  });
+  await instance.waitForDeployment();
+  const receipt = await instance.deploymentTransaction().wait();
+  const address = await instance.getAddress();
+
+  manifest.data.contracts[name] = {
+    contract,
+    address,
+    args,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    compiler: await getCompilerVersion(hre, contract),
+    proxy: {
+      kind: "uups",
+      implementation: await hre.upgrades.erc1967.getImplementationAddress(
+        address
+      ),
+      upgrades: [],
+    },
+  };
+  saveManifest(manifest);
+
+  return instance;
+}
+
+/**
+ * Records a contract that was created by another contract's constructor
+ * (e.g. the StakingRewardNFT deployed by TokenStaking).
+ */
+async function recordChildContract(
+  hre,
+  manifest,
+  name,
+  { contract = name, address, args = [], parent }
+) {
+  const recorded = manifest.data.contracts[name];
+  if (recorded && recorded.address === address) {
+    return;
+  }
+
+  const parentEntry = manifest.data.contracts[parent];
+  manifest.data.contracts[name] = {
+    contract,
+    address,
+    args,
+    txHash: parentEntry.txHash,
+    blockNumber: parentEntry.blockNumber,
+    compiler: await getCompilerVersion(hre, contract),
+    deployedBy: parent,
+  };
+  saveManifest(manifest);
+}
+
+/**
+ * Runs a transaction-sending step once. `send` must resolve to a transaction
+ * response; a step already recorded with the same `details` (target address,
+ * amount, ...) is skipped on re-runs.
+ */
+async function runStep(manifest, name, send, details = {}) {
+  const recorded = manifest.data.steps[name];
+  const sameDetails =
+    recorded &&
+    Object.entries(serialize(details)).every(
+      ([key, value]) => JSON.stringify(recorded[key]) === JSON.stringify(value)
+    );
+  if (sameDetails) {
+    console.log(
+      `⏭️  Step "${name}" already done in tx ${recorded.txHash}, skipping`
+    );
+    return null;
+  }
+
+  const tx = await send();
+  const receipt = await tx.wait();
+
+  manifest.data.steps[name] = {
+    ...details,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+  saveManifest(manifest);
+
+  return receipt;
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  getManifestPath,
+  getDeployment,
+  getDeployedAddress,
+  loadManifest,
+  saveManifest,
+  deployOrResume,
+  deployProxyOrResume,
+  getCompilerVersion,
+  recordChildContract,
+  runStep,
+  serialize,
+};
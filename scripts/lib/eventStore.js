@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+const { serialize } = require("./deployments");
+
+const DEFAULT_EVENTS_DIR = path.join(__dirname, "..", "..", "events");
+
+function getStorePath(networkName, eventsDir = DEFAULT_EVENTS_DIR) {
+  return path.join(eventsDir, `${networkName}.json`);
+}
+
+/**
+ * Loads events/<network>.json, or returns an empty store when nothing has
+ * been indexed yet. `lastBlock` is the last fully processed block and
+ * `recentBlocks` maps the hashes of the last few processed blocks, which is
+ * what reorg detection compares against.
+ */
+function loadEventStore(file) {
+  if (!fs.existsSync(file)) {
+    return createEventStore(file);
+  }
+  return { file, data: JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+function createEventStore(file) {
+  return {
+    file,
+    data: {
+      chainId: null,
+      contracts: {},
+      startBlock: null,
+      lastBlock: null,
+      recentBlocks: {},
+      events: [],
+    },
+  };
+}
+
+function saveEventStore(store) {
+  fs.mkdirSync(path.dirname(store.file), { recursive: true });
+  store.data.updatedAt = new Date().toISOString();
+  fs.writeFileSync(
+    store.file,
+    JSON.stringify(serialize(store.data), null, 2) + "\n"
+  );
+}
+
+/**
+ * Drops every event and block hash above `blockNumber`, so the next sync
+ * re-reads those blocks from the chain.
+ */
+function rollbackTo(store, blockNumber) {
+  const { data } = store;
+  data.events = data.events.filter((event) => event.blockNumber <= blockNumber);
+  for (const number of Object.keys(data.recentBlocks)) {
+    if (Number(number) > blockNumber) {
+      delete data.recentBlocks[number];
+    }
+  }
+  data.lastBlock = blockNumber;
+}
+
+const sameAddress = (a, b) => a && b && a.toLowerCase() === b.toLowerCase();
+
+function involvesUser(event, user) {
+  const { args } = event;
+  return (
+    sameAddress(args.user, user) ||
+    sameAddress(args.from, user) ||
+    sameAddress(args.to, user)
+  );
+}
+
+/**
+ * Every indexed event involving `user`, oldest first: stakes, unstakes,
+ * claims, compounds, NFT mints and NFT transfers in or out.
+ */
+function getUserHistory(store, user) {
+  return store.data.events.filter((event) => involvesUser(event, user));
+}
+
+/**
+ * Totals for `user` derived from the indexed events. `nfts` are the reward
+ * NFT ids the user currently holds according to the Transfer events.
+ */
+function getUserSummary(store, user) {
+  const summary = {
+    user,
+    totalStaked: 0n,
+    totalUnstaked: 0n,
+    currentStake: 0n,
+    totalClaimed: 0n,
+    totalCompounded: 0n,
+    firstStakedAt: null,
+    nfts: [],
+  };
+  const nfts = new Set();
+
+  for (const event of getUserHistory(store, user)) {
+    const { args } = event;
+    switch (event.event) {
+      case "Staked":
+        summary.totalStaked += BigInt(args.amount);
+        if (summary.firstStakedAt === null) {
+          summary.firstStakedAt = event.timestamp;
+        }
+        break;
+      case "Unstaked":
+      case "EmergencyExit":
+        summary.totalUnstaked += BigInt(args.amount);
+        break;
+      case "RewardClaimed":
+        summary.totalClaimed += BigInt(args.amount);
+        break;
+      case "RewardCompounded":
+        summary.totalCompounded += BigInt(args.amount);
+        break;
+      case "Transfer":
+        if (sameAddress(args.to, user)) {
+          nfts.add(args.tokenId);
+        } else {
+          nfts.delete(args.tokenId);
+        }
+        break;
+    }
+  }
+
+  summary.currentStake =
+    summary.totalStaked + summary.totalCompounded - summary.totalUnstaked;
+  summary.nfts = [...nfts].map(BigInt);
+  return summary;
+}
+
+/**
+ * Summaries for every address that has ever staked, in order of first stake.
+ */
+function getStakers(store) {
+  const users = [];
+  for (const event of store.data.events) {
+    const user = event.args.user;
+    if (
+      event.event === "Staked" &&
+      !users.some((known) => sameAddress(known, user))
+    ) {
+      users.push(user);
+    }
+  }
+  return users.map((user) => getUserSummary(store, user));
+}
+
+// Compounded rewards leave the reward pool just like claimed ones.
+function getTotalRewardsPaid(store) {
+  return store.data.events
+    .filter(
+      (event) =>
+        event.event === "RewardClaimed" || event.event === "RewardCompounded"
+    )
+    .reduce((total, event) => total + BigInt(event.args.amount), 0n);
+}
+
+function getAprHistory(store) {
+  return store.data.events
+    .filter((event) => event.event === "APRUpdated")
+    .map((event) => ({
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      apr: BigInt(event.args.newAPR),
+    }));
+}
+
+module.exports = {
+  DEFAULT_EVENTS_DIR,
+  getStorePath,
+  loadEventStore,
+  createEventStore,
+  saveEventStore,
+  rollbackTo,
+  getUserHistory,
+  getUserSummary,
+  getStakers,
+  getTotalRewardsPaid,
+  getAprHistory,
+};
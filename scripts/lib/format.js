@@ -0,0 +1,77 @@
+const UNITS = [
+  ["d", 24 * 60 * 60],
+  ["h", 60 * 60],
+  ["m", 60],
+  ["s", 1],
+];
+
+/**
+ * Formats a number of seconds as e.g. "1d 2h 3m 4s" (zero parts omitted).
+ */
+function formatDuration(seconds) {
+  let remaining = Number(seconds);
+  if (remaining <= 0) {
+    return "0s";
+  }
+
+  const parts = [];
+  for (const [label, size] of UNITS) {
+    const count = Math.floor(remaining / size);
+    if (count > 0) {
+      parts.push(`${count}${label}`);
+      remaining -= count * size;
+    }
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Parses "604800", "7d" or "1d 12h" into seconds.
+ */
+function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const sizes = Object.fromEntries(UNITS);
+  const parts = text.split(/\s+/);
+  let seconds = 0;
+  for (const part of parts) {
+    const match = /^(\d+)([dhms])$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid duration "${value}", expected e.g. 86400 or 7d`);
+    }
+    seconds += Number(match[1]) * sizes[match[2]];
+  }
+  return seconds;
+}
+
+/**
+ * Formats a basis-point APR as e.g. "1000 bps (10% APR)".
+ */
+function formatApr(bps) {
+  return `${bps} bps (${Number(bps) / 100}% APR)`;
+}
+
+/**
+ * Describes a TokenVesting schedule, e.g. "30d cliff, then vests every 30d
+ * over 360d".
+ */
+function formatVestingSchedule(cliff, duration, interval) {
+  if (BigInt(duration) === 0n) {
+    return `everything unlocks after the ${formatDuration(cliff)} cliff`;
+  }
+  const unlock =
+    BigInt(interval) === 0n ? "linearly" : `every ${formatDuration(interval)}`;
+  return `${formatDuration(
+    cliff
+  )} cliff, then vests ${unlock} over ${formatDuration(duration)}`;
+}
+
+module.exports = {
+  formatDuration,
+  parseDuration,
+  formatApr,
+  formatVestingSchedule,
+};
@@ -0,0 +1,104 @@
+const { ethers } = require("ethers");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Leaf for a (beneficiary, allocation) pair, hashed twice like
+ * TokenVesting.registerWithProof (and OpenZeppelin's StandardMerkleTree) so a
+ * leaf can never be mistaken for an inner node.
+ */
+function hashLeaf(beneficiary, allocation) {
+  return ethers.keccak256(
+    ethers.keccak256(
+      coder.encode(["address", "uint256"], [beneficiary, allocation])
+    )
+  );
+}
+
+// MerkleProof hashes sorted pairs, so proofs do not need left/right flags.
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds the tree bottom-up from the sorted leaf hashes. An odd node at the
+ * end of a layer moves up unchanged. Returns every layer, leaves first.
+ */
+function buildLayers(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+  const layers = [[...leaves].sort()];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(
+        i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]
+      );
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+function getProof(layers, leaf) {
+  let index = layers[0].indexOf(leaf);
+  if (index === -1) {
+    throw new Error(`Leaf ${leaf} is not in the tree`);
+  }
+  const proof = [];
+  for (const layer of layers.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyProof(proof, root, leaf) {
+  return proof.reduce(hashPair, leaf) === root;
+}
+
+/**
+ * Turns validated `{ beneficiaries, allocations }` (see
+ * lib/beneficiaries.validateBeneficiaries) into the root to commit with
+ * setMerkleRoot, the total allocation and a `{ allocation, proof }` claim per
+ * beneficiary. Allocations must be above zero, since registerWithProof rejects
+ * any other leaf and it could never be claimed.
+ */
+function buildMerkleDistribution({ beneficiaries, allocations }) {
+  beneficiaries.forEach((beneficiary, i) => {
+    if (allocations[i] <= 0n) {
+      throw new Error(`Allocation of ${beneficiary} must be greater than 0`);
+    }
+  });
+  const leaves = beneficiaries.map((beneficiary, i) =>
+    hashLeaf(beneficiary, allocations[i])
+  );
+  const layers = buildLayers(leaves);
+
+  const claims = {};
+  beneficiaries.forEach((beneficiary, i) => {
+    claims[beneficiary] = {
+      allocation: allocations[i],
+      proof: getProof(layers, leaves[i]),
+    };
+  });
+
+  return {
+    merkleRoot: layers[layers.length - 1][0],
+    totalAllocation: allocations.reduce((total, value) => total + value, 0n),
+    claims,
+  };
+}
+
+module.exports = {
+  hashLeaf,
+  verifyProof,
+  buildMerkleDistribution,
+};
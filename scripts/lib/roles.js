@@ -0,0 +1,145 @@
+const { ethers } = require("ethers");
+
+const DEFAULT_ADMIN = "DEFAULT_ADMIN";
+
+// Roles of each contract besides DEFAULT_ADMIN, as declared in the contracts.
+const CONTRACT_ROLES = {
+  TokenStaking: ["REWARD_FUNDER", "PARAM_MANAGER", "PAUSER", "TREASURY"],
+  TokenVesting: ["PARAM_MANAGER", "FUNDER", "PAUSER", "TREASURY"],
+  StakingRewardNFT: ["MINTER"],
+};
+
+/**
+ * Normalizes "pauser", "PAUSER" or "PAUSER_ROLE" to "PAUSER" and checks it is
+ * one of `contractName`'s roles.
+ */
+function normalizeRoleName(contractName, name) {
+  const known = [DEFAULT_ADMIN, ...CONTRACT_ROLES[contractName]];
+  const role = String(name)
+    .trim()
+    .toUpperCase()
+    .replace(/_ROLE$/, "");
+  if (!known.includes(role)) {
+    throw new Error(
+      `${contractName} has no role "${name}"; expected one of ${known.join(
+        ", "
+      )}`
+    );
+  }
+  return role;
+}
+
+// AccessControl role ids: 0x00 for DEFAULT_ADMIN_ROLE, otherwise the hash of
+// the constant's name.
+function roleId(role) {
+  return role === DEFAULT_ADMIN
+    ? ethers.ZeroHash
+    : ethers.keccak256(ethers.toUtf8Bytes(`${role}_ROLE`));
+}
+
+function roleNameOf(contractName, id) {
+  return [DEFAULT_ADMIN, ...CONTRACT_ROLES[contractName]].find(
+    (role) => roleId(role) === id
+  );
+}
+
+/**
+ * Replays the RoleGranted and RoleRevoked events of `contract` since
+ * `fromBlock` and returns the current holders of every role, e.g.
+ * `{ DEFAULT_ADMIN: ["0x..."], PAUSER: [] }`, in the order they were granted.
+ */
+async function getRoleHolders(contract, contractName, fromBlock = 0) {
+  const events = [
+    ...(await contract.queryFilter(contract.filters.RoleGranted(), fromBlock)),
+    ...(await contract.queryFilter(contract.filters.RoleRevoked(), fromBlock)),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const holders = Object.fromEntries(
+    [DEFAULT_ADMIN, ...CONTRACT_ROLES[contractName]].map((role) => [
+      role,
+      new Set(),
+    ])
+  );
+  for (const event of events) {
+    const role = roleNameOf(contractName, event.args.role);
+    if (!role) {
+      continue;
+    }
+    if (event.eventName === "RoleGranted") {
+      holders[role].add(event.args.account);
+    } else {
+      holders[role].delete(event.args.account);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(holders).map(([role, accounts]) => [role, [...accounts]])
+  );
+}
+
+/**
+ * Validates the `roles` entry of a contract in deploy.config.js: role names
+ * mapped to an address or a list of addresses. Returns the role names
+ * normalized and the addresses checksummed.
+ */
+function resolveRoleConfig(contractName, raw, prefix) {
+  const roles = {};
+  for (const [name, value] of Object.entries(raw || {})) {
+    const role = normalizeRoleName(contractName, name);
+    const accounts = Array.isArray(value) ? value : [value];
+    roles[role] = accounts.map((account) => {
+      if (!ethers.isAddress(account)) {
+        throw new Error(
+          `${prefix}.${name} must be an address or a list of addresses, got "${account}"`
+        );
+      }
+      return ethers.getAddress(account);
+    });
+  }
+  if (roles[DEFAULT_ADMIN] && roles[DEFAULT_ADMIN].length === 0) {
+    throw new Error(
+      `${prefix}.${DEFAULT_ADMIN} cannot be empty, nobody could manage roles`
+    );
+  }
+  return roles;
+}
+
+/**
+ * Hands the roles the deployer was granted in the constructor over to the
+ * accounts configured for them. Listed accounts are granted the role and the
+ * deployer renounces it unless listed too; roles missing from `roles` stay
+ * with the deployer. DEFAULT_ADMIN goes last, as the deployer needs it to
+ * grant the others. Only sends the transactions still needed, so a failed
+ * run can simply be repeated.
+ */
+async function assignRoles(contract, contractName, roles, deployer) {
+  const order = [...CONTRACT_ROLES[contractName], DEFAULT_ADMIN].filter(
+    (role) => roles[role]
+  );
+
+  for (const role of order) {
+    for (const account of roles[role]) {
+      if (!(await contract.hasRole(roleId(role), account))) {
+        console.log(`Granting ${role} to ${account}...`);
+        await (await contract.grantRole(roleId(role), account)).wait();
+      }
+    }
+  }
+  for (const role of order) {
+    const keep = roles[role].includes(ethers.getAddress(deployer));
+    if (!keep && (await contract.hasRole(roleId(role), deployer))) {
+      console.log(`Renouncing ${role} for the deployer...`);
+      await (await contract.renounceRole(roleId(role), deployer)).wait();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_ADMIN,
+  CONTRACT_ROLES,
+  normalizeRoleName,
+  roleId,
+  getRoleHolders,
+  resolveRoleConfig,
+  assignRoles,
+};
@@ -0,0 +1,475 @@
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+const BASIS_POINTS = 10000n;
+const MAX_LOCKUP_PERIOD = 365n * 24n * 60n * 60n;
+const NFT_BOOST_FULL_DURATION = 180n * 24n * 60n * 60n;
+const MAX_NFT_BOOST_BPS = 1000n;
+
+/**
+ * Rewards earned by `stake` between its last checkpoint and `now`, with the
+ * same integer truncation as TokenStaking.updateRewards.
+ */
+function earnedSince(stake, now) {
+  if (stake.amount === 0n) {
+    return 0n;
+  }
+  const elapsed = BigInt(now) - stake.lastRewardTime;
+  return (
+    (stake.amount * stake.lastRewardRate * elapsed) /
+    (SECONDS_PER_YEAR * BASIS_POINTS)
+  );
+}
+
+/**
+ * In-memory copy of TokenStaking's accounting. Every method mirrors the
+ * contract function of the same name, takes the block timestamp to run at and
+ * throws the contract's revert reason where the contract would revert.
+ *
+ * Note that, like the contract, an APR change only reaches a staker at their
+ * next stake, unstake or claim; until then they keep accruing at the rate of
+ * their last checkpoint. `lockupTiers` mirrors getLockupTiers, so tier `n` is
+ * `lockupTiers[n - 1]`. Each stake keeps its open `positions` (see
+ * getPositions); a stake given without them is treated as a single position.
+ * A position without a `lockupPeriod` gets its tier's current lockup.
+ * Stakes with `nftLocked` earn `nftBoostBps` on top of their tier's rate,
+ * pro-rated like nftBoostFor by the `nftStakingDuration` the locked NFT
+ * records (the full boost when it is not given) and, like stakerRewardRate,
+ * diluted over any stake above the NFT's `nftAmount` (no cap when not given).
+ *
+ * updateAPR, setLockupPeriod and setNftBoost stand for a queued parameter
+ * change being executed; the timelock itself is not simulated.
+ */
+class StakingSimulator {
+  constructor({
+    rewardRate,
+    lockupPeriod,
+    rewardPool = 0n,
+    totalStaked = 0n,
+    stakes = {},
+    lockupTiers = [],
+    nftBoostBps = 0n,
+  }) {
+    this.rewardRate = BigInt(rewardRate);
+    this.lockupPeriod = BigInt(lockupPeriod);
+    this.lockupTiers = lockupTiers.map((tier) => ({
+      lockupPeriod: BigInt(tier.lockupPeriod),
+      multiplier: BigInt(tier.multiplier),
+      active: tier.active,
+    }));
+    this.nftBoostBps = BigInt(nftBoostBps);
+    this.rewardPool = BigInt(rewardPool);
+    this.totalStaked = BigInt(totalStaked);
+    this.stakes = {};
+    for (const [user, stake] of Object.entries(stakes)) {
+      const tierId = BigInt(stake.tierId || 0n);
+      this.stakes[user] = {
+        amount: BigInt(stake.amount),
+        stakeTime: BigInt(stake.stakeTime),
+        lastRewardTime: BigInt(stake.lastRewardTime),
+        pendingRewards: BigInt(stake.pendingRewards),
+        lastRewardRate: BigInt(stake.lastRewardRate),
+        tierId,
+        nftLocked: Boolean(stake.nftLocked),
+        nftStakingDuration: BigInt(
+          stake.nftStakingDuration === undefined
+            ? NFT_BOOST_FULL_DURATION
+            : stake.nftStakingDuration
+        ),
+        nftAmount:
+          stake.nftAmount === undefined || stake.nftAmount === null
+            ? null
+            : BigInt(stake.nftAmount),
+        positions: (
+          stake.positions || (BigInt(stake.amount) > 0n ? [stake] : [])
+        ).map((position) => ({
+          amount: BigInt(position.amount),
+          stakeTime: BigInt(position.stakeTime),
+          lockupPeriod:
+            position.lockupPeriod === undefined
+              ? this.tierLockupPeriod(tierId)
+              : BigInt(position.lockupPeriod),
+        })),
+      };
+    }
+  }
+
+  clone() {
+    return new StakingSimulator(this);
+  }
+
+  stakeOf(user) {
+    if (!this.stakes[user]) {
+      this.stakes[user] = {
+        amount: 0n,
+        stakeTime: 0n,
+        lastRewardTime: 0n,
+        pendingRewards: 0n,
+        lastRewardRate: 0n,
+        tierId: 0n,
+        nftLocked: false,
+        nftStakingDuration: 0n,
+        nftAmount: null,
+        positions: [],
+      };
+    }
+    return this.stakes[user];
+  }
+
+  tierLockupPeriod(tierId) {
+    return tierId === 0n
+      ? this.lockupPeriod
+      : this.lockupTiers[Number(tierId) - 1].lockupPeriod;
+  }
+
+  tierRewardRate(tierId) {
+    return tierId === 0n
+      ? this.rewardRate
+      : (this.rewardRate * this.lockupTiers[Number(tierId) - 1].multiplier) /
+          BASIS_POINTS;
+  }
+
+  stakerRewardRate(stake, tierId = stake.tierId) {
+    const rate = this.tierRewardRate(tierId);
+    if (!stake.nftLocked) {
+      return rate;
+    }
+    const boost = this.nftBoost(stake);
+    if (stake.nftAmount !== null && stake.amount > stake.nftAmount) {
+      return rate + (boost * stake.nftAmount) / stake.amount;
+    }
+    return rate + boost;
+  }
+
+  nftBoost(stake) {
+    if (stake.nftStakingDuration >= NFT_BOOST_FULL_DURATION) {
+      return this.nftBoostBps;
+    }
+    return (
+      (this.nftBoostBps * stake.nftStakingDuration) / NFT_BOOST_FULL_DURATION
+    );
+  }
+
+  updateRewards(user, now) {
+    const stake = this.stakeOf(user);
+    if (stake.amount > 0n) {
+      stake.pendingRewards += earnedSince(stake, now);
+      stake.lastRewardTime = BigInt(now);
+      stake.lastRewardRate = this.stakerRewardRate(stake);
+    }
+  }
+
+  stake(user, amount, now, tierId = 0n) {
+    const tier = BigInt(tierId);
+    if (tier > BigInt(this.lockupTiers.length)) {
+      throw new Error("Invalid lockup tier");
+    }
+    if (tier > 0n && !this.lockupTiers[Number(tier) - 1].active) {
+      throw new Error("Lockup tier is disabled");
+    }
+    if (amount <= 0n) {
+      throw new Error("Amount must be greater than '0'!");
+    }
+    this.updateRewards(user, now);
+
+    const stake = this.stakeOf(user);
+    if (stake.amount === 0n) {
+      stake.stakeTime = BigInt(now);
+      stake.lastRewardTime = BigInt(now);
+      stake.tierId = tier;
+    } else if (stake.tierId !== tier) {
+      throw new Error("Stake is in a different lockup tier");
+    }
+    stake.amount += amount;
+    this.totalStaked += amount;
+    stake.lastRewardRate = this.stakerRewardRate(stake, tier);
+    stake.positions.push({
+      amount,
+      stakeTime: BigInt(now),
+      lockupPeriod: this.tierLockupPeriod(tier),
+    });
+  }
+
+  // Oldest positions first, like the contract's unStake.
+  unStake(user, amount, now) {
+    if (amount <= 0n) {
+      throw new Error("Amount must be greater than 0");
+    }
+    const stake = this.stakeOf(user);
+    if (stake.amount < amount) {
+      throw new Error("Insufficient staked amounts");
+    }
+    // Every position the unstake draws on must have unlocked, even when a
+    // newer one has unlocked first
+    let needed = amount;
+    for (const position of stake.positions) {
+      if (needed === 0n) {
+        break;
+      }
+      if (BigInt(now) < position.stakeTime + position.lockupPeriod) {
+        throw new Error("Funds are still in lockup period");
+      }
+      needed -= position.amount < needed ? position.amount : needed;
+    }
+    this.updateRewards(user, now);
+
+    let remaining = amount;
+    while (remaining > 0n) {
+      const position = stake.positions[0];
+      const taken = position.amount < remaining ? position.amount : remaining;
+      position.amount -= taken;
+      remaining -= taken;
+      if (position.amount === 0n) {
+        stake.positions.shift();
+      }
+    }
+    if (stake.positions.length > 0) {
+      stake.stakeTime = stake.positions[0].stakeTime;
+    }
+    stake.amount -= amount;
+    this.totalStaked -= amount;
+    stake.lastRewardRate = this.stakerRewardRate(stake);
+  }
+
+  claimRewards(user, now) {
+    this.updateRewards(user, now);
+
+    const stake = this.stakeOf(user);
+    const rewards = stake.pendingRewards;
+    if (rewards === 0n) {
+      throw new Error("No rewards to claim");
+    }
+    if (rewards > this.rewardPool) {
+      // `rewardPool -= rewards` underflows in the contract.
+      throw new Error("Reward pool exhausted (rewardPool underflow)");
+    }
+
+    stake.pendingRewards = 0n;
+    this.rewardPool -= rewards;
+    return rewards;
+  }
+
+  // The simulator does not know the token addresses, so unlike the contract it
+  // does not check that rewards are paid in the staking token.
+  compound(user, now) {
+    this.updateRewards(user, now);
+
+    const stake = this.stakeOf(user);
+    const rewards = stake.pendingRewards;
+    if (stake.amount === 0n) {
+      throw new Error("No active stake to compound into");
+    }
+    if (rewards === 0n) {
+      throw new Error("No rewards to claim");
+    }
+    if (rewards > this.rewardPool) {
+      throw new Error("Insufficient Reward Pool funds");
+    }
+
+    stake.pendingRewards = 0n;
+    this.rewardPool -= rewards;
+    stake.amount += rewards;
+    this.totalStaked += rewards;
+    stake.lastRewardRate = this.stakerRewardRate(stake);
+    stake.positions.push({
+      amount: rewards,
+      stakeTime: BigInt(now),
+      lockupPeriod: this.tierLockupPeriod(stake.tierId),
+    });
+    return rewards;
+  }
+
+  updateAPR(apr) {
+    const value = BigInt(apr);
+    if (value > 5000n) {
+      throw new Error("APR too high");
+    }
+    if (value < 100n) {
+      throw new Error("APR too low");
+    }
+    this.rewardRate = value;
+  }
+
+  // Only positions opened from now on get the new lockup.
+  setLockupPeriod(period) {
+    const value = BigInt(period);
+    if (value > MAX_LOCKUP_PERIOD) {
+      throw new Error("Lockup period too long");
+    }
+    this.lockupPeriod = value;
+  }
+
+  // Like a new APR, a new boost reaches stakers at their next checkpoint.
+  setNftBoost(bps) {
+    const value = BigInt(bps);
+    if (value > MAX_NFT_BOOST_BPS) {
+      throw new Error("NFT boost too high");
+    }
+    this.nftBoostBps = value;
+  }
+
+  addRewards(amount) {
+    if (amount <= 0n) {
+      throw new Error("Amount must be greater than 0");
+    }
+    this.rewardPool += amount;
+  }
+
+  getStakeInfo(user, now) {
+    const stake = this.stakeOf(user);
+    let lockupRemaining = 0n;
+    for (const position of stake.positions) {
+      const lockupEnd = position.stakeTime + position.lockupPeriod;
+      if (lockupEnd > BigInt(now) + lockupRemaining) {
+        lockupRemaining = lockupEnd - BigInt(now);
+      }
+    }
+    return {
+      amount: stake.amount,
+      stakeTime: stake.stakeTime,
+      lockupRemaining,
+      pendingRewards: stake.pendingRewards + earnedSince(stake, now),
+      tierId: stake.tierId,
+    };
+  }
+
+  /**
+   * Rewards owed to all stakers at `now`: what getStakeInfo would report as
+   * pending for every staker combined.
+   */
+  obligations(now) {
+    let total = 0n;
+    for (const stake of Object.values(this.stakes)) {
+      total += stake.pendingRewards + earnedSince(stake, now);
+    }
+    return total;
+  }
+}
+
+function snapshot(simulator, timestamp) {
+  const obligations = simulator.obligations(timestamp);
+  return {
+    timestamp,
+    rewardRate: simulator.rewardRate,
+    lockupPeriod: simulator.lockupPeriod,
+    totalStaked: simulator.totalStaked,
+    rewardPool: simulator.rewardPool,
+    obligations,
+    surplus: simulator.rewardPool - obligations,
+  };
+}
+
+/**
+ * First second in (from, to] at which obligations exceed the reward pool,
+ * or null. Obligations only grow while no action runs, so a binary search
+ * over the interval finds the exact second.
+ */
+function findInsolvency(simulator, from, to) {
+  const insolvent = (t) => simulator.obligations(t) > simulator.rewardPool;
+  if (!insolvent(to)) {
+    return null;
+  }
+  let low = from;
+  let high = to;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (insolvent(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return high;
+}
+
+function applyAction(simulator, action, timestamp) {
+  switch (action.action) {
+    case "stake":
+      return simulator.stake(
+        action.user,
+        BigInt(action.amount),
+        timestamp,
+        action.tier
+      );
+    case "unStake":
+      return simulator.unStake(action.user, BigInt(action.amount), timestamp);
+    case "claimRewards":
+      return simulator.claimRewards(action.user, timestamp);
+    case "compound":
+      return simulator.compound(action.user, timestamp);
+    case "updateAPR":
+      return simulator.updateAPR(action.bps);
+    case "setLockupPeriod":
+      return simulator.setLockupPeriod(action.period);
+    case "setNftBoost":
+      return simulator.setNftBoost(action.bps);
+    case "addRewards":
+      return simulator.addRewards(BigInt(action.amount));
+    default:
+      throw new Error(`Unknown scenario action "${action.action}"`);
+  }
+}
+
+/**
+ * Projects a StakingSimulator's state from `start` (a unix timestamp) over
+ * `horizon` seconds, applying the scenario `actions` (`{ at, action, ... }` with `at` a
+ * unix timestamp) along the way. Returns a snapshot every `step` seconds, the
+ * actions that would revert, and `insolventAt`: the first second at which the
+ * rewards owed to stakers exceed the reward pool, after which claims start to
+ * fail.
+ */
+function projectRewards(
+  initial,
+  { start, horizon, step = horizon, actions = [] }
+) {
+  const simulator = initial.clone();
+  const end = start + horizon;
+  const pending = [...actions]
+    .filter((action) => action.at <= end)
+    .sort((a, b) => a.at - b.at);
+
+  const samples = [];
+  const reverted = [];
+  let insolventAt =
+    simulator.obligations(start) > simulator.rewardPool ? start : null;
+  let now = start;
+
+  const advanceTo = (timestamp) => {
+    if (insolventAt === null && timestamp > now) {
+      insolventAt = findInsolvency(simulator, now, timestamp);
+    }
+    now = Math.max(now, timestamp);
+  };
+  const runActionsUntil = (timestamp) => {
+    while (pending.length > 0 && pending[0].at <= timestamp) {
+      const action = pending.shift();
+      advanceTo(action.at);
+      try {
+        applyAction(simulator, action, now);
+      } catch (error) {
+        reverted.push({ ...action, reason: error.message });
+      }
+      if (
+        insolventAt === null &&
+        simulator.obligations(now) > simulator.rewardPool
+      ) {
+        insolventAt = now;
+      }
+    }
+    advanceTo(timestamp);
+  };
+
+  for (let sampleAt = start; sampleAt <= end; sampleAt += step) {
+    runActionsUntil(sampleAt);
+    samples.push(snapshot(simulator, sampleAt));
+  }
+  runActionsUntil(end);
+
+  return { samples, reverted, insolventAt };
+}
+
+module.exports = {
+  SECONDS_PER_YEAR,
+  BASIS_POINTS,
+  earnedSince,
+  StakingSimulator,
+  projectRewards,
+};
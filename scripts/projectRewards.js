@@ -0,0 +1,281 @@
+const fs = require("fs");
+const { REWARD_MODES, PARAMETERS } = require("./lib/config");
+const { getDeployment } = require("./lib/deployments");
+const { formatDuration, parseDuration, formatApr } = require("./lib/format");
+const { StakingSimulator, projectRewards } = require("./lib/stakingSimulator");
+
+/**
+ * Reads TokenStaking's accounting into a StakingSimulator: global rate,
+ * lockup, lockup tiers and pool, plus the raw `stakes` entry of every
+ * address that ever emitted Staked.
+ */
+async function loadStakingState(hre, staking, { fromBlock = 0 } = {}) {
+  const stakers = new Set();
+  for (const log of await staking.queryFilter(
+    staking.filters.Staked(),
+    fromBlock
+  )) {
+    stakers.add(log.args.user);
+  }
+
+  const rewardNFT = await hre.ethers.getContractAt(
+    "StakingRewardNFT",
+    await staking.rewardNFT()
+  );
+  const stakes = {};
+  for (const user of stakers) {
+    const stake = await staking.stakes(user);
+    const lockedNft = await staking.lockedNft(user);
+    const nft = lockedNft !== 0n ? await rewardNFT.rewardInfo(lockedNft) : null;
+    stakes[user] = {
+      amount: stake.amount,
+      stakeTime: stake.stakeTime,
+      lastRewardTime: stake.lastRewardTime,
+      pendingRewards: stake.pendingRewards,
+      lastRewardRate: stake.lastRewardRate,
+      tierId: stake.tierId,
+      nftLocked: lockedNft !== 0n,
+      nftStakingDuration: nft ? nft.stakingDuration : 0n,
+      nftAmount: nft ? nft.amount : null,
+      positions: (await staking.getPositions(user)).map((position) => ({
+        amount: position.amount,
+        stakeTime: position.stakeTime,
+        lockupPeriod: position.lockupPeriod,
+      })),
+    };
+  }
+
+  return new StakingSimulator({
+    rewardRate: await staking.rewardRate(),
+    lockupPeriod: await staking.lockupPeriod(),
+    rewardPool: await staking.rewardPool(),
+    totalStaked: await staking.totalStaked(),
+    stakes,
+    lockupTiers: await staking.getLockupTiers(),
+    nftBoostBps: await staking.nftBoostBps(),
+  });
+}
+
+/**
+ * Turns scenario entries such as
+ * `{ after: "30d", action: "stake", user: "whale", amount: "50000" }` into
+ * simulator actions: `after` becomes a timestamp relative to `start`, token
+ * amounts are parsed with the token decimals and lockup periods accept
+ * durations like "14d".
+ */
+function resolveScenario(
+  hre,
+  scenario,
+  { start, stakingDecimals, rewardDecimals }
+) {
+  return scenario.map((entry) => {
+    const action = { ...entry, at: start + parseDuration(entry.after || 0) };
+    delete action.after;
+    if (entry.action === "stake" || entry.action === "unStake") {
+      action.amount = hre.ethers.parseUnits(
+        String(entry.amount),
+        stakingDecimals
+      );
+    }
+    if (entry.action === "addRewards") {
+      action.amount = hre.ethers.parseUnits(
+        String(entry.amount),
+        rewardDecimals
+      );
+    }
+    if (entry.action === "setLockupPeriod") {
+      action.period = parseDuration(entry.period);
+    }
+    return action;
+  });
+}
+
+function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(scenario)) {
+    throw new Error(`${file} must contain a JSON array of scenario actions`);
+  }
+  return scenario;
+}
+
+/**
+ * Parameter changes queued on chain, as scenario actions at the time they
+ * become executable.
+ */
+async function queuedChanges(staking) {
+  const actions = [];
+  const apr = await staking.pendingChanges(PARAMETERS.apr);
+  if (apr.effectiveTime > 0n) {
+    actions.push({
+      at: Number(apr.effectiveTime),
+      action: "updateAPR",
+      bps: apr.value,
+    });
+  }
+  const lockup = await staking.pendingChanges(PARAMETERS.lockup);
+  if (lockup.effectiveTime > 0n) {
+    actions.push({
+      at: Number(lockup.effectiveTime),
+      action: "setLockupPeriod",
+      period: lockup.value,
+    });
+  }
+  const nftBoost = await staking.pendingChanges(PARAMETERS.nftBoost);
+  if (nftBoost.effectiveTime > 0n) {
+    actions.push({
+      at: Number(nftBoost.effectiveTime),
+      action: "setNftBoost",
+      bps: nftBoost.value,
+    });
+  }
+  return actions;
+}
+
+/**
+ * Projects reward obligations against the reward pool from the current
+ * on-chain state, optionally with a hypothetical scenario (see
+ * scripts/runway.example.json), and prints when the pool runs dry. Queued
+ * parameter changes are assumed to be executed as soon as they are due.
+ */
+async function projectRunway(
+  hre,
+  { stakingAddress, horizon = "365d", step = "30d", scenario = [], apr } = {}
+) {
+  const deployment = stakingAddress
+    ? { address: stakingAddress, blockNumber: 0 }
+    : getDeployment(hre, "TokenStaking");
+  const staking = await hre.ethers.getContractAt(
+    "TokenStaking",
+    deployment.address
+  );
+  const decimalsOf = async (address) =>
+    (await hre.ethers.getContractAt("IERC20Metadata", address)).decimals();
+  const stakingDecimals = await decimalsOf(await staking.stakingToken());
+  const rewardDecimals = await decimalsOf(await staking.rewardToken());
+
+  if (Number(await staking.rewardMode()) === REWARD_MODES.fixed) {
+    return reportFixedBudget(hre, staking, deployment.address, rewardDecimals);
+  }
+
+  const simulator = await loadStakingState(hre, staking, {
+    fromBlock: deployment.blockNumber,
+  });
+  const start = (await hre.ethers.provider.getBlock("latest")).timestamp;
+
+  const actions = [
+    ...(await queuedChanges(staking)),
+    ...resolveScenario(
+      hre,
+      typeof scenario === "string" ? loadScenario(scenario) : scenario,
+      { start, stakingDecimals, rewardDecimals }
+    ),
+  ];
+  if (apr !== undefined) {
+    actions.unshift({ at: start, action: "updateAPR", bps: Number(apr) });
+  }
+
+  const projection = projectRewards(simulator, {
+    start,
+    horizon: parseDuration(horizon),
+    step: parseDuration(step),
+    actions,
+  });
+
+  const format = (value) => hre.ethers.formatUnits(value, rewardDecimals);
+  const date = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+  console.log(`📈 Reward pool projection for ${deployment.address}`);
+  console.log("-".repeat(50));
+  console.log("Current APR:", formatApr(simulator.rewardRate));
+  console.log(
+    "Total staked:",
+    hre.ethers.formatUnits(simulator.totalStaked, stakingDecimals)
+  );
+  console.log("Reward pool:", format(simulator.rewardPool));
+  console.log("Owed now:", format(simulator.obligations(start)));
+  console.log("");
+  for (const sample of projection.samples) {
+    console.log(
+      [
+        date(sample.timestamp),
+        `APR ${sample.rewardRate} bps`,
+        `staked ${hre.ethers.formatUnits(sample.totalStaked, stakingDecimals)}`,
+        `pool ${format(sample.rewardPool)}`,
+        `owed ${format(sample.obligations)}`,
+        `surplus ${format(sample.surplus)}`,
+      ].join("  ")
+    );
+  }
+  for (const action of projection.reverted) {
+    console.log(
+      `⚠️  ${action.action} at ${date(action.at)} would revert: ${
+        action.reason
+      }`
+    );
+  }
+  if (projection.insolventAt !== null) {
+    console.log(
+      `\n❌ Reward pool becomes insolvent at ${date(
+        projection.insolventAt
+      )} (in ${formatDuration(projection.insolventAt - start)})`
+    );
+  } else {
+    console.log(
+      `\n✅ Reward pool covers all obligations for the next ${horizon}`
+    );
+  }
+
+  return { start, simulator, ...projection };
+}
+
+/**
+ * Fixed budget mode only ever pays out what was funded, so instead of a
+ * projection print what is left to emit in the current period.
+ */
+async function reportFixedBudget(hre, staking, address, rewardDecimals) {
+  const start = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  const periodFinish = Number(await staking.periodFinish());
+  const emissionRate = await staking.emissionRate();
+  const remaining =
+    periodFinish > start ? BigInt(periodFinish - start) * emissionRate : 0n;
+
+  console.log(`📈 Reward pool projection for ${address}`);
+  console.log("-".repeat(50));
+  console.log("Reward mode: fixed budget");
+  console.log(
+    "Emission rate:",
+    hre.ethers.formatUnits(emissionRate, rewardDecimals),
+    "per second"
+  );
+  console.log(
+    "Period ends:",
+    new Date(periodFinish * 1000).toISOString(),
+    periodFinish > start ? `(in ${formatDuration(periodFinish - start)})` : ""
+  );
+  console.log(
+    "Left to emit:",
+    hre.ethers.formatUnits(remaining, rewardDecimals)
+  );
+  console.log(
+    "\n✅ Payouts are capped by the funded periods, the pool cannot run dry"
+  );
+
+  return { start, periodFinish, emissionRate, remaining, insolventAt: null };
+}
+
+if (require.main === module) {
+  projectRunway(require("hardhat"), {
+    stakingAddress: process.env.STAKING_ADDRESS,
+    horizon: process.env.HORIZON,
+    step: process.env.STEP,
+    scenario: process.env.SCENARIO,
+    apr: process.env.APR,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Projection failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadStakingState, resolveScenario, projectRunway };
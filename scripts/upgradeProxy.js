@@ -0,0 +1,139 @@
+const {
+  loadManifest,
+  saveManifest,
+  getCompilerVersion,
+} = require("./lib/deployments");
+
+/**
+ * Upgrades the UUPS proxy recorded under `name` in the deployment manifest to
+ * a new implementation `contract`. The storage layout of `contract` is checked
+ * against the current implementation first, so an upgrade that would shift
+ * existing state fails before anything is sent.
+ *
+ * Only DEFAULT_ADMIN_ROLE can upgrade. When the deployer no longer holds it,
+ * the new implementation is deployed and its address returned for the admin
+ * to call upgradeToAndCall with.
+ */
+async function upgradeProxy(
+  hre,
+  { name, contract, call, validateOnly = false, deploymentsDir } = {}
+) {
+  if (!name || !contract) {
+    throw new Error("Both the manifest name and the new contract are required");
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const manifest = await loadManifest(hre, deploymentsDir);
+  const entry = manifest.data.contracts[name];
+  if (!entry) {
+    throw new Error(
+      `No ${name} recorded for network "${hre.network.name}" in ${manifest.file}`
+    );
+  }
+  if (!entry.proxy) {
+    throw new Error(
+      `${name} at ${entry.address} was deployed without a proxy and cannot be upgraded`
+    );
+  }
+
+  console.log(`⬆️  Upgrading ${name} proxy at ${entry.address}`);
+  console.log(
+    `Current implementation: ${entry.contract} at ${entry.proxy.implementation}`
+  );
+
+  // ==============================
+  // 1. Validate Storage Layout
+  // ==============================
+
+  console.log(
+    `\n🔍 Step 1: Validating ${contract} against ${entry.contract}...`
+  );
+
+  const factory = await hre.ethers.getContractFactory(contract);
+  const opts = { kind: entry.proxy.kind };
+  await hre.upgrades.validateUpgrade(entry.address, factory, opts);
+  console.log("✅ Storage layout is compatible");
+
+  if (validateOnly) {
+    return { name, address: entry.address, contract, upgraded: false };
+  }
+
+  // ==============================
+  // 2. Upgrade Proxy
+  // ==============================
+
+  const proxy = await hre.ethers.getContractAt(contract, entry.address);
+  if (!(await proxy.hasRole(hre.ethers.ZeroHash, deployer.address))) {
+    console.log(
+      "\n📦 Step 2: Deploying the implementation for the DEFAULT_ADMIN to upgrade to..."
+    );
+    const implementation = await hre.upgrades.prepareUpgrade(
+      entry.address,
+      factory,
+      opts
+    );
+    console.log("✅ Implementation deployed to:", implementation);
+    console.log(
+      `${deployer.address} is not DEFAULT_ADMIN; have an admin call upgradeToAndCall("${implementation}", "0x") on ${entry.address}`
+    );
+    return {
+      name,
+      address: entry.address,
+      contract,
+      implementation,
+      upgraded: false,
+    };
+  }
+
+  console.log(`\n🚀 Step 2: Upgrading to ${contract}...`);
+
+  const upgraded = await hre.upgrades.upgradeProxy(entry.address, factory, {
+    ...opts,
+    call,
+  });
+  const receipt = await upgraded.deployTransaction.wait();
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(
+    entry.address
+  );
+
+  entry.proxy.upgrades.push({
+    from: entry.contract,
+    fromImplementation: entry.proxy.implementation,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  });
+  entry.contract = contract;
+  entry.compiler = await getCompilerVersion(hre, contract);
+  entry.proxy.implementation = implementation;
+  // The new implementation has not been verified yet
+  delete entry.verification;
+  saveManifest(manifest);
+
+  console.log("✅ Upgraded in tx:", receipt.hash);
+  console.log("New implementation:", implementation);
+
+  return {
+    name,
+    address: entry.address,
+    contract,
+    implementation,
+    upgraded: true,
+    manifest: manifest.file,
+  };
+}
+
+if (require.main === module) {
+  upgradeProxy(require("hardhat"), {
+    name: process.env.UPGRADE_NAME,
+    contract: process.env.UPGRADE_CONTRACT,
+    call: process.env.UPGRADE_CALL,
+    validateOnly: process.env.UPGRADE_VALIDATE_ONLY === "true",
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Upgrade failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { upgradeProxy };
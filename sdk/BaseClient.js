@@ -0,0 +1,113 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+const { toRevertError } = require("./errors");
+const { toUnits } = require("./units");
+
+/**
+ * Shared plumbing for the contract clients: builds the ethers contract from
+ * the compiled ABI and turns reverts into typed errors.
+ */
+class BaseClient {
+  constructor(contractName, address, runner) {
+    this.contractName = contractName;
+    this.address = address;
+    this.runner = runner;
+    this.contract = new ethers.Contract(address, getAbi(contractName), runner);
+    this._tokens = new Map();
+  }
+
+  /**
+   * Returns a copy of the client that sends transactions from `runner`.
+   */
+  connect(runner) {
+    return new this.constructor(this.address, runner);
+  }
+
+  async signerAddress() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error(`${this.contractName} client has no signer`);
+    }
+    return this.runner.getAddress();
+  }
+
+  async call(method, ...args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw toRevertError(this.contract.interface, error);
+    }
+  }
+
+  /**
+   * Sends `method` and waits for the receipt.
+   */
+  async send(method, ...args) {
+    try {
+      const tx = await this.contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw toRevertError(this.contract.interface, error);
+    }
+  }
+
+  /**
+   * Returns `{ contract, address, decimals, symbol }` for an ERC20 the
+   * contract works with, cached per address.
+   */
+  async token(address) {
+    if (!this._tokens.has(address)) {
+      const contract = new ethers.Contract(
+        address,
+        getAbi("IERC20Metadata"),
+        this.runner
+      );
+      this._tokens.set(address, {
+        contract,
+        address,
+        decimals: await contract.decimals(),
+        symbol: await contract.symbol(),
+      });
+    }
+    return this._tokens.get(address);
+  }
+
+  /**
+   * Accepts base units as a bigint or a human-readable amount string.
+   */
+  toAmount(value, decimals) {
+    return typeof value === "bigint" ? value : toUnits(value, decimals);
+  }
+
+  /**
+   * Approves this contract for `amount` of `token` when the signer's current
+   * allowance is lower.
+   */
+  async ensureAllowance(token, amount) {
+    const owner = await this.signerAddress();
+    const allowance = await token.contract.allowance(owner, this.address);
+    if (allowance >= amount) {
+      return null;
+    }
+    try {
+      const tx = await token.contract.approve(this.address, amount);
+      return await tx.wait();
+    } catch (error) {
+      throw toRevertError(token.contract.interface, error);
+    }
+  }
+
+  findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+        continue;
+      }
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return parsed;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { BaseClient };
@@ -0,0 +1,51 @@
+const { BaseClient } = require("./BaseClient");
+
+class RewardNftClient extends BaseClient {
+  constructor(address, runner) {
+    super("StakingRewardNFT", address, runner);
+  }
+
+  async totalMinted() {
+    return this.call("totalMinted");
+  }
+
+  /**
+   * The amount, staking duration (seconds) and mint time recorded for
+   * `tokenId` when it was minted.
+   */
+  async rewardInfo(tokenId) {
+    const [amount, stakingDuration, mintedAt] = await this.call(
+      "rewardInfo",
+      tokenId
+    );
+    return { amount, stakingDuration, mintedAt };
+  }
+
+  /**
+   * Decodes the on-chain tokenURI into its JSON metadata. `image` stays a
+   * base64 SVG data URI that can be used as an <img> src as is.
+   */
+  async metadata(tokenId) {
+    const uri = await this.call("tokenURI", tokenId);
+    const [, payload] = uri.split("base64,");
+    return JSON.parse(Buffer.from(payload, "base64").toString("utf8"));
+  }
+
+  /**
+   * Token ids currently held by `owner`. StakingRewardNFT is not enumerable,
+   * so this walks every minted id.
+   */
+  async nftsOwnedBy(owner) {
+    const total = await this.totalMinted();
+    const owned = [];
+    for (let tokenId = 1n; tokenId <= total; tokenId++) {
+      const holder = await this.call("ownerOf", tokenId);
+      if (holder.toLowerCase() === owner.toLowerCase()) {
+        owned.push(tokenId);
+      }
+    }
+    return owned;
+  }
+}
+
+module.exports = { RewardNftClient };
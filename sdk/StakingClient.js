@@ -0,0 +1,167 @@
+const { BaseClient } = require("./BaseClient");
+const { RewardNftClient } = require("./RewardNftClient");
+
+class StakingClient extends BaseClient {
+  constructor(address, runner) {
+    super("TokenStaking", address, runner);
+  }
+
+  async stakingToken() {
+    return this.token(await this.call("stakingToken"));
+  }
+
+  async rewardToken() {
+    return this.token(await this.call("rewardToken"));
+  }
+
+  async rewardNft() {
+    return new RewardNftClient(await this.call("rewardNFT"), this.runner);
+  }
+
+  /**
+   * Returns getStakeInfo as a plain object. Defaults to the signer's stake.
+   */
+  async getStakeInfo(user) {
+    const account = user || (await this.signerAddress());
+    const [amount, stakeTime, lockupRemaining, pendingRewards, tierId] =
+      await this.call("getStakeInfo", account);
+    return { amount, stakeTime, lockupRemaining, pendingRewards, tierId };
+  }
+
+  /**
+   * Lists the open positions of `user` (defaults to the signer), oldest
+   * first, with their id, remaining lockup and the lockup they opened with.
+   */
+  async getPositions(user) {
+    const account = user || (await this.signerAddress());
+    const positions = await this.call("getPositions", account);
+    return positions.map(
+      ({ id, amount, stakeTime, lockupRemaining, lockupPeriod }) => ({
+        id,
+        amount,
+        stakeTime,
+        lockupRemaining,
+        lockupPeriod,
+      })
+    );
+  }
+
+  /**
+   * Lists the lockup tiers with their id and the APR they currently earn.
+   */
+  async lockupTiers() {
+    const tiers = await this.call("getLockupTiers");
+    return Promise.all(
+      tiers.map(async ({ lockupPeriod, multiplier, active }, index) => ({
+        tierId: index + 1,
+        lockupPeriod,
+        multiplier,
+        active,
+        rewardRate: await this.call("tierRewardRate", index + 1),
+      }))
+    );
+  }
+
+  /**
+   * Approves the staking token when needed, then stakes `amount` (a bigint
+   * in base units or a human-readable string), in lockup tier `tierId` when
+   * given.
+   */
+  async stakeWithApproval(amount, tierId = 0) {
+    const token = await this.stakingToken();
+    const value = this.toAmount(amount, token.decimals);
+    await this.ensureAllowance(token, value);
+    return tierId
+      ? this.send("stakeWithTier", value, tierId)
+      : this.send("stake", value);
+  }
+
+  /**
+   * Claims every pending reward and returns the claimed amount.
+   */
+  async claimAll() {
+    const receipt = await this.send("claimRewards");
+    const event = this.findEvent(receipt, "RewardClaimed");
+    return { amount: event.args.amount, receipt };
+  }
+
+  /**
+   * Restakes every pending reward and returns the compounded amount. Only
+   * works when the staking and reward tokens are the same.
+   */
+  async compound() {
+    const receipt = await this.send("compound");
+    const event = this.findEvent(receipt, "RewardCompounded");
+    return { amount: event.args.amount, receipt };
+  }
+
+  /**
+   * Unstakes `amount`, from position `positionId` when given and from the
+   * oldest positions first otherwise, and returns the id of the reward NFT
+   * minted for it.
+   */
+  async unstake(amount, positionId) {
+    const token = await this.stakingToken();
+    const value = this.toAmount(amount, token.decimals);
+    const receipt =
+      positionId === undefined
+        ? await this.send("unStake", value)
+        : await this.send("unStakePosition", positionId, value);
+    const event = this.findEvent(receipt, "NFTRewardMinted");
+    return { nftTokenId: event.args.tokenId, receipt };
+  }
+
+  /**
+   * Approves reward NFT `tokenId` to the staking contract when needed, then
+   * locks it for the NFT APR boost.
+   */
+  async lockNft(tokenId) {
+    const nft = await this.rewardNft();
+    const approved = await nft.call("getApproved", tokenId);
+    if (approved.toLowerCase() !== this.address.toLowerCase()) {
+      await nft.send("approve", this.address, tokenId);
+    }
+    return this.send("lockNft", tokenId);
+  }
+
+  async unlockNft() {
+    return this.send("unlockNft");
+  }
+
+  /**
+   * Withdraws the whole stake while emergency mode is on, ignoring lockups.
+   * Pending rewards are forfeited.
+   */
+  async emergencyExit() {
+    const receipt = await this.send("emergencyExit");
+    const event = this.findEvent(receipt, "EmergencyExit");
+    return {
+      amount: event.args.amount,
+      forfeitedRewards: event.args.forfeitedRewards,
+      receipt,
+    };
+  }
+
+  /**
+   * Approves the reward token when needed, then tops up the reward pool.
+   */
+  async addRewards(amount) {
+    const token = await this.rewardToken();
+    const value = this.toAmount(amount, token.decimals);
+    await this.ensureAllowance(token, value);
+    return this.send("addRewards", value);
+  }
+
+  /**
+   * Approves the reward token when needed, then funds a fixed budget period
+   * of `duration` seconds.
+   */
+  async fundRewardPeriod(amount, duration) {
+    const token = await this.rewardToken();
+    const value = this.toAmount(amount, token.decimals);
+    await this.ensureAllowance(token, value);
+    return this.send("fundRewardPeriod", value, duration);
+  }
+}
+
+module.exports = { StakingClient };
@@ -0,0 +1,145 @@
+const { BaseClient } = require("./BaseClient");
+
+class VestingClient extends BaseClient {
+  constructor(address, runner) {
+    super("TokenVesting", address, runner);
+  }
+
+  async vestingToken() {
+    return this.token(await this.call("token"));
+  }
+
+  async releasableFor(beneficiary) {
+    return this.call("releasableAmount", beneficiary);
+  }
+
+  async getVestingInfo(beneficiary) {
+    const [
+      allocation,
+      released,
+      releasable,
+      cliffEndTime,
+      revoked,
+      vested,
+      unvested,
+      vestingEndTime,
+    ] = await this.call("getVestingInfo", beneficiary);
+    return {
+      beneficiary,
+      allocation,
+      released,
+      releasable,
+      cliffEndTime,
+      revoked,
+      vested,
+      unvested,
+      vestingEndTime,
+    };
+  }
+
+  /**
+   * Returns getVestingInfo for every configured beneficiary.
+   */
+  async listBeneficiaries() {
+    const beneficiaries = await this.call("getBeneficiaries");
+    const result = [];
+    for (const beneficiary of beneficiaries) {
+      result.push(await this.getVestingInfo(beneficiary));
+    }
+    return result;
+  }
+
+  async status() {
+    const [isPaused, isConfigured, currentBalance, totalAllocation] =
+      await this.call("getContractStatus");
+    return {
+      isPaused,
+      isConfigured,
+      currentBalance,
+      totalAllocation,
+      outstandingAllocation: await this.call("outstandingAllocation"),
+    };
+  }
+
+  /**
+   * Approves the vesting token when needed, then funds the contract.
+   */
+  async fund(amount) {
+    const token = await this.vestingToken();
+    const value = this.toAmount(amount, token.decimals);
+    await this.ensureAllowance(token, value);
+    return this.send("fund", value);
+  }
+
+  /**
+   * Owner only: adds `{ beneficiary, allocation }` entries vesting from
+   * `startTime` (a unix timestamp, 0 for now). The contract must already be
+   * funded for the new allocations.
+   */
+  async addBeneficiaries(entries, startTime = 0) {
+    const { decimals } = await this.vestingToken();
+    return this.send(
+      "addBeneficiaries",
+      entries.map((entry) => entry.beneficiary),
+      entries.map((entry) => this.toAmount(entry.allocation, decimals)),
+      startTime
+    );
+  }
+
+  /**
+   * Owner only: raises the allocation of an existing beneficiary by `amount`.
+   */
+  async increaseAllocation(beneficiary, amount) {
+    const { decimals } = await this.vestingToken();
+    return this.send(
+      "increaseAllocation",
+      beneficiary,
+      this.toAmount(amount, decimals)
+    );
+  }
+
+  /**
+   * Releases the vested tokens of `beneficiary` (defaults to the signer) and
+   * returns the released amount.
+   */
+  async release(beneficiary) {
+    const account = beneficiary || (await this.signerAddress());
+    const receipt = await this.send("release", account);
+    const event = this.findEvent(receipt, "TokensReleased");
+    return { amount: event.args.amount, receipt };
+  }
+
+  /**
+   * Releases for a beneficiary of a Merkle distribution, registering it with
+   * `claim` (`{ allocation, proof }` from vesting:merkle) if this is its first
+   * release.
+   */
+  async releaseWithProof(beneficiary, claim) {
+    const receipt = await this.send(
+      "releaseWithProof",
+      beneficiary,
+      BigInt(claim.allocation),
+      claim.proof
+    );
+    const event = this.findEvent(receipt, "TokensReleased");
+    return { amount: event.args.amount, receipt };
+  }
+
+  /**
+   * Owner only: pays `beneficiary` what has vested, sends the unvested rest
+   * to the treasury and revokes them for good.
+   */
+  async revokeWithClawback(beneficiary) {
+    const receipt = await this.send("revokeWithClawback", beneficiary);
+    const { args } = this.findEvent(receipt, "BeneficiaryClawedBack");
+    return {
+      treasury: args.treasury,
+      vested: args.vestedAmount,
+      settled: args.settledAmount,
+      clawback: args.clawbackAmount,
+      receipt,
+    };
+  }
+}
+
+module.exports = { VestingClient };
@@ -0,0 +1,24 @@
+const path = require("path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts");
+
+const ARTIFACT_PATHS = {
+  TokenStaking: "contracts/staking.sol/TokenStaking.json",
+  TokenVesting: "contracts/TokenVesting.sol/TokenVesting.json",
+  StakingRewardNFT: "contracts/StakingRewardNFT.sol/StakingRewardNFT.json",
+  IERC20Metadata:
+    "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol/IERC20Metadata.json",
+};
+
+/**
+ * Returns the ABI of a compiled contract. Run `npx hardhat compile` first.
+ */
+function getAbi(contractName) {
+  const relativePath = ARTIFACT_PATHS[contractName];
+  if (!relativePath) {
+    throw new Error(`Unknown contract "${contractName}"`);
+  }
+  return require(path.join(ARTIFACTS_DIR, relativePath)).abi;
+}
+
+module.exports = { getAbi };
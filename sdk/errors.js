@@ -0,0 +1,160 @@
+const { ethers } = require("ethers");
+
+/**
+ * Base class for every revert the SDK decodes. `reason` is the require
+ * message or custom error name, `args` the custom error arguments.
+ */
+class ContractRevertError extends Error {
+  constructor(reason, { errorName = "Error", args = [], cause } = {}) {
+    super(reason);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.errorName = errorName;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+class UnauthorizedError extends ContractRevertError {}
+class InsufficientBalanceError extends ContractRevertError {}
+class InsufficientAllowanceError extends ContractRevertError {}
+class InsufficientStakeError extends ContractRevertError {}
+class LockupActiveError extends ContractRevertError {}
+class NoRewardsError extends ContractRevertError {}
+class InsufficientRewardPoolError extends ContractRevertError {}
+class ContractPausedError extends ContractRevertError {}
+class BeneficiaryRevokedError extends ContractRevertError {}
+class CliffNotReachedError extends ContractRevertError {}
+class NothingToReleaseError extends ContractRevertError {}
+class InsufficientFundingError extends ContractRevertError {}
+class InvalidProofError extends ContractRevertError {}
+
+// require() messages used by TokenStaking and TokenVesting.
+const REASON_ERRORS = {
+  "Insufficient balance!": InsufficientBalanceError,
+  "Insufficient staked amounts": InsufficientStakeError,
+  "Funds are still in lockup period": LockupActiveError,
+  "No rewards to claim": NoRewardsError,
+  "Insufficient Reward Pool funds": InsufficientRewardPoolError,
+  "Contract is paused": ContractPausedError,
+  "Beneficiary is revoked": BeneficiaryRevokedError,
+  "Cliff period not reached": CliffNotReachedError,
+  "No tokens to release": NothingToReleaseError,
+  "Insufficient contract balance for total allocations":
+    InsufficientFundingError,
+  "Insufficient contract balance": InsufficientFundingError,
+  "Invalid Merkle proof": InvalidProofError,
+};
+
+// OpenZeppelin custom errors that can bubble up from the contracts or the
+// tokens they call into.
+const CUSTOM_ERRORS = {
+  AccessControlUnauthorizedAccount: UnauthorizedError,
+  ERC20InsufficientBalance: InsufficientBalanceError,
+  ERC20InsufficientAllowance: InsufficientAllowanceError,
+};
+
+const SHARED_ERRORS_INTERFACE = new ethers.Interface([
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC721NonexistentToken(uint256 tokenId)",
+]);
+
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || current.cause) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts `{ reason, errorName, args }` from a failed call, decoding the raw
+ * revert data against `contractInterface` when ethers did not already do it
+ * (the in-process Hardhat network returns undecoded data). Returns null when
+ * the error is not a contract revert.
+ */
+function decodeRevert(contractInterface, error) {
+  if (error instanceof ContractRevertError) {
+    return {
+      reason: error.reason,
+      errorName: error.errorName,
+      args: error.args,
+    };
+  }
+
+  let revert = error.revert || null;
+  const data = revert ? null : findRevertData(error);
+  if (data && data !== "0x") {
+    for (const iface of [contractInterface, SHARED_ERRORS_INTERFACE]) {
+      try {
+        revert = iface && iface.parseError(data);
+      } catch {
+        revert = null;
+      }
+      if (revert) {
+        break;
+      }
+    }
+  }
+
+  if (revert) {
+    const args = Array.from(revert.args);
+    if (revert.name === "Error") {
+      return { reason: args[0], errorName: "Error", args };
+    }
+    return {
+      reason: `${revert.name}(${args.join(", ")})`,
+      errorName: revert.name,
+      args,
+    };
+  }
+  if (error.reason) {
+    return { reason: error.reason, errorName: "Error", args: [error.reason] };
+  }
+  return null;
+}
+
+/**
+ * Converts a failed call into the matching ContractRevertError subclass, or
+ * returns the original error when it was not a revert.
+ */
+function toRevertError(contractInterface, error) {
+  const decoded = decodeRevert(contractInterface, error);
+  if (!decoded) {
+    return error;
+  }
+  if (error instanceof ContractRevertError) {
+    return error;
+  }
+
+  const ErrorClass =
+    CUSTOM_ERRORS[decoded.errorName] ||
+    REASON_ERRORS[decoded.reason] ||
+    ContractRevertError;
+  return new ErrorClass(decoded.reason, { ...decoded, cause: error });
+}
+
+module.exports = {
+  ContractRevertError,
+  UnauthorizedError,
+  InsufficientBalanceError,
+  InsufficientAllowanceError,
+  InsufficientStakeError,
+  LockupActiveError,
+  NoRewardsError,
+  InsufficientRewardPoolError,
+  ContractPausedError,
+  BeneficiaryRevokedError,
+  CliffNotReachedError,
+  NothingToReleaseError,
+  InsufficientFundingError,
+  InvalidProofError,
+  decodeRevert,
+  toRevertError,
+};
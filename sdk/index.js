@@ -0,0 +1,19 @@
+/**
+ * JavaScript client for the Styxy contracts, built on the compiled Hardhat
+ * artifacts. Works with any ethers v6 signer or provider, including the
+ * in-process Hardhat network.
+ */
+const { StakingClient } = require("./StakingClient");
+const { VestingClient } = require("./VestingClient");
+const { RewardNftClient } = require("./RewardNftClient");
+const { toUnits, fromUnits } = require("./units");
+const errors = require("./errors");
+
+module.exports = {
+  StakingClient,
+  VestingClient,
+  RewardNftClient,
+  toUnits,
+  fromUnits,
+  ...errors,
+};
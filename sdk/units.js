@@ -0,0 +1,17 @@
+const { ethers } = require("ethers");
+
+/**
+ * Converts a human-readable amount ("12.5") into base units.
+ */
+function toUnits(amount, decimals = 18) {
+  return ethers.parseUnits(String(amount), decimals);
+}
+
+/**
+ * Converts base units into a human-readable decimal string.
+ */
+function fromUnits(value, decimals = 18) {
+  return ethers.formatUnits(value, decimals);
+}
+
+module.exports = { toUnits, fromUnits };
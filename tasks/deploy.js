@@ -0,0 +1,31 @@
+const { task } = require("hardhat/config");
+
+task(
+  "deploy:staking",
+  "Deploys MyToken and TokenStaking and funds the reward pool"
+)
+  .addFlag(
+    "verify",
+    "Verify MyToken, TokenStaking and StakingRewardNFT on Etherscan"
+  )
+  .setAction(async ({ verify }, hre) => {
+    const { deployStaking } = require("../scripts/deployStaking");
+    await deployStaking(hre, { verify });
+  });
+
+task(
+  "deploy:upgrade",
+  "Validates the storage layout of a new implementation and upgrades a proxy to it"
+)
+  .addParam("contract", "New implementation, e.g. TokenStakingUpgradeableV2")
+  .addOptionalParam(
+    "name",
+    "Proxy to upgrade as recorded in deployments/<network>.json",
+    "TokenStaking"
+  )
+  .addOptionalParam("call", "Function to call on the proxy after upgrading")
+  .addFlag("validateOnly", "Only validate the storage layout")
+  .setAction(async ({ contract, name, call, validateOnly }, hre) => {
+    const { upgradeProxy } = require("../scripts/upgradeProxy");
+    return upgradeProxy(hre, { name, contract, call, validateOnly });
+  });
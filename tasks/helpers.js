@@ -0,0 +1,70 @@
+const { getDeployedAddress } = require("../scripts/lib/deployments");
+const { decodeRevert } = require("../sdk/errors");
+
+/**
+ * Resolves `contractName` at `address`, falling back to the address recorded
+ * in deployments/<network>.json.
+ */
+async function getDeployedContract(hre, contractName, address) {
+  return hre.ethers.getContractAt(
+    contractName,
+    address || getDeployedAddress(hre, contractName)
+  );
+}
+
+async function getToken(hre, address) {
+  const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+  return {
+    token,
+    decimals: await token.decimals(),
+    symbol: await token.symbol(),
+  };
+}
+
+function parseAmount(hre, amount, decimals) {
+  const value = hre.ethers.parseUnits(amount, decimals);
+  if (value <= 0n) {
+    throw new Error(`Amount must be greater than 0, got "${amount}"`);
+  }
+  return value;
+}
+
+/**
+ * Turns a failed call into the revert reason string or the custom error
+ * signature, e.g. "Cliff period not reached" or
+ * "AccessControlUnauthorizedAccount(0x..., 0x...)".
+ */
+function describeRevert(contract, error) {
+  const decoded = decodeRevert(contract.interface, error);
+  return decoded ? decoded.reason : error.shortMessage || error.message;
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  console.log(`${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`✅ Mined in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
+/**
+ * Simulates `contract[method](...args)` with a static call first so the revert
+ * reason is reported before a transaction is sent.
+ */
+async function sendWithPreflight(label, contract, method, args = []) {
+  try {
+    await contract[method].staticCall(...args);
+  } catch (error) {
+    throw new Error(`${label} would revert: ${describeRevert(contract, error)}`);
+  }
+  return send(label, contract[method](...args));
+}
+
+module.exports = {
+  getDeployedContract,
+  getToken,
+  parseAmount,
+  describeRevert,
+  send,
+  sendWithPreflight,
+};
@@ -0,0 +1,132 @@
+const { task, types } = require("hardhat/config");
+const {
+  getStorePath,
+  loadEventStore,
+  getUserHistory,
+  getUserSummary,
+  getStakers,
+  getTotalRewardsPaid,
+  getAprHistory,
+} = require("../scripts/lib/eventStore");
+const { formatApr } = require("../scripts/lib/format");
+
+const STORE_DESCRIPTION =
+  "Event store file (defaults to events/<network>.json)";
+
+function loadIndexedStore(hre, storeFile) {
+  const file = storeFile || getStorePath(hre.network.name);
+  const store = loadEventStore(file);
+  if (store.data.lastBlock === null) {
+    throw new Error(`Nothing indexed in ${file} yet; run indexer:sync first`);
+  }
+  return store;
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+function describeEvent(hre, { event, args }) {
+  if (event === "Transfer") {
+    return `NFT #${args.tokenId} ${args.from} -> ${args.to}`;
+  }
+  if (event === "NFTRewardMinted") {
+    return `NFT #${args.tokenId}`;
+  }
+  return hre.ethers.formatEther(args.amount);
+}
+
+task("indexer:sync", "Indexes TokenStaking and StakingRewardNFT events")
+  .addOptionalParam(
+    "address",
+    "TokenStaking address (defaults to the one in deployments/<network>.json)"
+  )
+  .addOptionalParam("store", STORE_DESCRIPTION)
+  .addOptionalParam(
+    "fromBlock",
+    "Block to start a fresh index from",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "reorgDepth",
+    "Number of recent blocks re-checked for reorgs",
+    12,
+    types.int
+  )
+  .addFlag("reset", "Discard the existing store and index from scratch")
+  .setAction(async ({ address, store, fromBlock, reorgDepth, reset }, hre) => {
+    const { syncEvents } = require("../scripts/indexEvents");
+    const result = await syncEvents(hre, {
+      stakingAddress: address,
+      storeFile: store,
+      fromBlock,
+      reorgDepth,
+      reset,
+    });
+
+    console.log(
+      `✅ Indexed up to block ${result.toBlock}: ${result.added} new event(s), ${result.store.data.events.length} total`
+    );
+    return result;
+  });
+
+task("indexer:history", "Shows the indexed staking history of an account")
+  .addParam("user", "Account to inspect")
+  .addOptionalParam("store", STORE_DESCRIPTION)
+  .setAction(async ({ user, store: storeFile }, hre) => {
+    const store = loadIndexedStore(hre, storeFile);
+    const { formatEther } = hre.ethers;
+    const history = getUserHistory(store, user);
+    const summary = getUserSummary(store, user);
+
+    console.log(`📜 History for ${user} (up to block ${store.data.lastBlock})`);
+    console.log("-".repeat(50));
+    for (const event of history) {
+      const detail = describeEvent(hre, event);
+      console.log(
+        `${formatTimestamp(event.timestamp)}  block ${event.blockNumber}  ${
+          event.event
+        }  ${detail}`
+      );
+    }
+    console.log("-".repeat(50));
+    console.log("Total staked:", formatEther(summary.totalStaked));
+    console.log("Total unstaked:", formatEther(summary.totalUnstaked));
+    console.log("Current stake:", formatEther(summary.currentStake));
+    console.log("Total claimed:", formatEther(summary.totalClaimed));
+    console.log("Total compounded:", formatEther(summary.totalCompounded));
+    console.log("Reward NFTs held:", summary.nfts.join(", ") || "none");
+
+    return { history, summary };
+  });
+
+task("indexer:stats", "Shows totals from the indexed staking events")
+  .addOptionalParam("store", STORE_DESCRIPTION)
+  .setAction(async ({ store: storeFile }, hre) => {
+    const store = loadIndexedStore(hre, storeFile);
+    const { formatEther } = hre.ethers;
+    const stakers = getStakers(store);
+    const totalRewardsPaid = getTotalRewardsPaid(store);
+    const aprHistory = getAprHistory(store);
+
+    console.log(
+      `📊 Staking activity (blocks ${store.data.startBlock}-${store.data.lastBlock})`
+    );
+    console.log("-".repeat(50));
+    console.log("Stakers:", stakers.length);
+    console.log(
+      "Active stakers:",
+      stakers.filter((staker) => staker.currentStake > 0n).length
+    );
+    console.log("Total rewards paid:", formatEther(totalRewardsPaid));
+    for (const change of aprHistory) {
+      console.log(
+        `APR changed to ${formatApr(change.apr)} at ${formatTimestamp(
+          change.timestamp
+        )}`
+      );
+    }
+
+    return { stakers, totalRewardsPaid, aprHistory };
+  });
@@ -0,0 +1,110 @@
+const { task, types } = require("hardhat/config");
+const { getDeployment } = require("../scripts/lib/deployments");
+const {
+  normalizeRoleName,
+  roleId,
+  getRoleHolders,
+} = require("../scripts/lib/roles");
+const { sendWithPreflight } = require("./helpers");
+
+const CONTRACTS = {
+  staking: "TokenStaking",
+  vesting: "TokenVesting",
+  nft: "StakingRewardNFT",
+};
+const CONTRACT_DESCRIPTION = `Contract to manage: ${Object.keys(CONTRACTS).join(
+  ", "
+)}`;
+const ADDRESS_DESCRIPTION =
+  "Contract address (defaults to the one in deployments/<network>.json)";
+
+/**
+ * Resolves the contract and the block its role events start at: the recorded
+ * deployment block, or `fromBlock` for an explicit address.
+ */
+async function getRoleContract(hre, { contract, address, fromBlock }) {
+  const contractName = CONTRACTS[contract];
+  if (!contractName) {
+    throw new Error(
+      `Contract must be one of ${Object.keys(CONTRACTS).join(
+        ", "
+      )}, got "${contract}"`
+    );
+  }
+
+  let startBlock = fromBlock || 0;
+  if (!address) {
+    const deployment = getDeployment(hre, contractName);
+    address = deployment.address;
+    startBlock = deployment.blockNumber;
+  }
+  return {
+    contractName,
+    instance: await hre.ethers.getContractAt(contractName, address),
+    startBlock,
+  };
+}
+
+task("roles:list", "Lists the holders of every role from the role events")
+  .addOptionalParam("contract", CONTRACT_DESCRIPTION, "staking")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .addOptionalParam(
+    "fromBlock",
+    "Block to read events from with --address",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const { contractName, instance, startBlock } = await getRoleContract(
+      hre,
+      args
+    );
+    const holders = await getRoleHolders(instance, contractName, startBlock);
+
+    console.log(`🔑 ${contractName} roles at ${await instance.getAddress()}`);
+    console.log("-".repeat(50));
+    for (const [role, accounts] of Object.entries(holders)) {
+      console.log(`${role}:`, accounts.join(", ") || "none");
+    }
+    return holders;
+  });
+
+task("roles:grant", "Grants a role to an account")
+  .addParam("role", "Role name, e.g. PAUSER or DEFAULT_ADMIN")
+  .addParam("account", "Account to grant the role to")
+  .addOptionalParam("contract", CONTRACT_DESCRIPTION, "staking")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ role, account, ...args }, hre) => {
+    const { contractName, instance } = await getRoleContract(hre, args);
+    const name = normalizeRoleName(contractName, role);
+
+    if (await instance.hasRole(roleId(name), account)) {
+      console.log(`${account} already has ${name}`);
+      return;
+    }
+    console.log(`➕ Granting ${name} on ${contractName} to ${account}...`);
+    await sendWithPreflight("Grant role", instance, "grantRole", [
+      roleId(name),
+      account,
+    ]);
+  });
+
+task("roles:revoke", "Revokes a role from an account")
+  .addParam("role", "Role name, e.g. PAUSER or DEFAULT_ADMIN")
+  .addParam("account", "Account to revoke the role from")
+  .addOptionalParam("contract", CONTRACT_DESCRIPTION, "staking")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ role, account, ...args }, hre) => {
+    const { contractName, instance } = await getRoleContract(hre, args);
+    const name = normalizeRoleName(contractName, role);
+
+    if (!(await instance.hasRole(roleId(name), account))) {
+      console.log(`${account} does not have ${name}`);
+      return;
+    }
+    console.log(`➖ Revoking ${name} on ${contractName} from ${account}...`);
+    await sendWithPreflight("Revoke role", instance, "revokeRole", [
+      roleId(name),
+      account,
+    ]);
+  });
@@ -0,0 +1,627 @@
+const { task, types } = require("hardhat/config");
+const {
+  MIN_APR_BPS,
+  MAX_APR_BPS,
+  REWARD_MODES,
+  PARAMETERS,
+} = require("../scripts/lib/config");
+const {
+  formatDuration,
+  parseDuration,
+  formatApr,
+} = require("../scripts/lib/format");
+const {
+  getDeployedContract,
+  getToken,
+  parseAmount,
+  send,
+  sendWithPreflight,
+} = require("./helpers");
+
+const ADDRESS_DESCRIPTION =
+  "TokenStaking address (defaults to the one in deployments/<network>.json)";
+
+function getStaking(hre, address) {
+  return getDeployedContract(hre, "TokenStaking", address);
+}
+
+// A stake can only be simulated once the tokens are approved, so check what it
+// would revert on first rather than leave a stray approval behind
+async function checkStake(staking, token, account, value, tier) {
+  const tiers = await staking.getLockupTiers();
+  const stake = await staking.stakes(account);
+  let reason;
+  if (await staking.emergencyMode()) {
+    reason = "Emergency mode is active";
+  } else if ((await token.balanceOf(account)) < value) {
+    reason = "Insufficient balance!";
+  } else if (tier > tiers.length) {
+    reason = "Invalid lockup tier";
+  } else if (tier > 0 && !tiers[tier - 1].active) {
+    reason = "Lockup tier is disabled";
+  } else if (stake.amount > 0n && stake.tierId !== BigInt(tier)) {
+    reason = "Stake is in a different lockup tier";
+  }
+  if (reason) {
+    throw new Error(`Stake would revert: ${reason}`);
+  }
+}
+
+// Locking an NFT needs its approval first too, so the same goes for lockNft
+async function checkLockNft(staking, nft, account, id) {
+  let reason;
+  if (await staking.emergencyMode()) {
+    reason = "Emergency mode is active";
+  } else if ((await staking.lockedNft(account)) !== 0n) {
+    reason = "An NFT is already locked";
+  } else if ((await nft.ownerOf(id).catch(() => null)) !== account) {
+    reason = `Reward NFT #${id} is not owned by ${account}`;
+  }
+  if (reason) {
+    throw new Error(`Lock NFT would revert: ${reason}`);
+  }
+}
+
+function parseParameter(parameter) {
+  if (!(parameter in PARAMETERS)) {
+    throw new Error(
+      `Parameter must be one of ${Object.keys(PARAMETERS).join(
+        ", "
+      )}, got "${parameter}"`
+    );
+  }
+  return PARAMETERS[parameter];
+}
+
+function formatParameter(parameter, value) {
+  return parameter === "lockup" ? formatDuration(value) : formatApr(value);
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// Queues a timelocked change and reports when it can be executed
+async function queueParameterChange(staking, label, parameter, value) {
+  await sendWithPreflight(label, staking, "queueParameterChange", [
+    PARAMETERS[parameter],
+    value,
+  ]);
+  const { effectiveTime } = await staking.pendingChanges(PARAMETERS[parameter]);
+  console.log(
+    `Effective from ${formatTime(
+      effectiveTime
+    )}; run staking:execute-change --parameter ${parameter} then`
+  );
+  return effectiveTime;
+}
+
+task("staking:approve-and-stake", "Approves and stakes tokens")
+  .addParam("amount", "Amount in whole tokens, e.g. 1000 or 12.5")
+  .addOptionalParam(
+    "tier",
+    "Lockup tier id (see staking:tiers), 0 for the default lockup",
+    0,
+    types.int
+  )
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ amount, tier, address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const staking = await getStaking(hre, address);
+    const { token, decimals, symbol } = await getToken(
+      hre,
+      await staking.stakingToken()
+    );
+    const value = parseAmount(hre, amount, decimals);
+
+    await checkStake(staking, token, signer.address, value, tier);
+
+    console.log(`🥩 Staking ${amount} ${symbol} from ${signer.address}`);
+    await send("Approve", token.approve(await staking.getAddress(), value));
+    await sendWithPreflight("Stake", staking, "stakeWithTier", [value, tier]);
+  });
+
+task("staking:info", "Shows stake info for an account")
+  .addOptionalParam("user", "Account to inspect (defaults to the signer)")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ user, address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const account = user || signer.address;
+    const staking = await getStaking(hre, address);
+    const stakingToken = await getToken(hre, await staking.stakingToken());
+    const rewardToken = await getToken(hre, await staking.rewardToken());
+
+    const info = await staking.getStakeInfo(account);
+
+    console.log(`📊 Stake info for ${account}`);
+    console.log("-".repeat(50));
+    console.log(
+      "Staked:",
+      hre.ethers.formatUnits(info.amount, stakingToken.decimals),
+      stakingToken.symbol
+    );
+    console.log(
+      "Stake time:",
+      info.stakeTime > 0n
+        ? new Date(Number(info.stakeTime) * 1000).toISOString()
+        : "never staked"
+    );
+    console.log(
+      "Lockup tier:",
+      info.tierId > 0n ? info.tierId.toString() : "default"
+    );
+    const lockedNft = await staking.lockedNft(account);
+    // The boost as it applies to this stake, diluted past the NFT's amount
+    const boost =
+      (await staking.stakerRewardRate(account, info.tierId)) -
+      (await staking.tierRewardRate(info.tierId));
+    console.log(
+      "Locked NFT:",
+      lockedNft > 0n ? `#${lockedNft} (+${formatApr(boost)})` : "none"
+    );
+    console.log(
+      "Lockup remaining:",
+      info.lockupRemaining > 0n
+        ? formatDuration(info.lockupRemaining)
+        : "unlocked"
+    );
+    console.log(
+      "Pending rewards:",
+      hre.ethers.formatUnits(info.pendingRewards, rewardToken.decimals),
+      rewardToken.symbol
+    );
+    for (const position of await staking.getPositions(account)) {
+      console.log(
+        `  Position ${position.id}:`,
+        hre.ethers.formatUnits(position.amount, stakingToken.decimals),
+        stakingToken.symbol,
+        position.lockupRemaining > 0n
+          ? `locked for ${formatDuration(position.lockupRemaining)}`
+          : "unlocked",
+        `(${formatDuration(position.lockupPeriod)} lockup)`
+      );
+    }
+    if (Number(await staking.rewardMode()) === REWARD_MODES.fixed) {
+      const periodFinish = await staking.periodFinish();
+      console.log(
+        "Reward mode: fixed budget,",
+        hre.ethers.formatUnits(
+          await staking.emissionRate(),
+          rewardToken.decimals
+        ),
+        `${rewardToken.symbol}/s shared by all stakers until`,
+        new Date(Number(periodFinish) * 1000).toISOString()
+      );
+    } else {
+      console.log("Current APR:", formatApr(await staking.rewardRate()));
+    }
+    for (const [parameter, id] of Object.entries(PARAMETERS)) {
+      const { value, effectiveTime } = await staking.pendingChanges(id);
+      if (effectiveTime > 0n) {
+        console.log(
+          `⏳ Queued ${parameter} change to ${formatParameter(
+            parameter,
+            value
+          )}, effective from ${formatTime(effectiveTime)}`
+        );
+      }
+    }
+    if (await staking.emergencyMode()) {
+      console.log(
+        "🚨 Emergency mode: staking is closed, stakers can exit without rewards"
+      );
+    }
+
+    return info;
+  });
+
+task("staking:claim", "Claims pending staking rewards")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const staking = await getStaking(hre, address);
+    console.log("💰 Claiming rewards...");
+    await send("Claim", staking.claimRewards());
+  });
+
+task("staking:compound", "Restakes pending rewards")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const staking = await getStaking(hre, address);
+    const { decimals, symbol } = await getToken(
+      hre,
+      await staking.stakingToken()
+    );
+
+    console.log("🔁 Compounding rewards...");
+    const receipt = await sendWithPreflight("Compound", staking, "compound");
+    const { args } = receipt.logs
+      .map((log) => staking.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "RewardCompounded");
+    console.log(
+      "Restaked:",
+      hre.ethers.formatUnits(args.amount, decimals),
+      symbol
+    );
+    return args.amount;
+  });
+
+task("staking:unstake", "Unstakes tokens after the lockup period")
+  .addParam("amount", "Amount in whole tokens, e.g. 1000 or 12.5")
+  .addOptionalParam(
+    "position",
+    "Position id to unstake from (defaults to the oldest positions first)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ amount, position, address }, hre) => {
+    const staking = await getStaking(hre, address);
+    const { decimals, symbol } = await getToken(
+      hre,
+      await staking.stakingToken()
+    );
+    const value = parseAmount(hre, amount, decimals);
+
+    if (position !== undefined) {
+      console.log(
+        `📤 Unstaking ${amount} ${symbol} from position ${position}...`
+      );
+      await sendWithPreflight("Unstake", staking, "unStakePosition", [
+        position,
+        value,
+      ]);
+    } else {
+      console.log(`📤 Unstaking ${amount} ${symbol}...`);
+      await sendWithPreflight("Unstake", staking, "unStake", [value]);
+    }
+  });
+
+task("staking:add-rewards", "Approves and adds tokens to the reward pool")
+  .addParam("amount", "Amount in whole tokens, e.g. 1000000")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ amount, address }, hre) => {
+    const staking = await getStaking(hre, address);
+    const { token, decimals, symbol } = await getToken(
+      hre,
+      await staking.rewardToken()
+    );
+    const value = parseAmount(hre, amount, decimals);
+
+    console.log(`💰 Adding ${amount} ${symbol} to the reward pool...`);
+    await send("Approve", token.approve(await staking.getAddress(), value));
+    await send("Add rewards", staking.addRewards(value));
+    console.log(
+      "Reward pool:",
+      hre.ethers.formatUnits(await staking.rewardPool(), decimals),
+      symbol
+    );
+  });
+
+task("staking:set-mode", "Switches between APR and fixed budget rewards")
+  .addParam("mode", `Reward mode: ${Object.keys(REWARD_MODES).join(" or ")}`)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ mode, address }, hre) => {
+    if (!(mode in REWARD_MODES)) {
+      throw new Error(
+        `Reward mode must be one of ${Object.keys(REWARD_MODES).join(
+          ", "
+        )}, got "${mode}"`
+      );
+    }
+
+    const staking = await getStaking(hre, address);
+    console.log(`🔀 Switching to ${mode} rewards...`);
+    await sendWithPreflight("Set reward mode", staking, "setRewardMode", [
+      REWARD_MODES[mode],
+    ]);
+  });
+
+task(
+  "staking:fund-period",
+  "Funds a fixed budget reward period, shared pro-rata between stakers"
+)
+  .addParam("amount", "Amount in whole tokens, e.g. 100000")
+  .addParam("duration", "Period length in seconds or as a duration, e.g. 90d")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ amount, duration, address }, hre) => {
+    const staking = await getStaking(hre, address);
+    const { token, decimals, symbol } = await getToken(
+      hre,
+      await staking.rewardToken()
+    );
+    const value = parseAmount(hre, amount, decimals);
+    const seconds = parseDuration(duration);
+
+    console.log(
+      `💰 Funding ${amount} ${symbol} of rewards over ${formatDuration(
+        seconds
+      )}...`
+    );
+    await send("Approve", token.approve(await staking.getAddress(), value));
+    await sendWithPreflight("Fund reward period", staking, "fundRewardPeriod", [
+      value,
+      seconds,
+    ]);
+    console.log(
+      "Emission rate:",
+      hre.ethers.formatUnits(await staking.emissionRate(), decimals),
+      `${symbol}/s until`,
+      new Date(Number(await staking.periodFinish()) * 1000).toISOString()
+    );
+  });
+
+task(
+  "staking:set-apr",
+  "Queues an APR change, applied after the parameter change delay"
+)
+  .addParam("bps", "New APR in basis points (1000 = 10%)")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ bps, address }, hre) => {
+    const apr = Number(bps);
+    if (!Number.isInteger(apr) || apr < MIN_APR_BPS || apr > MAX_APR_BPS) {
+      throw new Error(
+        `APR must be between ${MIN_APR_BPS} and ${MAX_APR_BPS} basis points, got "${bps}"`
+      );
+    }
+
+    const staking = await getStaking(hre, address);
+    console.log(
+      `📈 Queueing an APR change from ${formatApr(
+        await staking.rewardRate()
+      )} to ${formatApr(apr)}...`
+    );
+    return queueParameterChange(staking, "Queue APR change", "apr", apr);
+  });
+
+task(
+  "staking:set-lockup",
+  "Queues a lockup period change for new positions, applied after the parameter change delay"
+)
+  .addParam("period", "Lockup in seconds or as a duration, e.g. 7d or 1d 12h")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ period, address }, hre) => {
+    const seconds = parseDuration(period);
+
+    const staking = await getStaking(hre, address);
+    console.log(
+      `🔒 Queueing a lockup period change from ${formatDuration(
+        await staking.lockupPeriod()
+      )} to ${formatDuration(seconds)}...`
+    );
+    return queueParameterChange(
+      staking,
+      "Queue lockup change",
+      "lockup",
+      seconds
+    );
+  });
+
+task("staking:execute-change", "Applies a queued parameter change once due")
+  .addParam("parameter", `Parameter: ${Object.keys(PARAMETERS).join(" or ")}`)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ parameter, address }, hre) => {
+    const id = parseParameter(parameter);
+    const staking = await getStaking(hre, address);
+    const { value } = await staking.pendingChanges(id);
+
+    console.log(
+      `⏩ Applying the ${parameter} change to ${formatParameter(
+        parameter,
+        value
+      )}...`
+    );
+    await sendWithPreflight(
+      "Execute parameter change",
+      staking,
+      "executeParameterChange",
+      [id]
+    );
+  });
+
+task("staking:cancel-change", "Cancels a queued parameter change")
+  .addParam("parameter", `Parameter: ${Object.keys(PARAMETERS).join(" or ")}`)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ parameter, address }, hre) => {
+    const id = parseParameter(parameter);
+    const staking = await getStaking(hre, address);
+
+    console.log(`↩️  Cancelling the queued ${parameter} change...`);
+    await sendWithPreflight(
+      "Cancel parameter change",
+      staking,
+      "cancelParameterChange",
+      [id]
+    );
+  });
+
+task("staking:tiers", "Lists the lockup tiers stakers can choose from")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const staking = await getStaking(hre, address);
+    const tiers = await staking.getLockupTiers();
+
+    console.log(
+      `🔒 Default: ${formatDuration(
+        await staking.lockupPeriod()
+      )} lockup at ${formatApr(await staking.rewardRate())}`
+    );
+    for (const [index, tier] of tiers.entries()) {
+      const tierId = index + 1;
+      const apr = formatApr(await staking.tierRewardRate(tierId));
+      const boost = `${Number(tier.multiplier) / 10000}x`;
+      console.log(
+        `Tier ${tierId}: ${formatDuration(tier.lockupPeriod)} lockup at ${apr}`,
+        tier.active ? `(${boost})` : `(${boost}) [disabled]`
+      );
+    }
+
+    return tiers;
+  });
+
+task("staking:add-tier", "Adds a lockup tier with a boosted APR")
+  .addParam("period", "Lockup in seconds or as a duration, e.g. 90d")
+  .addParam("multiplier", "APR multiplier in basis points (15000 = 1.5x)")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ period, multiplier, address }, hre) => {
+    const seconds = parseDuration(period);
+    const staking = await getStaking(hre, address);
+
+    console.log(
+      `➕ Adding a ${formatDuration(seconds)} lockup tier at ${
+        Number(multiplier) / 10000
+      }x the APR...`
+    );
+    const receipt = await sendWithPreflight(
+      "Add lockup tier",
+      staking,
+      "addLockupTier",
+      [seconds, multiplier]
+    );
+    const { args } = receipt.logs
+      .map((log) => staking.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "LockupTierAdded");
+    console.log("Tier id:", args.tierId.toString());
+    return args.tierId;
+  });
+
+task("staking:disable-tier", "Stops new stakes in a lockup tier")
+  .addParam("tier", "Lockup tier id", undefined, types.int)
+  .addFlag("enable", "Re-enable the tier instead")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ tier, enable, address }, hre) => {
+    const staking = await getStaking(hre, address);
+    console.log(`${enable ? "✅ Enabling" : "⛔ Disabling"} tier ${tier}...`);
+    await sendWithPreflight(
+      enable ? "Enable lockup tier" : "Disable lockup tier",
+      staking,
+      "setLockupTierActive",
+      [tier, enable]
+    );
+  });
+
+task(
+  "staking:set-nft-boost",
+  "Queues a change to the APR boost for locking a reward NFT, applied after the parameter change delay"
+)
+  .addParam("bps", "Boost in basis points added to the APR (200 = +2%)")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ bps, address }, hre) => {
+    const staking = await getStaking(hre, address);
+    console.log(
+      `🚀 Queueing an NFT boost change from ${formatApr(
+        await staking.nftBoostBps()
+      )} to ${formatApr(bps)}...`
+    );
+    return queueParameterChange(
+      staking,
+      "Queue NFT boost change",
+      "nftBoost",
+      bps
+    );
+  });
+
+task("staking:lock-nft", "Locks a reward NFT into the stake for an APR boost")
+  .addParam("id", "Reward NFT token id", undefined, types.int)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ id, address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const staking = await getStaking(hre, address);
+    const nft = await hre.ethers.getContractAt(
+      "StakingRewardNFT",
+      await staking.rewardNFT()
+    );
+    await checkLockNft(staking, nft, signer.address, id);
+
+    console.log(`🔐 Locking reward NFT #${id}...`);
+    await send("Approve", nft.approve(await staking.getAddress(), id));
+    await sendWithPreflight("Lock NFT", staking, "lockNft", [id]);
+  });
+
+task("staking:unlock-nft", "Returns the locked reward NFT, ending the boost")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const staking = await getStaking(hre, address);
+    console.log("🔓 Unlocking reward NFT...");
+    await sendWithPreflight("Unlock NFT", staking, "unlockNft");
+  });
+
+task("staking:emergency", "Enables or disables emergency mode")
+  .addFlag("enable", "Close staking and let stakers exit without lockups")
+  .addFlag("disable", "Return to normal operation")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ enable, disable, address }, hre) => {
+    if (enable === disable) {
+      throw new Error("Pass exactly one of --enable or --disable");
+    }
+    const staking = await getStaking(hre, address);
+    if (enable) {
+      console.log("🚨 Enabling emergency mode...");
+      await sendWithPreflight(
+        "Enable emergency mode",
+        staking,
+        "enableEmergencyMode"
+      );
+    } else {
+      console.log("✅ Disabling emergency mode...");
+      await sendWithPreflight(
+        "Disable emergency mode",
+        staking,
+        "disableEmergencyMode"
+      );
+    }
+  });
+
+task(
+  "staking:emergency-exit",
+  "Withdraws the whole stake during emergency mode, forfeiting rewards"
+)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const staking = await getStaking(hre, address);
+    const stakingToken = await getToken(hre, await staking.stakingToken());
+    const rewardToken = await getToken(hre, await staking.rewardToken());
+
+    console.log("🚪 Exiting the stake...");
+    const receipt = await sendWithPreflight(
+      "Emergency exit",
+      staking,
+      "emergencyExit"
+    );
+    const { args } = receipt.logs
+      .map((log) => staking.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "EmergencyExit");
+    console.log(
+      "Withdrawn:",
+      hre.ethers.formatUnits(args.amount, stakingToken.decimals),
+      stakingToken.symbol
+    );
+    console.log(
+      "Forfeited rewards:",
+      hre.ethers.formatUnits(args.forfeitedRewards, rewardToken.decimals),
+      rewardToken.symbol
+    );
+    return { amount: args.amount, forfeitedRewards: args.forfeitedRewards };
+  });
+
+task(
+  "staking:runway",
+  "Projects reward obligations and when the reward pool runs out"
+)
+  .addOptionalParam("horizon", "How far to project, e.g. 365d", "365d")
+  .addOptionalParam("step", "Interval between printed snapshots", "30d")
+  .addOptionalParam(
+    "scenario",
+    "JSON file of hypothetical actions (see scripts/runway.example.json)"
+  )
+  .addOptionalParam("apr", "Hypothetical APR in basis points, applied now")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ horizon, step, scenario, apr, address }, hre) => {
+    const { projectRunway } = require("../scripts/projectRewards");
+    return projectRunway(hre, {
+      stakingAddress: address,
+      horizon,
+      step,
+      scenario,
+      apr,
+    });
+  });
@@ -0,0 +1,427 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+  parseBeneficiaryCsv,
+  validateBeneficiaries,
+} = require("../scripts/lib/beneficiaries");
+const { formatVestingSchedule } = require("../scripts/lib/format");
+const {
+  getDeployedContract,
+  getToken,
+  parseAmount,
+  send,
+  sendWithPreflight,
+} = require("./helpers");
+
+const ADDRESS_DESCRIPTION =
+  "TokenVesting address (defaults to the one in deployments/<network>.json)";
+
+function getVesting(hre, address) {
+  return getDeployedContract(hre, "TokenVesting", address);
+}
+
+/**
+ * Approves and funds whatever the contract is missing to cover the
+ * outstanding allocations plus `additional` new ones. Returns the amount sent.
+ */
+async function fundShortfall(hre, vesting, additional = 0n) {
+  const { token, decimals, symbol } = await getToken(
+    hre,
+    await vesting.token()
+  );
+  const required = (await vesting.outstandingAllocation()) + additional;
+  const balance = await token.balanceOf(await vesting.getAddress());
+  if (required <= balance) {
+    return 0n;
+  }
+
+  const value = required - balance;
+  console.log(
+    `💰 Funding ${hre.ethers.formatUnits(value, decimals)} ${symbol}...`
+  );
+  await send("Approve", token.approve(await vesting.getAddress(), value));
+  await sendWithPreflight("Fund", vesting, "fund", [value]);
+  return value;
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+task("vesting:status", "Shows TokenVesting status and funding shortfall")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    const { decimals, symbol } = await getToken(hre, await vesting.token());
+    const format = (value) =>
+      `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+
+    const [isPaused, isConfigured, currentBalance, totalAllocation] =
+      await vesting.getContractStatus();
+    const outstanding = await vesting.outstandingAllocation();
+    const shortfall =
+      outstanding > currentBalance ? outstanding - currentBalance : 0n;
+
+    console.log(`📊 TokenVesting ${await vesting.getAddress()}`);
+    console.log("-".repeat(50));
+    console.log("Paused:", isPaused);
+    console.log(
+      "Schedule:",
+      formatVestingSchedule(
+        await vesting.cliffDuration(),
+        await vesting.vestingDuration(),
+        await vesting.releaseInterval()
+      )
+    );
+    console.log("Configured:", isConfigured);
+    console.log("Treasury:", await vesting.treasury());
+    console.log("Beneficiaries:", (await vesting.getBeneficiaries()).length);
+    console.log("Total allocated:", format(totalAllocation));
+    console.log("Outstanding allocations:", format(outstanding));
+    console.log("Contract balance:", format(currentBalance));
+    if (shortfall > 0n) {
+      console.log("⚠️  Shortfall:", format(shortfall));
+    } else {
+      console.log("Surplus:", format(currentBalance - outstanding));
+    }
+    if (isConfigured) {
+      const cliffEnd =
+        (await vesting.startTime()) + (await vesting.cliffDuration());
+      console.log("Cliff ends:", formatTimestamp(cliffEnd));
+      console.log("Cliff passed:", await vesting.isCliffPassed());
+      console.log(
+        "Fully vested:",
+        formatTimestamp(await vesting.vestingEndTime())
+      );
+    }
+
+    return {
+      isPaused,
+      isConfigured,
+      currentBalance,
+      totalAllocation,
+      outstanding,
+      shortfall,
+    };
+  });
+
+task("vesting:info", "Shows the vesting schedule of a beneficiary")
+  .addParam("beneficiary", "Beneficiary address")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ beneficiary, address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    const { decimals, symbol } = await getToken(hre, await vesting.token());
+    const format = (value) =>
+      `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+
+    const info = await vesting.getVestingInfo(beneficiary);
+
+    console.log(`📋 Vesting info for ${beneficiary}`);
+    console.log("-".repeat(50));
+    const configured = (await vesting.startTime()) > 0n;
+    console.log("Allocation:", format(info.allocation));
+    console.log("Vested:", format(info.vested));
+    console.log("Unvested:", format(info.unvested));
+    console.log("Released:", format(info.releasedAmount));
+    console.log("Releasable now:", format(info.releasable));
+    console.log(
+      "Cliff ends:",
+      configured ? formatTimestamp(info.cliffEndTime) : "not configured"
+    );
+    console.log(
+      "Fully vested:",
+      configured ? formatTimestamp(info.vestingEnd) : "not configured"
+    );
+    console.log("Revoked:", info.isRevoked);
+
+    return info;
+  });
+
+task("vesting:pause", "Pauses releases")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    console.log("⏸️  Pausing TokenVesting...");
+    await sendWithPreflight("Pause", vesting, "pause");
+  });
+
+task("vesting:unpause", "Resumes releases")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    console.log("▶️  Unpausing TokenVesting...");
+    await sendWithPreflight("Unpause", vesting, "unpause");
+  });
+
+task("vesting:revoke", "Revokes a beneficiary")
+  .addParam("beneficiary", "Beneficiary address")
+  .addFlag(
+    "clawback",
+    "Pay out the vested amount and return the unvested rest to the treasury (cannot be undone)"
+  )
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ beneficiary, clawback, address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    if (!clawback) {
+      console.log(`🚫 Revoking ${beneficiary}...`);
+      await sendWithPreflight("Revoke", vesting, "revokeBeneficiary", [
+        beneficiary,
+      ]);
+      return;
+    }
+
+    const { decimals, symbol } = await getToken(hre, await vesting.token());
+    const format = (value) =>
+      `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+    console.log(
+      `🚫 Revoking ${beneficiary} and clawing back to ${await vesting.treasury()}...`
+    );
+    const receipt = await sendWithPreflight(
+      "Clawback",
+      vesting,
+      "revokeWithClawback",
+      [beneficiary]
+    );
+    const { args } = receipt.logs
+      .map((log) => vesting.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "BeneficiaryClawedBack");
+    console.log("Paid to beneficiary:", format(args.settledAmount));
+    console.log("Returned to treasury:", format(args.clawbackAmount));
+    return {
+      vested: args.vestedAmount,
+      settled: args.settledAmount,
+      clawback: args.clawbackAmount,
+    };
+  });
+
+task("vesting:unrevoke", "Reinstates a revoked beneficiary")
+  .addParam("beneficiary", "Beneficiary address")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ beneficiary, address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    console.log(`♻️  Unrevoking ${beneficiary}...`);
+    await sendWithPreflight("Unrevoke", vesting, "unrevokeBeneficiary", [
+      beneficiary,
+    ]);
+  });
+
+task("vesting:treasury", "Sets the treasury that receives clawed back tokens")
+  .addParam("treasury", "New treasury address")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ treasury, address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    console.log(`🏦 Setting treasury to ${treasury}...`);
+    await sendWithPreflight("Set treasury", vesting, "setTreasury", [treasury]);
+  });
+
+task("vesting:fund", "Approves and funds the vesting contract")
+  .addOptionalParam(
+    "amount",
+    "Amount in whole tokens (defaults to the current shortfall)"
+  )
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ amount, address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    const { token, decimals, symbol } = await getToken(
+      hre,
+      await vesting.token()
+    );
+
+    if (amount === undefined) {
+      if ((await fundShortfall(hre, vesting)) === 0n) {
+        console.log("✅ Contract already covers outstanding allocations");
+      }
+      return;
+    }
+
+    const value = parseAmount(hre, amount, decimals);
+    console.log(
+      `💰 Funding ${hre.ethers.formatUnits(value, decimals)} ${symbol}...`
+    );
+    await send("Approve", token.approve(await vesting.getAddress(), value));
+    await sendWithPreflight("Fund", vesting, "fund", [value]);
+  });
+
+task(
+  "vesting:add",
+  "Adds beneficiaries after setup, vesting from their own start time"
+)
+  .addOptionalParam("beneficiary", "Beneficiary address")
+  .addOptionalParam("allocation", "Allocation in whole tokens")
+  .addOptionalParam("csv", "CSV file of beneficiary,allocation rows instead")
+  .addOptionalParam(
+    "start",
+    "Vesting start as a unix timestamp (defaults to the block of the transaction)",
+    0,
+    types.int
+  )
+  .addFlag("fund", "Fund the allocations that are not covered yet first")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(
+    async ({ beneficiary, allocation, csv, start, fund, address }, hre) => {
+      const vesting = await getVesting(hre, address);
+      const { decimals, symbol } = await getToken(hre, await vesting.token());
+
+      let rows;
+      if (csv) {
+        rows = parseBeneficiaryCsv(fs.readFileSync(csv, "utf8"), decimals);
+      } else if (beneficiary && allocation) {
+        rows = parseBeneficiaryCsv(`${beneficiary},${allocation}`, decimals);
+      } else {
+        throw new Error("Pass --csv or both --beneficiary and --allocation");
+      }
+      const { beneficiaries, allocations, totalAllocation } =
+        validateBeneficiaries(rows);
+
+      if (fund) {
+        await fundShortfall(hre, vesting, totalAllocation);
+      }
+      console.log(
+        `👥 Adding ${
+          beneficiaries.length
+        } beneficiaries (${hre.ethers.formatUnits(
+          totalAllocation,
+          decimals
+        )} ${symbol}) starting ${start ? formatTimestamp(start) : "now"}...`
+      );
+      await sendWithPreflight(
+        "Add beneficiaries",
+        vesting,
+        "addBeneficiaries",
+        [beneficiaries, allocations, start]
+      );
+      return { beneficiaries, allocations, totalAllocation };
+    }
+  );
+
+task("vesting:increase", "Tops up the allocation of a beneficiary")
+  .addParam("beneficiary", "Beneficiary address")
+  .addParam("amount", "Additional allocation in whole tokens")
+  .addFlag("fund", "Fund the allocations that are not covered yet first")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ beneficiary, amount, fund, address }, hre) => {
+    const vesting = await getVesting(hre, address);
+    const { decimals, symbol } = await getToken(hre, await vesting.token());
+    const value = parseAmount(hre, amount, decimals);
+
+    if (fund) {
+      await fundShortfall(hre, vesting, value);
+    }
+    console.log(
+      `➕ Increasing the allocation of ${beneficiary} by ${amount} ${symbol}...`
+    );
+    await sendWithPreflight(
+      "Increase allocation",
+      vesting,
+      "increaseAllocation",
+      [beneficiary, value]
+    );
+  });
+
+task("vesting:release", "Releases vested tokens to a beneficiary")
+  .addOptionalParam(
+    "beneficiary",
+    "Beneficiary address (defaults to the signer)"
+  )
+  .addOptionalParam(
+    "proofs",
+    "Merkle distribution JSON to register the beneficiary from on first release"
+  )
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ beneficiary, proofs, address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const account = hre.ethers.getAddress(beneficiary || signer.address);
+    const vesting = await getVesting(hre, address);
+    const { decimals, symbol } = await getToken(hre, await vesting.token());
+
+    if (proofs && (await vesting.allocations(account)) === 0n) {
+      const { loadMerkleDistribution } = require("../scripts/buildMerkleTree");
+      const claim = loadMerkleDistribution(proofs).claims[account];
+      if (!claim) {
+        throw new Error(`${account} is not in ${proofs}`);
+      }
+      console.log(`🔓 Registering ${account} and releasing...`);
+      await sendWithPreflight("Release", vesting, "releaseWithProof", [
+        account,
+        claim.allocation,
+        claim.proof,
+      ]);
+      return;
+    }
+
+    console.log(
+      `🔓 Releasing ${hre.ethers.formatUnits(
+        await vesting.releasableAmount(account),
+        decimals
+      )} ${symbol} to ${account}...`
+    );
+    await sendWithPreflight("Release", vesting, "release", [account]);
+  });
+
+task(
+  "vesting:merkle",
+  "Builds a Merkle root and per-beneficiary proofs from a CSV"
+)
+  .addParam("csv", "CSV file of beneficiary,allocation rows")
+  .addOptionalParam("out", "Output JSON file (defaults to <csv>.merkle.json)")
+  .addOptionalParam(
+    "token",
+    "Token to read decimals from (defaults to the TokenVesting token, else 18 decimals)"
+  )
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ csv, out, token, address }, hre) => {
+    const { buildMerkleTree } = require("../scripts/buildMerkleTree");
+    if (!token) {
+      try {
+        token = await (await getVesting(hre, address)).token();
+      } catch {
+        // No deployment to read the token from; fall back to 18 decimals.
+      }
+    }
+    return buildMerkleTree(hre, { csv, token, out });
+  });
+
+task(
+  "vesting:set-root",
+  "Configures TokenVesting with the Merkle root from vesting:merkle"
+)
+  .addParam("file", "Merkle distribution JSON written by vesting:merkle")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ file, address }, hre) => {
+    const { loadMerkleDistribution } = require("../scripts/buildMerkleTree");
+    const { merkleRoot, totalAllocation, claims } =
+      loadMerkleDistribution(file);
+    const vesting = await getVesting(hre, address);
+    const { decimals, symbol } = await getToken(hre, await vesting.token());
+
+    console.log(
+      `🌳 Committing ${merkleRoot} for ${
+        Object.keys(claims).length
+      } beneficiaries (${hre.ethers.formatUnits(
+        totalAllocation,
+        decimals
+      )} ${symbol})...`
+    );
+    await sendWithPreflight("Set Merkle root", vesting, "setMerkleRoot", [
+      merkleRoot,
+      totalAllocation,
+    ]);
+  });
+
+task("vesting:report", "Exports a CSV and JSON ledger of all beneficiaries")
+  .addOptionalParam(
+    "block",
+    "Historical block number to report at (defaults to latest)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("out", "Output directory (defaults to reports/)")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ block, out, address }, hre) => {
+    const { exportVestingReport } = require("../scripts/exportVestingReport");
+    return exportVestingReport(hre, {
+      vestingAddress: address,
+      blockNumber: block,
+      outDir: out,
+    });
+  });
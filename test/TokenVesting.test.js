@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { hashLeaf, buildMerkleDistribution } = require("../scripts/lib/merkle");
 
 describe("TokenVesting", function () {
   const DAY = 24 * 60 * 60;
@@ -114,7 +115,12 @@ describe("TokenVesting", function () {
     await token.waitForDeployment();
 
     const vestingFactory = await ethers.getContractFactory("TokenVesting");
-    vesting = await vestingFactory.deploy(token.target, BigInt(CLIFF_DURATION));
+    vesting = await vestingFactory.deploy(
+      token.target,
+      BigInt(CLIFF_DURATION),
+      0,
+      0
+    );
     await vesting.waitForDeployment();
   });
 
@@ -127,8 +133,16 @@ describe("TokenVesting", function () {
       expect(await vesting.cliffDuration()).to.equal(BigInt(CLIFF_DURATION));
     });
 
-    it("Should set owner correctly", async function () {
-      expect(await vesting.owner()).to.equal(owner.address);
+    it("Should grant every role to the deployer", async function () {
+      for (const role of [
+        await vesting.DEFAULT_ADMIN_ROLE(),
+        await vesting.PARAM_MANAGER_ROLE(),
+        await vesting.FUNDER_ROLE(),
+        await vesting.PAUSER_ROLE(),
+        await vesting.TREASURY_ROLE(),
+      ]) {
+        expect(await vesting.hasRole(role, owner.address)).to.equal(true);
+      }
     });
 
     it("Should initialize with zero startTime", async function () {
@@ -147,15 +161,15 @@ describe("TokenVesting", function () {
     it("Should reject zero token address in constructor", async function () {
       const vestingFactory = await ethers.getContractFactory("TokenVesting");
       await expect(
-        vestingFactory.deploy(ethers.ZeroAddress, BigInt(CLIFF_DURATION))
+        vestingFactory.deploy(ethers.ZeroAddress, BigInt(CLIFF_DURATION), 0, 0)
       ).to.be.rejectedWith("Token address cannot be zero");
     });
 
     it("Should reject zero cliff duration in constructor", async function () {
       const vestingFactory = await ethers.getContractFactory("TokenVesting");
-      await expect(vestingFactory.deploy(token.target, 0)).to.be.rejectedWith(
-        "Cliff duration must be greater than zero"
-      );
+      await expect(
+        vestingFactory.deploy(token.target, 0, 0, 0)
+      ).to.be.rejectedWith("Cliff duration must be greater than zero");
     });
   });
 
@@ -205,12 +219,15 @@ describe("TokenVesting", function () {
       const allocations = getDefaultAllocations();
 
       // Align non-owner access-control tests with OpenZeppelin v5 custom errors.
-      // Expect OwnableUnauthorizedAccount with the unauthorized caller address.
+      // Expect AccessControlUnauthorizedAccount with the caller and missing role.
       await expect(
         vesting.connect(beneficiary1).setBeneficiaries(addresses, allocations)
       )
-        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount")
-        .withArgs(beneficiary1.address);
+        .to.be.revertedWithCustomError(
+          vesting,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(beneficiary1.address, await vesting.PARAM_MANAGER_ROLE());
     });
 
     it("Should prevent calling setBeneficiaries twice", async function () {
@@ -355,8 +372,11 @@ describe("TokenVesting", function () {
       await token.connect(owner).approve(vesting.target, amount);
 
       await expect(vesting.connect(beneficiary1).fund(amount))
-        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount")
-        .withArgs(beneficiary1.address);
+        .to.be.revertedWithCustomError(
+          vesting,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(beneficiary1.address, await vesting.FUNDER_ROLE());
     });
 
     it("Should reject zero amount funding", async function () {
@@ -526,8 +546,11 @@ describe("TokenVesting", function () {
 
     it("Should prevent non-owner from pausing", async function () {
       await expect(vesting.connect(beneficiary1).pause())
-        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount")
-        .withArgs(beneficiary1.address);
+        .to.be.revertedWithCustomError(
+          vesting,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(beneficiary1.address, await vesting.PAUSER_ROLE());
     });
 
     it("Should prevent releases when paused", async function () {
@@ -598,8 +621,11 @@ describe("TokenVesting", function () {
       await expect(
         vesting.connect(beneficiary2).revokeBeneficiary(beneficiary1.address)
       )
-        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount")
-        .withArgs(beneficiary2.address);
+        .to.be.revertedWithCustomError(
+          vesting,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(beneficiary2.address, await vesting.PARAM_MANAGER_ROLE());
     });
 
     it("Should prevent revoking non-beneficiary", async function () {
@@ -941,6 +967,793 @@ describe("TokenVesting", function () {
     });
   });
 
+  describe("Vesting Schedules", function () {
+    const VESTING_DURATION = 120 * DAY;
+    const MONTH = 30 * DAY;
+    const ALLOCATION = toTokens(1200);
+
+    let cliffEnd;
+
+    async function deployWithSchedule(duration, interval) {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      vesting = await vestingFactory.deploy(
+        token.target,
+        BigInt(CLIFF_DURATION),
+        duration,
+        interval
+      );
+      await vesting.waitForDeployment();
+
+      await vesting
+        .connect(owner)
+        .setBeneficiaries(
+          [beneficiary1.address, beneficiary2.address],
+          [ALLOCATION, ALLOCATION]
+        );
+      await fundContract(ALLOCATION * 2n);
+      cliffEnd = Number(await vesting.startTime()) + CLIFF_DURATION;
+    }
+
+    // Mines a block at `timestamp` and returns a block tag pinned to it, so
+    // view calls see exactly that point on the curve.
+    async function mineAt(timestamp) {
+      await ethers.provider.send("evm_mine", [timestamp]);
+      return { blockTag: await ethers.provider.getBlockNumber() };
+    }
+
+    async function releaseAt(timestamp, beneficiary) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      const receipt = await (
+        await vesting.connect(owner).release(beneficiary)
+      ).wait();
+      const event = receipt.logs
+        .map((log) => vesting.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "TokensReleased");
+      return {
+        amount: event.args.amount,
+        timestamp: (await receipt.getBlock()).timestamp,
+      };
+    }
+
+    it("Should store the schedule set in the constructor", async function () {
+      await deployWithSchedule(VESTING_DURATION, MONTH);
+
+      expect(await vesting.vestingDuration()).to.equal(
+        BigInt(VESTING_DURATION)
+      );
+      expect(await vesting.releaseInterval()).to.equal(BigInt(MONTH));
+      expect(await vesting.vestingEndTime()).to.equal(
+        BigInt(cliffEnd + VESTING_DURATION)
+      );
+    });
+
+    it("Should reject a release interval without a vesting duration", async function () {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      await expect(
+        vestingFactory.deploy(token.target, BigInt(CLIFF_DURATION), 0, MONTH)
+      ).to.be.rejectedWith("Release interval requires a vesting duration");
+    });
+
+    it("Should reject a vesting duration that is not a multiple of the interval", async function () {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      await expect(
+        vestingFactory.deploy(
+          token.target,
+          BigInt(CLIFF_DURATION),
+          VESTING_DURATION + DAY,
+          MONTH
+        )
+      ).to.be.rejectedWith(
+        "Vesting duration must be a multiple of the release interval"
+      );
+    });
+
+    it("Should vest linearly along the curve after the cliff", async function () {
+      await deployWithSchedule(VESTING_DURATION, 0);
+
+      const checkpoints = [
+        [-1, 0n],
+        [0, 0n],
+        [DAY, ALLOCATION / 120n],
+        [30 * DAY, toTokens(300)],
+        [60 * DAY, toTokens(600)],
+        [90 * DAY + 12 * 60 * 60, toTokens(905)],
+        [VESTING_DURATION, ALLOCATION],
+        [VESTING_DURATION + 365 * DAY, ALLOCATION],
+      ];
+      for (const [offset, expected] of checkpoints) {
+        const blockTag = await mineAt(cliffEnd + offset);
+        expect(
+          await vesting.vestedAmount(beneficiary1.address, blockTag)
+        ).to.equal(expected);
+        expect(
+          await vesting.releasableAmount(beneficiary1.address, blockTag)
+        ).to.equal(expected);
+      }
+    });
+
+    it("Should unlock in monthly steps when a release interval is set", async function () {
+      await deployWithSchedule(VESTING_DURATION, MONTH);
+
+      const checkpoints = [
+        [0, 0n],
+        [MONTH - 1, 0n],
+        [MONTH, toTokens(300)],
+        [2 * MONTH - 1, toTokens(300)],
+        [2 * MONTH, toTokens(600)],
+        [3 * MONTH + 15 * DAY, toTokens(900)],
+        [VESTING_DURATION - 1, toTokens(900)],
+        [VESTING_DURATION, ALLOCATION],
+      ];
+      for (const [offset, expected] of checkpoints) {
+        const blockTag = await mineAt(cliffEnd + offset);
+        expect(
+          await vesting.vestedAmount(beneficiary1.address, blockTag)
+        ).to.equal(expected);
+      }
+    });
+
+    it("Should release only the vested but unreleased portion", async function () {
+      await deployWithSchedule(VESTING_DURATION, 0);
+      const vestedAt = (timestamp) =>
+        (ALLOCATION * BigInt(timestamp - cliffEnd)) / BigInt(VESTING_DURATION);
+
+      const first = await releaseAt(cliffEnd + 30 * DAY, beneficiary1.address);
+      expect(first.amount).to.equal(vestedAt(first.timestamp));
+
+      const second = await releaseAt(cliffEnd + 90 * DAY, beneficiary1.address);
+      expect(second.amount).to.equal(vestedAt(second.timestamp) - first.amount);
+
+      const last = await releaseAt(
+        cliffEnd + VESTING_DURATION + DAY,
+        beneficiary1.address
+      );
+      expect(first.amount + second.amount + last.amount).to.equal(ALLOCATION);
+      expect(await token.balanceOf(beneficiary1.address)).to.equal(ALLOCATION);
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.be.revertedWith("No tokens to release");
+    });
+
+    it("Should reject a release between the cliff and the first step", async function () {
+      await deployWithSchedule(VESTING_DURATION, MONTH);
+      await mineAt(cliffEnd + DAY);
+
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.be.revertedWith("No tokens to release");
+
+      const step = await releaseAt(cliffEnd + MONTH, beneficiary1.address);
+      expect(step.amount).to.equal(toTokens(300));
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.be.revertedWith("No tokens to release");
+    });
+
+    it("Should report vested and unvested amounts in getVestingInfo", async function () {
+      await deployWithSchedule(VESTING_DURATION, MONTH);
+      await releaseAt(cliffEnd + MONTH, beneficiary1.address);
+      const blockTag = await mineAt(cliffEnd + 2 * MONTH);
+
+      const info = await vesting.getVestingInfo(beneficiary1.address, blockTag);
+      expect(info.allocation).to.equal(ALLOCATION);
+      expect(info.vested).to.equal(toTokens(600));
+      expect(info.unvested).to.equal(toTokens(600));
+      expect(info.releasedAmount).to.equal(toTokens(300));
+      expect(info.releasable).to.equal(toTokens(300));
+      expect(info.vestingEnd).to.equal(BigInt(cliffEnd + VESTING_DURATION));
+    });
+
+    it("Should keep vesting on schedule while a beneficiary is revoked", async function () {
+      await deployWithSchedule(VESTING_DURATION, MONTH);
+      await vesting.connect(owner).revokeBeneficiary(beneficiary1.address);
+      const blockTag = await mineAt(cliffEnd + MONTH);
+
+      expect(
+        await vesting.releasableAmount(beneficiary1.address, blockTag)
+      ).to.equal(0n);
+      expect(
+        await vesting.vestedAmount(beneficiary1.address, blockTag)
+      ).to.equal(toTokens(300));
+    });
+  });
+
+  describe("Revoke with Clawback", function () {
+    const VESTING_DURATION = 100 * DAY;
+    const ALLOCATION = toTokens(1000);
+
+    let treasury;
+    let cliffEnd;
+
+    beforeEach(async function () {
+      treasury = additionalSigners[0];
+
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      vesting = await vestingFactory.deploy(
+        token.target,
+        BigInt(CLIFF_DURATION),
+        VESTING_DURATION,
+        0
+      );
+      await vesting.waitForDeployment();
+
+      await vesting
+        .connect(owner)
+        .setBeneficiaries(
+          [beneficiary1.address, beneficiary2.address],
+          [ALLOCATION, ALLOCATION]
+        );
+      await fundContract(ALLOCATION * 2n);
+      await vesting.connect(owner).setTreasury(treasury.address);
+      cliffEnd = Number(await vesting.startTime()) + CLIFF_DURATION;
+    });
+
+    async function clawbackAt(timestamp, beneficiary) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      return vesting.connect(owner).revokeWithClawback(beneficiary);
+    }
+
+    it("Should default the treasury to the owner and let the owner change it", async function () {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      const fresh = await vestingFactory.deploy(
+        token.target,
+        BigInt(CLIFF_DURATION),
+        0,
+        0
+      );
+      expect(await fresh.treasury()).to.equal(owner.address);
+
+      await expect(fresh.connect(owner).setTreasury(treasury.address))
+        .to.emit(fresh, "TreasuryUpdated")
+        .withArgs(owner.address, treasury.address);
+      expect(await fresh.treasury()).to.equal(treasury.address);
+
+      await expect(
+        fresh.connect(owner).setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWith("Treasury cannot be zero address");
+      await expect(
+        fresh.connect(beneficiary1).setTreasury(beneficiary1.address)
+      ).to.be.revertedWithCustomError(
+        fresh,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should return the whole allocation to the treasury before the cliff", async function () {
+      await expect(
+        vesting.connect(owner).revokeWithClawback(beneficiary1.address)
+      )
+        .to.emit(vesting, "BeneficiaryClawedBack")
+        .withArgs(beneficiary1.address, treasury.address, 0n, 0n, ALLOCATION);
+
+      expect(await token.balanceOf(treasury.address)).to.equal(ALLOCATION);
+      expect(await token.balanceOf(beneficiary1.address)).to.equal(0n);
+      expect(await vesting.allocations(beneficiary1.address)).to.equal(0n);
+      expect(await vesting.totalAllocated()).to.equal(ALLOCATION);
+      expect(await vesting.revoked(beneficiary1.address)).to.equal(true);
+    });
+
+    it("Should settle the vested amount and claw back the rest mid-vesting", async function () {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        cliffEnd + 20 * DAY,
+      ]);
+      await vesting.connect(owner).release(beneficiary1.address);
+      expect(await token.balanceOf(beneficiary1.address)).to.equal(
+        toTokens(200)
+      );
+
+      await expect(clawbackAt(cliffEnd + 60 * DAY, beneficiary1.address))
+        .to.emit(vesting, "BeneficiaryClawedBack")
+        .withArgs(
+          beneficiary1.address,
+          treasury.address,
+          toTokens(600),
+          toTokens(400),
+          toTokens(400)
+        );
+
+      expect(await token.balanceOf(beneficiary1.address)).to.equal(
+        toTokens(600)
+      );
+      expect(await token.balanceOf(treasury.address)).to.equal(toTokens(400));
+      expect(await vesting.allocations(beneficiary1.address)).to.equal(
+        toTokens(600)
+      );
+      expect(await vesting.totalAllocated()).to.equal(toTokens(1600));
+      expect(await token.balanceOf(vesting.target)).to.equal(ALLOCATION);
+
+      // The schedule no longer moves for a clawed back beneficiary.
+      await increaseTime(VESTING_DURATION);
+      const info = await vesting.getVestingInfo(beneficiary1.address);
+      expect(info.vested).to.equal(toTokens(600));
+      expect(info.unvested).to.equal(0n);
+      expect(info.releasable).to.equal(0n);
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.be.revertedWith("Beneficiary is revoked");
+
+      // Everyone else is still fully covered.
+      await expect(vesting.connect(owner).release(beneficiary2.address))
+        .to.emit(vesting, "TokensReleased")
+        .withArgs(beneficiary2.address, ALLOCATION);
+    });
+
+    it("Should pay out everything and claw back nothing after full vesting", async function () {
+      await expect(
+        clawbackAt(cliffEnd + VESTING_DURATION, beneficiary1.address)
+      )
+        .to.emit(vesting, "BeneficiaryClawedBack")
+        .withArgs(
+          beneficiary1.address,
+          treasury.address,
+          ALLOCATION,
+          ALLOCATION,
+          0n
+        );
+
+      expect(await token.balanceOf(beneficiary1.address)).to.equal(ALLOCATION);
+      expect(await token.balanceOf(treasury.address)).to.equal(0n);
+      expect(await vesting.totalAllocated()).to.equal(ALLOCATION * 2n);
+    });
+
+    it("Should clawback a beneficiary that was already revoked", async function () {
+      await vesting.connect(owner).revokeBeneficiary(beneficiary1.address);
+
+      await clawbackAt(cliffEnd + 50 * DAY, beneficiary1.address);
+
+      expect(await token.balanceOf(beneficiary1.address)).to.equal(
+        toTokens(500)
+      );
+      expect(await token.balanceOf(treasury.address)).to.equal(toTokens(500));
+    });
+
+    it("Should make a clawback final", async function () {
+      await clawbackAt(cliffEnd + 50 * DAY, beneficiary1.address);
+
+      await expect(
+        vesting.connect(owner).revokeWithClawback(beneficiary1.address)
+      ).to.be.revertedWith("Already clawed back");
+      await expect(
+        vesting.connect(owner).unrevokeBeneficiary(beneficiary1.address)
+      ).to.be.revertedWith("Allocation was clawed back");
+    });
+
+    it("Should restrict clawback to the owner and known beneficiaries", async function () {
+      await expect(
+        vesting.connect(beneficiary1).revokeWithClawback(beneficiary1.address)
+      ).to.be.revertedWithCustomError(
+        vesting,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        vesting.connect(owner).revokeWithClawback(nonBeneficiary.address)
+      ).to.be.revertedWith("Not a beneficiary");
+    });
+  });
+
+  describe("Adding Beneficiaries", function () {
+    let newHire;
+
+    beforeEach(async function () {
+      newHire = additionalSigners[0];
+      await configureDefaultBeneficiaries();
+      await fundContract(getDefaultTotalAllocation());
+    });
+
+    async function addNewHire(allocation, start = 0) {
+      await fundContract(allocation);
+      return vesting
+        .connect(owner)
+        .addBeneficiaries([newHire.address], [allocation], start);
+    }
+
+    it("Should add a beneficiary with its own start time", async function () {
+      await increaseTime(10 * DAY);
+
+      const tx = await addNewHire(toTokens(600));
+      const { timestamp } = await (await tx.wait()).getBlock();
+      await expect(tx)
+        .to.emit(vesting, "BeneficiaryAdded")
+        .withArgs(newHire.address, toTokens(600), timestamp);
+
+      expect(await vesting.startTimes(newHire.address)).to.equal(timestamp);
+      expect(await vesting.vestingStartOf(newHire.address)).to.equal(timestamp);
+      expect(await vesting.cliffEndOf(newHire.address)).to.equal(
+        BigInt(timestamp + CLIFF_DURATION)
+      );
+      expect(await vesting.totalAllocated()).to.equal(
+        getDefaultTotalAllocation() + toTokens(600)
+      );
+      expect(await vesting.getBeneficiaries()).to.deep.equal([
+        ...getDefaultBeneficiaries(),
+        newHire.address,
+      ]);
+    });
+
+    it("Should keep the original batch on the global start time", async function () {
+      const startTime = await vesting.startTime();
+      await increaseTime(10 * DAY);
+      await addNewHire(toTokens(600));
+
+      expect(await vesting.startTimes(beneficiary1.address)).to.equal(0n);
+      expect(await vesting.vestingStartOf(beneficiary1.address)).to.equal(
+        startTime
+      );
+      const info = await vesting.getVestingInfo(beneficiary1.address);
+      expect(info.cliffEndTime).to.equal(startTime + BigInt(CLIFF_DURATION));
+    });
+
+    it("Should apply the cliff from the beneficiary's own start", async function () {
+      await increaseTime(10 * DAY);
+      await addNewHire(toTokens(600));
+
+      await increaseTime(CLIFF_DURATION - 10 * DAY);
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.emit(vesting, "TokensReleased");
+      await expect(
+        vesting.connect(owner).release(newHire.address)
+      ).to.be.revertedWith("Cliff period not reached");
+
+      await increaseTime(10 * DAY);
+      await expect(vesting.connect(owner).release(newHire.address))
+        .to.emit(vesting, "TokensReleased")
+        .withArgs(newHire.address, toTokens(600));
+    });
+
+    it("Should accept an explicit start time", async function () {
+      const start = Number(await vesting.startTime()) + 90 * DAY;
+      await addNewHire(toTokens(600), start);
+
+      expect(await vesting.cliffEndOf(newHire.address)).to.equal(
+        BigInt(start + CLIFF_DURATION)
+      );
+      await increaseTime(CLIFF_DURATION + 30 * DAY);
+      expect(await vesting.releasableAmount(newHire.address)).to.equal(0n);
+    });
+
+    it("Should require the contract to cover the new allocations", async function () {
+      await expect(
+        vesting
+          .connect(owner)
+          .addBeneficiaries([newHire.address], [toTokens(600)], 0)
+      ).to.be.revertedWith(
+        "Insufficient contract balance for total allocations"
+      );
+      await expect(
+        vesting.connect(owner).increaseAllocation(beneficiary1.address, 1n)
+      ).to.be.revertedWith(
+        "Insufficient contract balance for total allocations"
+      );
+    });
+
+    it("Should validate added beneficiaries like setBeneficiaries", async function () {
+      await fundContract(toTokens(600));
+      const add = (addresses, allocations) =>
+        vesting.connect(owner).addBeneficiaries(addresses, allocations, 0);
+
+      await expect(
+        add([beneficiary1.address], [toTokens(1)])
+      ).to.be.revertedWith("Duplicate beneficiary");
+      await expect(add([ethers.ZeroAddress], [toTokens(1)])).to.be.revertedWith(
+        "Zero address beneficiary"
+      );
+      await expect(add([newHire.address], [0])).to.be.revertedWith(
+        "Zero allocation"
+      );
+      await expect(add([newHire.address], [])).to.be.revertedWith(
+        "Array length mismatch"
+      );
+      await expect(
+        vesting
+          .connect(newHire)
+          .addBeneficiaries([newHire.address], [toTokens(1)], 0)
+      ).to.be.revertedWithCustomError(
+        vesting,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should require setBeneficiaries to run first", async function () {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      const fresh = await vestingFactory.deploy(
+        token.target,
+        BigInt(CLIFF_DURATION),
+        0,
+        0
+      );
+
+      await expect(
+        fresh.connect(owner).addBeneficiaries([newHire.address], [1n], 0)
+      ).to.be.revertedWith("Beneficiaries not configured");
+    });
+
+    it("Should increase an existing allocation", async function () {
+      await fundContract(toTokens(500));
+
+      await expect(
+        vesting
+          .connect(owner)
+          .increaseAllocation(beneficiary1.address, toTokens(500))
+      )
+        .to.emit(vesting, "AllocationIncreased")
+        .withArgs(beneficiary1.address, toTokens(500), toTokens(1500));
+
+      expect(await vesting.totalAllocated()).to.equal(
+        getDefaultTotalAllocation() + toTokens(500)
+      );
+      await increaseTime(CLIFF_DURATION);
+      await expect(vesting.connect(owner).release(beneficiary1.address))
+        .to.emit(vesting, "TokensReleased")
+        .withArgs(beneficiary1.address, toTokens(1500));
+    });
+
+    it("Should reject increasing unknown or clawed back allocations", async function () {
+      await expect(
+        vesting.connect(owner).increaseAllocation(newHire.address, 1n)
+      ).to.be.revertedWith("Not a beneficiary");
+      await expect(
+        vesting.connect(owner).increaseAllocation(beneficiary1.address, 0)
+      ).to.be.revertedWith("Amount must be greater than zero");
+
+      await increaseTime(CLIFF_DURATION);
+      await vesting.connect(owner).revokeWithClawback(beneficiary1.address);
+      await expect(
+        vesting.connect(owner).increaseAllocation(beneficiary1.address, 1n)
+      ).to.be.revertedWith("Allocation was clawed back");
+    });
+  });
+
+  describe("Merkle Registration", function () {
+    let distribution;
+
+    beforeEach(async function () {
+      distribution = buildMerkleDistribution({
+        beneficiaries: getDefaultBeneficiaries(),
+        allocations: getDefaultAllocations(),
+      });
+      await vesting
+        .connect(owner)
+        .setMerkleRoot(distribution.merkleRoot, distribution.totalAllocation);
+      await fundContract(getDefaultTotalAllocation());
+    });
+
+    const claimOf = (beneficiary) => distribution.claims[beneficiary.address];
+
+    it("Should commit the root and total allocation", async function () {
+      expect(await vesting.merkleRoot()).to.equal(distribution.merkleRoot);
+      expect(await vesting.totalAllocated()).to.equal(
+        getDefaultTotalAllocation()
+      );
+      expect(await vesting.outstandingAllocation()).to.equal(
+        getDefaultTotalAllocation()
+      );
+      expect(await vesting.isCliffPassed()).to.equal(false);
+      expect(await vesting.getBeneficiaries()).to.deep.equal([]);
+    });
+
+    it("Should register and release every beneficiary with its proof", async function () {
+      await increaseTime(CLIFF_DURATION);
+
+      for (const [i, beneficiary] of [
+        beneficiary1,
+        beneficiary2,
+        beneficiary3,
+        beneficiary4,
+        beneficiary5,
+      ].entries()) {
+        const { allocation, proof } = claimOf(beneficiary);
+        await expect(
+          vesting
+            .connect(beneficiary)
+            .releaseWithProof(beneficiary.address, allocation, proof)
+        )
+          .to.emit(vesting, "VestingScheduleCreated")
+          .withArgs(beneficiary.address, getDefaultAllocations()[i])
+          .and.to.emit(vesting, "TokensReleased")
+          .withArgs(beneficiary.address, allocation);
+      }
+
+      expect(await vesting.getBeneficiaries()).to.deep.equal(
+        getDefaultBeneficiaries()
+      );
+      expect(await vesting.outstandingAllocation()).to.equal(0n);
+      expect(await token.balanceOf(vesting.target)).to.equal(0n);
+    });
+
+    it("Should reject a wrong allocation or someone else's proof", async function () {
+      await increaseTime(CLIFF_DURATION);
+      const { allocation, proof } = claimOf(beneficiary1);
+
+      await expect(
+        vesting.releaseWithProof(beneficiary1.address, allocation + 1n, proof)
+      ).to.be.revertedWith("Invalid Merkle proof");
+      await expect(
+        vesting.releaseWithProof(nonBeneficiary.address, allocation, proof)
+      ).to.be.revertedWith("Invalid Merkle proof");
+      await expect(vesting.release(beneficiary1.address)).to.be.revertedWith(
+        "Beneficiary has no allocation"
+      );
+    });
+
+    it("Should register ahead of the cliff and ignore the proof afterwards", async function () {
+      const { allocation, proof } = claimOf(beneficiary2);
+      await vesting.registerWithProof(beneficiary2.address, allocation, proof);
+
+      expect(await vesting.allocations(beneficiary2.address)).to.equal(
+        allocation
+      );
+      await expect(
+        vesting.registerWithProof(beneficiary2.address, allocation, proof)
+      ).to.be.revertedWith("Already registered");
+
+      // Registered beneficiaries can be revoked like any other.
+      await vesting.connect(owner).revokeBeneficiary(beneficiary2.address);
+      expect(await vesting.outstandingAllocation()).to.equal(
+        getDefaultTotalAllocation() - allocation
+      );
+      await vesting.connect(owner).unrevokeBeneficiary(beneficiary2.address);
+
+      await increaseTime(CLIFF_DURATION);
+      await expect(
+        vesting.releaseWithProof(beneficiary2.address, 0, [])
+      ).to.emit(vesting, "TokensReleased");
+    });
+
+    it("Should reject a zero allocation leaf", async function () {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      const fresh = await vestingFactory.deploy(
+        token.target,
+        BigInt(CLIFF_DURATION),
+        0,
+        0
+      );
+      // buildMerkleDistribution refuses zero allocations, so commit the
+      // leaf by hand as a single-leaf tree.
+      await fresh
+        .connect(owner)
+        .setMerkleRoot(hashLeaf(nonBeneficiary.address, 0n), toTokens(1));
+
+      await expect(
+        fresh.registerWithProof(nonBeneficiary.address, 0n, [])
+      ).to.be.revertedWith("Zero allocation");
+      expect(await fresh.getBeneficiaries()).to.deep.equal([]);
+    });
+
+    it("Should not add beneficiaries outside the Merkle root", async function () {
+      const { allocation } = claimOf(beneficiary2);
+      await fundContract(allocation);
+      await expect(
+        vesting
+          .connect(owner)
+          .addBeneficiaries([beneficiary2.address], [allocation], 0)
+      ).to.be.revertedWith("Beneficiaries come from the Merkle root");
+
+      // The leaf can still be registered and the totals are unchanged.
+      const { proof } = claimOf(beneficiary2);
+      await vesting.registerWithProof(beneficiary2.address, allocation, proof);
+      expect(await vesting.totalAllocated()).to.equal(
+        getDefaultTotalAllocation()
+      );
+      expect(await vesting.outstandingAllocation()).to.equal(
+        getDefaultTotalAllocation()
+      );
+    });
+
+    it("Should make setMerkleRoot and setBeneficiaries mutually exclusive", async function () {
+      await expect(
+        vesting
+          .connect(owner)
+          .setBeneficiaries([nonBeneficiary.address], [toTokens(1)])
+      ).to.be.revertedWith("Beneficiaries already configured");
+      await expect(
+        vesting
+          .connect(owner)
+          .setMerkleRoot(distribution.merkleRoot, distribution.totalAllocation)
+      ).to.be.revertedWith("Beneficiaries already configured");
+    });
+
+    it("Should validate the root before committing it", async function () {
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+      const fresh = await vestingFactory.deploy(
+        token.target,
+        BigInt(CLIFF_DURATION),
+        0,
+        0
+      );
+
+      await expect(
+        fresh.connect(owner).setMerkleRoot(ethers.ZeroHash, 1n)
+      ).to.be.revertedWith("Empty Merkle root");
+      await expect(
+        fresh.connect(owner).setMerkleRoot(distribution.merkleRoot, 0)
+      ).to.be.revertedWith("Zero total allocation");
+      await expect(
+        fresh
+          .connect(beneficiary1)
+          .setMerkleRoot(distribution.merkleRoot, distribution.totalAllocation)
+      ).to.be.revertedWithCustomError(
+        fresh,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        fresh.registerWithProof(beneficiary1.address, 1n, [])
+      ).to.be.revertedWith("No Merkle root set");
+    });
+  });
+
+  describe("Outstanding Allocation Accounting", function () {
+    // Recomputes what release used to loop over: the unreleased allocations
+    // of every non-revoked beneficiary.
+    async function sumOutstanding() {
+      let total = 0n;
+      for (const beneficiary of await vesting.getBeneficiaries()) {
+        if (!(await vesting.revoked(beneficiary))) {
+          total +=
+            (await vesting.allocations(beneficiary)) -
+            (await vesting.released(beneficiary));
+        }
+      }
+      return total;
+    }
+
+    async function expectInSync(expected) {
+      expect(await vesting.outstandingAllocation()).to.equal(expected);
+      expect(await sumOutstanding()).to.equal(expected);
+    }
+
+    it("Should track outstanding allocations through every state change", async function () {
+      await configureDefaultBeneficiaries();
+      await fundContract(getDefaultTotalAllocation() + toTokens(700));
+      await expectInSync(toTokens(8000));
+
+      await increaseTime(CLIFF_DURATION);
+      await vesting.connect(owner).release(beneficiary1.address);
+      await expectInSync(toTokens(7000));
+
+      await vesting.connect(owner).revokeBeneficiary(beneficiary2.address);
+      await expectInSync(toTokens(5000));
+
+      await vesting
+        .connect(owner)
+        .increaseAllocation(beneficiary2.address, toTokens(200));
+      await expectInSync(toTokens(5000));
+
+      await vesting.connect(owner).unrevokeBeneficiary(beneficiary2.address);
+      await expectInSync(toTokens(7200));
+
+      await vesting
+        .connect(owner)
+        .addBeneficiaries([nonBeneficiary.address], [toTokens(500)], 0);
+      await expectInSync(toTokens(7700));
+
+      await vesting.connect(owner).revokeWithClawback(beneficiary3.address);
+      await expectInSync(toTokens(6200));
+
+      await vesting.connect(owner).revokeBeneficiary(beneficiary4.address);
+      await vesting.connect(owner).revokeWithClawback(beneficiary4.address);
+      await expectInSync(toTokens(3700));
+    });
+
+    it("Should check the balance against the outstanding allocations", async function () {
+      await configureDefaultBeneficiaries();
+      await fundContract(getDefaultTotalAllocation() - toTokens(1000));
+      await increaseTime(CLIFF_DURATION);
+
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.be.revertedWith(
+        "Insufficient contract balance for total allocations"
+      );
+
+      // Revoking beneficiary5 drops 1000 from what the balance must cover.
+      await vesting.connect(owner).revokeBeneficiary(beneficiary5.address);
+      await expect(
+        vesting.connect(owner).release(beneficiary1.address)
+      ).to.emit(vesting, "TokensReleased");
+    });
+  });
+
   describe("Gas Optimization Verification", function () {
     it("Should use reasonable gas for setBeneficiaries with 5 beneficiaries", async function () {
       const addresses = getDefaultBeneficiaries();
@@ -962,6 +1775,55 @@ describe("TokenVesting", function () {
       expect(gasUsed).to.be.lessThan(GAS_THRESHOLD_RELEASE);
     });
 
+    it("Should keep release gas flat from 5 to 500 beneficiaries", async function () {
+      this.timeout(120000);
+      const BATCH_SIZE = 100;
+      const vestingFactory = await ethers.getContractFactory("TokenVesting");
+
+      async function releaseGasWith(count) {
+        vesting = await vestingFactory.deploy(
+          token.target,
+          BigInt(CLIFF_DURATION),
+          0,
+          0
+        );
+        // Fresh addresses, so every release pays for a first token balance.
+        const addresses = Array.from(
+          { length: count },
+          () => ethers.Wallet.createRandom().address
+        );
+        const allocation = toTokens(10);
+        await fundContract(allocation * BigInt(count));
+
+        const first = addresses.slice(0, BATCH_SIZE);
+        await vesting.connect(owner).setBeneficiaries(
+          first,
+          first.map(() => allocation)
+        );
+        for (let i = BATCH_SIZE; i < count; i += BATCH_SIZE) {
+          const batch = addresses.slice(i, i + BATCH_SIZE);
+          await vesting.connect(owner).addBeneficiaries(
+            batch,
+            batch.map(() => allocation),
+            0
+          );
+        }
+        expect(await vesting.getBeneficiaries()).to.have.lengthOf(count);
+
+        await increaseTime(CLIFF_DURATION);
+        return getGasUsed(await vesting.connect(owner).release(addresses[0]));
+      }
+
+      const gasFor5 = await releaseGasWith(5);
+      const gasFor50 = await releaseGasWith(50);
+      const gasFor500 = await releaseGasWith(500);
+
+      expect(gasFor5).to.be.lessThan(GAS_THRESHOLD_RELEASE);
+      // Only calldata may differ: zero bytes in the random address are cheaper.
+      expect(Number(gasFor50)).to.be.closeTo(Number(gasFor5), 320);
+      expect(Number(gasFor500)).to.be.closeTo(Number(gasFor5), 320);
+    });
+
     it("Should benefit from calldata optimization in setBeneficiaries", async function () {
       const addresses = getDefaultBeneficiaries();
       const allocations = getDefaultAllocations();
@@ -972,4 +1834,37 @@ describe("TokenVesting", function () {
       expect(estimate).to.be.lessThan(GAS_THRESHOLD_SET);
     });
   });
+
+  describe("Roles", function () {
+    it("Should let the treasury role redirect and claw back allocations", async function () {
+      const { allocations } = await configureDefaultBeneficiaries();
+      await fundContract(getDefaultTotalAllocation());
+      await vesting.grantRole(
+        await vesting.TREASURY_ROLE(),
+        nonBeneficiary.address
+      );
+      await vesting.renounceRole(await vesting.TREASURY_ROLE(), owner.address);
+
+      await expect(vesting.setTreasury(owner.address))
+        .to.be.revertedWithCustomError(
+          vesting,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(owner.address, await vesting.TREASURY_ROLE());
+      await vesting.connect(nonBeneficiary).setTreasury(nonBeneficiary.address);
+
+      await expect(
+        vesting.connect(nonBeneficiary).revokeWithClawback(beneficiary1.address)
+      ).to.changeTokenBalance(token, nonBeneficiary, allocations[0]);
+      // Revoking without clawback is a beneficiary change, not a treasury one.
+      await expect(
+        vesting.connect(nonBeneficiary).revokeBeneficiary(beneficiary2.address)
+      )
+        .to.be.revertedWithCustomError(
+          vesting,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(nonBeneficiary.address, await vesting.PARAM_MANAGER_ROLE());
+    });
+  });
 });
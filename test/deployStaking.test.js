@@ -0,0 +1,423 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployStaking } = require("../scripts/deployStaking");
+const {
+  loadDeployConfig,
+  resolveStakingConfig,
+} = require("../scripts/lib/config");
+
+describe("deployStaking script", function () {
+  let deploymentsDir;
+  let originalLog;
+
+  const readManifest = () =>
+    JSON.parse(
+      fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8")
+    );
+
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("Should write a manifest with addresses, args, tx hashes and compiler", async function () {
+    const result = await deployStaking(hre, { deploymentsDir });
+    const manifest = readManifest();
+
+    expect(manifest.network).to.equal("hardhat");
+    expect(manifest.chainId).to.equal("31337");
+    expect(manifest.contracts.MyToken.address).to.equal(result.tokenAddress);
+    expect(manifest.contracts.TokenStaking.address).to.equal(
+      result.stakingAddress
+    );
+    expect(manifest.contracts.TokenStaking.args.slice(0, 2)).to.deep.equal([
+      result.tokenAddress,
+      result.tokenAddress,
+    ]);
+    expect(manifest.contracts.StakingRewardNFT).to.deep.include({
+      address: result.rewardNFTAddress,
+      args: ["Staking Reward NFT", "SRNFT", result.stakingAddress],
+      deployedBy: "TokenStaking",
+    });
+    expect(manifest.contracts.MyToken.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(manifest.contracts.MyToken.blockNumber).to.be.a("number");
+    expect(manifest.contracts.MyToken.compiler).to.match(/^0\.8\.28/);
+    expect(manifest.steps.addRewards.staking).to.equal(result.stakingAddress);
+  });
+
+  it("Should resume from the manifest instead of redeploying", async function () {
+    const first = await deployStaking(hre, { deploymentsDir });
+    const firstManifest = readManifest();
+
+    const second = await deployStaking(hre, { deploymentsDir });
+    const secondManifest = readManifest();
+
+    expect(second.tokenAddress).to.equal(first.tokenAddress);
+    expect(second.stakingAddress).to.equal(first.stakingAddress);
+    expect(secondManifest.contracts).to.deep.equal(firstManifest.contracts);
+    expect(secondManifest.steps).to.deep.equal(firstManifest.steps);
+
+    const staking = await hre.ethers.getContractAt(
+      "TokenStaking",
+      second.stakingAddress
+    );
+    expect(await staking.rewardPool()).to.equal(
+      hre.ethers.parseEther("1000000")
+    );
+  });
+
+  it("Should deploy with the parameters from the network config", async function () {
+    const { staking: expected } = loadDeployConfig(hre);
+    const result = await deployStaking(hre, { deploymentsDir });
+    const staking = await hre.ethers.getContractAt(
+      "TokenStaking",
+      result.stakingAddress
+    );
+
+    expect(await staking.rewardRate()).to.equal(expected.aprBps);
+    expect(await staking.lockupPeriod()).to.equal(expected.lockupPeriod);
+    expect(await staking.rewardPool()).to.equal(expected.rewardAmount);
+    expect(readManifest().contracts.TokenStaking.args.slice(2)).to.deep.equal([
+      expected.aprBps,
+      expected.lockupPeriod,
+    ]);
+  });
+
+  it("Should hand the configured roles over from the deployer", async function () {
+    const [deployer, multisig, bot] = await hre.ethers.getSigners();
+    const config = resolveStakingConfig(
+      {
+        token: { initialSupply: "1000000000" },
+        staking: { aprBps: 1000, lockupPeriod: 5, rewardAmount: "1000000" },
+        roles: {
+          staking: {
+            DEFAULT_ADMIN: multisig.address,
+            PARAM_MANAGER: multisig.address,
+            REWARD_FUNDER: [deployer.address, bot.address],
+          },
+        },
+      },
+      "hardhat"
+    );
+
+    const result = await deployStaking(hre, { deploymentsDir, config });
+
+    expect(result.roles).to.deep.equal({
+      DEFAULT_ADMIN: [multisig.address],
+      REWARD_FUNDER: [deployer.address, bot.address],
+      PARAM_MANAGER: [multisig.address],
+      PAUSER: [deployer.address],
+      TREASURY: [deployer.address],
+    });
+
+    // Nothing is left to do on a re-run, even without the admin role.
+    const second = await deployStaking(hre, { deploymentsDir, config });
+    expect(second.roles).to.deep.equal(result.roles);
+  });
+
+  it("Should refuse to resume a contract deployed with different parameters", async function () {
+    await deployStaking(hre, { deploymentsDir });
+
+    const config = resolveStakingConfig(
+      {
+        token: { initialSupply: "1000000000" },
+        staking: { aprBps: 2000, lockupPeriod: 5, rewardAmount: "1000000" },
+      },
+      "hardhat"
+    );
+
+    await expect(
+      deployStaking(hre, { deploymentsDir, config })
+    ).to.be.rejectedWith("deployed with different constructor args");
+  });
+
+  describe("Upgradeable", function () {
+    const upgradeableConfig = () =>
+      resolveStakingConfig(
+        {
+          token: { initialSupply: "1000000000" },
+          staking: {
+            aprBps: 1000,
+            lockupPeriod: 5,
+            rewardAmount: "1000000",
+            upgradeable: true,
+          },
+        },
+        "hardhat"
+      );
+
+    it("Should deploy TokenStaking behind a proxy that mints the reward NFT", async function () {
+      const [deployer] = await hre.ethers.getSigners();
+      const config = upgradeableConfig();
+      const result = await deployStaking(hre, { deploymentsDir, config });
+      const { contracts, steps } = readManifest();
+
+      expect(contracts.TokenStaking).to.deep.include({
+        contract: "TokenStakingUpgradeable",
+        address: result.stakingAddress,
+      });
+      expect(contracts.TokenStaking.args[4]).to.equal(result.rewardNFTAddress);
+      expect(contracts.TokenStaking.proxy).to.deep.equal({
+        kind: "uups",
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(
+          result.stakingAddress
+        ),
+        upgrades: [],
+      });
+      expect(contracts.StakingRewardNFT.args).to.deep.equal([
+        "Staking Reward NFT",
+        "SRNFT",
+        deployer.address,
+      ]);
+      expect(steps.grantNftMinter.minter).to.equal(result.stakingAddress);
+
+      const staking = await hre.ethers.getContractAt(
+        "TokenStaking",
+        result.stakingAddress
+      );
+      expect(await staking.rewardNFT()).to.equal(result.rewardNFTAddress);
+      expect(await staking.rewardPool()).to.equal(
+        hre.ethers.parseEther("1000000")
+      );
+      const rewardNFT = await hre.ethers.getContractAt(
+        "StakingRewardNFT",
+        result.rewardNFTAddress
+      );
+      expect(
+        await rewardNFT.hasRole(
+          await rewardNFT.MINTER_ROLE(),
+          result.stakingAddress
+        )
+      ).to.be.true;
+      expect(await rewardNFT.hasRole(hre.ethers.ZeroHash, deployer.address)).to
+        .be.false;
+
+      // Nothing is redeployed or resent on a re-run
+      const second = await deployStaking(hre, { deploymentsDir, config });
+      expect(second.stakingAddress).to.equal(result.stakingAddress);
+      expect(readManifest().steps).to.deep.equal(steps);
+    });
+
+    it("Should verify the implementation of the proxy", async function () {
+      const calls = [];
+      const result = await deployStaking(hre, {
+        deploymentsDir,
+        config: upgradeableConfig(),
+        verify: true,
+        runVerify: async (args) => calls.push(args),
+      });
+
+      expect(calls[1]).to.deep.equal({
+        address: readManifest().contracts.TokenStaking.proxy.implementation,
+        constructorArguments: [],
+        contract:
+          "contracts/TokenStakingUpgradeable.sol:TokenStakingUpgradeable",
+      });
+      expect(result.verification.TokenStaking.status).to.equal("verified");
+    });
+
+    it("Should not switch an existing deployment to a proxy", async function () {
+      await deployStaking(hre, { deploymentsDir });
+
+      await expect(
+        deployStaking(hre, { deploymentsDir, config: upgradeableConfig() })
+      ).to.be.rejectedWith("was deployed without a proxy");
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should verify all three contracts, retrying while not indexed", async function () {
+      const calls = [];
+      let failuresLeft = 1;
+      const runVerify = async (args) => {
+        calls.push(args);
+        if (args.contract.endsWith(":MyToken") && failuresLeft-- > 0) {
+          throw new Error(
+            "The Etherscan API responded that the address does not have bytecode."
+          );
+        }
+      };
+
+      const result = await deployStaking(hre, {
+        deploymentsDir,
+        verify: true,
+        runVerify,
+      });
+
+      expect(calls.map((call) => call.contract)).to.deep.equal([
+        "contracts/ERC20.sol:MyToken",
+        "contracts/ERC20.sol:MyToken",
+        "contracts/staking.sol:TokenStaking",
+        "contracts/StakingRewardNFT.sol:StakingRewardNFT",
+      ]);
+      expect(calls[3]).to.deep.equal({
+        address: result.rewardNFTAddress,
+        constructorArguments: [
+          "Staking Reward NFT",
+          "SRNFT",
+          result.stakingAddress,
+        ],
+        contract: "contracts/StakingRewardNFT.sol:StakingRewardNFT",
+      });
+
+      const { contracts } = readManifest();
+      expect(contracts.MyToken.verification).to.include({
+        status: "verified",
+        attempts: 2,
+      });
+      expect(contracts.TokenStaking.verification.status).to.equal("verified");
+      expect(contracts.StakingRewardNFT.verification.status).to.equal(
+        "verified"
+      );
+      expect(result.verification.StakingRewardNFT.status).to.equal("verified");
+    });
+
+    it("Should record failures without retrying unrelated errors", async function () {
+      let calls = 0;
+      const runVerify = async (args) => {
+        calls++;
+        if (args.contract.endsWith(":TokenStaking")) {
+          throw new Error("Invalid API Key");
+        }
+      };
+
+      await deployStaking(hre, { deploymentsDir, verify: true, runVerify });
+
+      const { contracts } = readManifest();
+      expect(calls).to.equal(3);
+      expect(contracts.TokenStaking.verification).to.deep.equal({
+        status: "failed",
+        attempts: 1,
+        error: "Invalid API Key",
+      });
+      expect(contracts.MyToken.verification.status).to.equal("verified");
+    });
+
+    it("Should skip contracts already verified on a resumed run", async function () {
+      const runVerify = async () => {};
+      await deployStaking(hre, { deploymentsDir, verify: true, runVerify });
+
+      let calls = 0;
+      await deployStaking(hre, {
+        deploymentsDir,
+        verify: true,
+        runVerify: async () => {
+          calls++;
+        },
+      });
+
+      expect(calls).to.equal(0);
+    });
+
+    it("Should not verify unless asked to", async function () {
+      let calls = 0;
+      await deployStaking(hre, {
+        deploymentsDir,
+        runVerify: async () => {
+          calls++;
+        },
+      });
+
+      expect(calls).to.equal(0);
+      expect(readManifest().contracts.MyToken.verification).to.equal(undefined);
+    });
+  });
+
+  describe("Config validation", function () {
+    const baseConfig = () => ({
+      token: { initialSupply: "1000" },
+      staking: { aprBps: 1000, lockupPeriod: 86400, rewardAmount: "100" },
+    });
+
+    it("Should convert token amounts to wei", function () {
+      const { token, staking } = resolveStakingConfig(baseConfig(), "test");
+      expect(token.initialSupply).to.equal(hre.ethers.parseEther("1000"));
+      expect(staking.rewardAmount).to.equal(hre.ethers.parseEther("100"));
+    });
+
+    it("Should enforce the contract's APR bounds", function () {
+      const low = baseConfig();
+      low.staking.aprBps = 99;
+      expect(() => resolveStakingConfig(low, "test")).to.throw(
+        "between 100 and 5000"
+      );
+
+      const high = baseConfig();
+      high.staking.aprBps = 5001;
+      expect(() => resolveStakingConfig(high, "test")).to.throw(
+        "between 100 and 5000"
+      );
+    });
+
+    it("Should reject invalid lockup periods and amounts", function () {
+      const lockup = baseConfig();
+      lockup.staking.lockupPeriod = -1;
+      expect(() => resolveStakingConfig(lockup, "test")).to.throw(
+        "lockupPeriod must be a non-negative integer"
+      );
+
+      const rewards = baseConfig();
+      rewards.staking.rewardAmount = "1001";
+      expect(() => resolveStakingConfig(rewards, "test")).to.throw(
+        "rewardAmount cannot exceed"
+      );
+
+      const upgradeable = baseConfig();
+      upgradeable.staking.upgradeable = "yes";
+      expect(() => resolveStakingConfig(upgradeable, "test")).to.throw(
+        'upgradeable must be true or false, got "yes"'
+      );
+    });
+
+    it("Should validate role names and addresses", function () {
+      const unknown = baseConfig();
+      unknown.roles = { staking: { MINTER: hre.ethers.ZeroAddress } };
+      expect(() => resolveStakingConfig(unknown, "test")).to.throw(
+        'TokenStaking has no role "MINTER"'
+      );
+
+      const address = baseConfig();
+      address.roles = { vesting: { pauser: ["0x1234"] } };
+      expect(() => resolveStakingConfig(address, "test")).to.throw(
+        'deploy.config.js test.roles.vesting.pauser must be an address or a list of addresses, got "0x1234"'
+      );
+
+      const admin = baseConfig();
+      admin.roles = { staking: { DEFAULT_ADMIN: [] } };
+      expect(() => resolveStakingConfig(admin, "test")).to.throw(
+        "DEFAULT_ADMIN cannot be empty"
+      );
+    });
+
+    it("Should fail for a network without config", function () {
+      expect(() =>
+        loadDeployConfig({ network: { name: "mainnet" } })
+      ).to.throw('No deployment config for network "mainnet"');
+    });
+  });
+
+  it("Should resume from the failed step when a step is missing", async function () {
+    const first = await deployStaking(hre, { deploymentsDir });
+
+    const manifest = readManifest();
+    delete manifest.steps.addRewards;
+    fs.writeFileSync(
+      path.join(deploymentsDir, "hardhat.json"),
+      JSON.stringify(manifest)
+    );
+
+    const second = await deployStaking(hre, { deploymentsDir });
+
+    expect(second.stakingAddress).to.equal(first.stakingAddress);
+    expect(readManifest().steps.addRewards.txHash).to.not.equal(undefined);
+  });
+});
@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployVesting } = require("../scripts/deployVesting");
+const {
+  parseBeneficiaryCsv,
+  validateBeneficiaries,
+} = require("../scripts/lib/beneficiaries");
+const { resolveRoleConfig } = require("../scripts/lib/roles");
+
+describe("deployVesting script", function () {
+  const CLIFF_DURATION = 30 * 24 * 60 * 60;
+
+  let owner, beneficiary1, beneficiary2;
+  let token;
+  let workDir;
+  let originalLog;
+
+  const writeCsv = (contents) => {
+    const file = path.join(workDir, "beneficiaries.csv");
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  beforeEach(async function () {
+    [owner, beneficiary1, beneficiary2] = await hre.ethers.getSigners();
+
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy(
+      "Vesting Token",
+      "VEST",
+      owner.address,
+      hre.ethers.parseEther("1000000")
+    );
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-vesting-"));
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("CSV validation", function () {
+    it("Should parse rows, skip the header and convert allocations", function () {
+      const rows = parseBeneficiaryCsv(
+        `beneficiary,allocation\n${beneficiary1.address},1000\n\n${beneficiary2.address}, 2.5\n`
+      );
+
+      expect(rows.map((row) => row.beneficiary)).to.deep.equal([
+        beneficiary1.address,
+        beneficiary2.address,
+      ]);
+      expect(rows[1].allocation).to.equal(hre.ethers.parseEther("2.5"));
+    });
+
+    it("Should reject zero address beneficiary", function () {
+      const rows = parseBeneficiaryCsv(`${hre.ethers.ZeroAddress},10`);
+      expect(() => validateBeneficiaries(rows)).to.throw(
+        "Zero address beneficiary"
+      );
+    });
+
+    it("Should reject zero allocation", function () {
+      const rows = parseBeneficiaryCsv(`${beneficiary1.address},0`);
+      expect(() => validateBeneficiaries(rows)).to.throw("Zero allocation");
+    });
+
+    it("Should reject negative allocation", function () {
+      const rows = parseBeneficiaryCsv(
+        `${beneficiary1.address},10\n${beneficiary2.address},-5`
+      );
+      expect(() => validateBeneficiaries(rows)).to.throw(
+        "Line 2: Negative allocation"
+      );
+    });
+
+    it("Should reject duplicate beneficiaries regardless of checksum case", function () {
+      const rows = parseBeneficiaryCsv(
+        `${beneficiary1.address},10\n${beneficiary1.address.toLowerCase()},20`
+      );
+      expect(() => validateBeneficiaries(rows)).to.throw(
+        "Duplicate beneficiary"
+      );
+    });
+
+    it("Should reject an empty file", function () {
+      expect(() => validateBeneficiaries(parseBeneficiaryCsv(""))).to.throw(
+        "Empty beneficiaries array"
+      );
+    });
+
+    it("Should reject malformed rows", function () {
+      expect(() => parseBeneficiaryCsv("0x1234,10")).to.throw(
+        "invalid address"
+      );
+      expect(() =>
+        parseBeneficiaryCsv(`${beneficiary1.address},ten`)
+      ).to.throw("invalid allocation");
+    });
+  });
+
+  it("Should deploy, configure and fund exactly totalAllocated", async function () {
+    const csv = writeCsv(
+      `${beneficiary1.address},1000\n${beneficiary2.address},2500\n`
+    );
+
+    const result = await deployVesting(hre, {
+      token: token.target,
+      cliffDuration: CLIFF_DURATION,
+      csv,
+      deploymentsDir: workDir,
+    });
+
+    const vesting = await hre.ethers.getContractAt(
+      "TokenVesting",
+      result.vestingAddress
+    );
+    const expectedTotal = hre.ethers.parseEther("3500");
+
+    expect(await vesting.cliffDuration()).to.equal(BigInt(CLIFF_DURATION));
+    expect(await vesting.getBeneficiaries()).to.deep.equal([
+      beneficiary1.address,
+      beneficiary2.address,
+    ]);
+    expect(await vesting.totalAllocated()).to.equal(expectedTotal);
+    expect(await token.balanceOf(result.vestingAddress)).to.equal(
+      expectedTotal
+    );
+  });
+
+  it("Should deploy behind a proxy when upgradeable", async function () {
+    const csv = writeCsv(`${beneficiary1.address},1000\n`);
+
+    const result = await deployVesting(hre, {
+      token: token.target,
+      cliffDuration: CLIFF_DURATION,
+      csv,
+      upgradeable: true,
+      deploymentsDir: workDir,
+    });
+
+    const entry = JSON.parse(
+      fs.readFileSync(path.join(workDir, "hardhat.json"), "utf8")
+    ).contracts.TokenVesting;
+    expect(entry.contract).to.equal("TokenVestingUpgradeable");
+    expect(entry.proxy.implementation).to.equal(
+      await hre.upgrades.erc1967.getImplementationAddress(result.vestingAddress)
+    );
+
+    const vesting = await hre.ethers.getContractAt(
+      "TokenVesting",
+      result.vestingAddress
+    );
+    expect(await vesting.cliffDuration()).to.equal(BigInt(CLIFF_DURATION));
+    expect(await vesting.totalAllocated()).to.equal(
+      hre.ethers.parseEther("1000")
+    );
+    expect(result.roles.DEFAULT_ADMIN).to.deep.equal([owner.address]);
+  });
+
+  it("Should hand the configured roles over from the deployer", async function () {
+    const csv = writeCsv(`${beneficiary1.address},1000\n`);
+
+    const result = await deployVesting(hre, {
+      token: token.target,
+      cliffDuration: CLIFF_DURATION,
+      csv,
+      roles: resolveRoleConfig(
+        "TokenVesting",
+        { DEFAULT_ADMIN: beneficiary2.address, PAUSER: beneficiary2.address },
+        "roles"
+      ),
+      deploymentsDir: workDir,
+    });
+
+    expect(result.roles).to.deep.equal({
+      DEFAULT_ADMIN: [beneficiary2.address],
+      PARAM_MANAGER: [owner.address],
+      FUNDER: [owner.address],
+      PAUSER: [beneficiary2.address],
+      TREASURY: [owner.address],
+    });
+  });
+
+  it("Should fail validation before deploying anything", async function () {
+    const csv = writeCsv(
+      `${beneficiary1.address},1000\n${beneficiary1.address},2500\n`
+    );
+
+    await expect(
+      deployVesting(hre, {
+        token: token.target,
+        cliffDuration: CLIFF_DURATION,
+        csv,
+        deploymentsDir: workDir,
+      })
+    ).to.be.rejectedWith("Duplicate beneficiary");
+    expect(fs.existsSync(path.join(workDir, "hardhat.json"))).to.equal(false);
+  });
+
+  it("Should deploy with a stepped vesting schedule", async function () {
+    const csv = writeCsv(`${beneficiary1.address},1000\n`);
+
+    const result = await deployVesting(hre, {
+      token: token.target,
+      cliffDuration: CLIFF_DURATION,
+      vestingDuration: 4 * CLIFF_DURATION,
+      releaseInterval: CLIFF_DURATION,
+      csv,
+      deploymentsDir: workDir,
+    });
+
+    const vesting = await hre.ethers.getContractAt(
+      "TokenVesting",
+      result.vestingAddress
+    );
+    expect(await vesting.vestingDuration()).to.equal(
+      BigInt(4 * CLIFF_DURATION)
+    );
+    expect(await vesting.releaseInterval()).to.equal(BigInt(CLIFF_DURATION));
+  });
+
+  it("Should reject a duration that is not a multiple of the interval", async function () {
+    const csv = writeCsv(`${beneficiary1.address},1000\n`);
+
+    await expect(
+      deployVesting(hre, {
+        token: token.target,
+        cliffDuration: CLIFF_DURATION,
+        vestingDuration: 100,
+        releaseInterval: 30,
+        csv,
+        deploymentsDir: workDir,
+      })
+    ).to.be.rejectedWith("must be a non-zero multiple of the release interval");
+    expect(fs.existsSync(path.join(workDir, "hardhat.json"))).to.equal(false);
+  });
+
+  it("Should commit a Merkle root instead of the beneficiary list", async function () {
+    const csv = writeCsv(
+      `${beneficiary1.address},1000\n${beneficiary2.address},2500\n`
+    );
+    const merkleOut = path.join(workDir, "proofs.json");
+
+    const result = await deployVesting(hre, {
+      token: token.target,
+      cliffDuration: CLIFF_DURATION,
+      csv,
+      merkleOut,
+      deploymentsDir: workDir,
+    });
+
+    const vesting = await hre.ethers.getContractAt(
+      "TokenVesting",
+      result.vestingAddress
+    );
+    const { merkleRoot, claims } = JSON.parse(
+      fs.readFileSync(merkleOut, "utf8")
+    );
+    expect(await vesting.merkleRoot()).to.equal(merkleRoot);
+    expect(await vesting.totalAllocated()).to.equal(
+      hre.ethers.parseEther("3500")
+    );
+    expect(await vesting.getBeneficiaries()).to.deep.equal([]);
+    expect(claims[beneficiary2.address].allocation).to.equal(
+      hre.ethers.parseEther("2500").toString()
+    );
+  });
+
+  it("Should reject a zero cliff duration", async function () {
+    const csv = writeCsv(`${beneficiary1.address},1000\n`);
+
+    await expect(
+      deployVesting(hre, {
+        token: token.target,
+        cliffDuration: 0,
+        csv,
+        deploymentsDir: workDir,
+      })
+    ).to.be.rejectedWith("Cliff duration must be between");
+  });
+});
@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { syncEvents } = require("../scripts/indexEvents");
+const {
+  loadEventStore,
+  getUserHistory,
+  getUserSummary,
+  getStakers,
+  getTotalRewardsPaid,
+  getAprHistory,
+} = require("../scripts/lib/eventStore");
+
+describe("Event indexer", function () {
+  const DAY = 24 * 60 * 60;
+
+  let owner, user1, user2;
+  let token;
+  let staking;
+  let nft;
+  let storeDir;
+  let storeFile;
+  let originalLog;
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  };
+
+  const stake = async (signer, amount) => {
+    await token.connect(signer).approve(staking.target, amount);
+    await staking.connect(signer).stake(amount);
+  };
+
+  // Queues an APR change and executes it once due
+  const changeAPR = async (bps) => {
+    await staking.queueParameterChange(0, bps);
+    await increaseTime(2 * DAY);
+    await staking.executeParameterChange(0);
+  };
+
+  const sync = (options = {}) =>
+    syncEvents(hre, { stakingAddress: staking.target, storeFile, ...options });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy(
+      "Staking Token",
+      "STK",
+      owner.address,
+      ethers.parseEther("1000000")
+    );
+    await token.transfer(user1.address, ethers.parseEther("10000"));
+    await token.transfer(user2.address, ethers.parseEther("10000"));
+
+    const TokenStaking = await ethers.getContractFactory("TokenStaking");
+    staking = await TokenStaking.deploy(
+      token.target,
+      token.target,
+      1000,
+      7 * DAY
+    );
+    nft = await ethers.getContractAt(
+      "StakingRewardNFT",
+      await staking.rewardNFT()
+    );
+    await token.approve(staking.target, ethers.parseEther("10000"));
+    await staking.addRewards(ethers.parseEther("10000"));
+
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "events-"));
+    storeFile = path.join(storeDir, "hardhat.json");
+
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it("Should index staking activity and answer per-user queries", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    await stake(user2, ethers.parseEther("500"));
+    await increaseTime(7 * DAY + 1);
+    await staking.connect(user1).claimRewards();
+    await staking.connect(user1).unStake(ethers.parseEther("400"));
+    await changeAPR(1500);
+    await nft.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+    const { added } = await sync();
+    const store = loadEventStore(storeFile);
+
+    // 2 Staked, 1 RewardClaimed, 1 NFTRewardMinted, 1 Unstaked,
+    // 1 APRUpdated and 2 Transfers (mint and transfer)
+    expect(added).to.equal(8);
+    expect(store.data.events.length).to.equal(8);
+
+    const user1Summary = getUserSummary(store, user1.address);
+    expect(user1Summary.totalStaked).to.equal(ethers.parseEther("1000"));
+    expect(user1Summary.totalUnstaked).to.equal(ethers.parseEther("400"));
+    expect(user1Summary.currentStake).to.equal(ethers.parseEther("600"));
+    expect(user1Summary.totalClaimed).to.equal(
+      ethers.parseEther("10000") - (await staking.rewardPool())
+    );
+    expect(user1Summary.nfts).to.deep.equal([]);
+    expect(getUserSummary(store, user2.address).nfts).to.deep.equal([1n]);
+
+    expect(
+      getUserHistory(store, user1.address).map((event) => event.event)
+    ).to.deep.equal([
+      "Staked",
+      "RewardClaimed",
+      "Transfer",
+      "NFTRewardMinted",
+      "Unstaked",
+      "Transfer",
+    ]);
+    expect(getStakers(store).map((staker) => staker.user)).to.deep.equal([
+      user1.address,
+      user2.address,
+    ]);
+    expect(getTotalRewardsPaid(store)).to.equal(user1Summary.totalClaimed);
+    expect(getAprHistory(store).map((change) => change.apr)).to.deep.equal([
+      1500n,
+    ]);
+  });
+
+  it("Should count compounded rewards as stake and as rewards paid", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    await increaseTime(30 * DAY);
+    await staking.connect(user1).compound();
+
+    await sync();
+    const store = loadEventStore(storeFile);
+    const summary = getUserSummary(store, user1.address);
+
+    expect(summary.totalCompounded).to.equal(
+      ethers.parseEther("10000") - (await staking.rewardPool())
+    );
+    expect(summary.currentStake).to.equal(
+      (await staking.getStakeInfo(user1.address)).amount
+    );
+    expect(getTotalRewardsPaid(store)).to.equal(summary.totalCompounded);
+  });
+
+  it("Should count an emergency exit as unstaked", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    await staking.enableEmergencyMode();
+    await staking.connect(user1).emergencyExit();
+
+    await sync();
+    const summary = getUserSummary(loadEventStore(storeFile), user1.address);
+
+    expect(summary.totalUnstaked).to.equal(ethers.parseEther("1000"));
+    expect(summary.currentStake).to.equal(0n);
+  });
+
+  it("Should only read new blocks on incremental syncs", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    const first = await sync();
+
+    const second = await sync();
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.added).to.equal(0);
+
+    await stake(user2, ethers.parseEther("500"));
+    const third = await sync();
+
+    expect(third.fromBlock).to.equal(second.toBlock + 1);
+    expect(third.added).to.equal(1);
+    expect(getStakers(loadEventStore(storeFile)).length).to.equal(2);
+  });
+
+  it("Should roll back events from blocks that were reorganized away", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    await sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot");
+    await stake(user2, ethers.parseEther("500"));
+    await sync();
+    expect(getStakers(loadEventStore(storeFile)).length).to.equal(2);
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await changeAPR(2000);
+    await ethers.provider.send("evm_mine");
+    await ethers.provider.send("evm_mine");
+
+    const { rolledBackTo } = await sync();
+    const store = loadEventStore(storeFile);
+
+    expect(rolledBackTo).to.not.equal(null);
+    expect(getStakers(store).map((staker) => staker.user)).to.deep.equal([
+      user1.address,
+    ]);
+    expect(getAprHistory(store).map((change) => change.apr)).to.deep.equal([
+      2000n,
+    ]);
+  });
+
+  it("Should re-index from the start when a reorg is deeper than the window", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot");
+    await stake(user1, ethers.parseEther("1000"));
+    for (let i = 0; i < 5; i++) {
+      await ethers.provider.send("evm_mine");
+    }
+    const first = await sync({ reorgDepth: 2 });
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await stake(user2, ethers.parseEther("500"));
+    for (let i = 0; i < 5; i++) {
+      await ethers.provider.send("evm_mine");
+    }
+
+    const { rolledBackTo } = await sync({ reorgDepth: 2 });
+    const store = loadEventStore(storeFile);
+
+    expect(rolledBackTo).to.equal(first.store.data.startBlock - 1);
+    expect(getStakers(store).map((staker) => staker.user)).to.deep.equal([
+      user2.address,
+    ]);
+  });
+
+  it("Should expose history and stats through tasks", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    await increaseTime(DAY);
+    await staking.connect(user1).claimRewards();
+
+    await hre.run("indexer:sync", {
+      address: staking.target,
+      store: storeFile,
+    });
+    const { history, summary } = await hre.run("indexer:history", {
+      user: user1.address,
+      store: storeFile,
+    });
+    const stats = await hre.run("indexer:stats", { store: storeFile });
+
+    expect(history.map((event) => event.event)).to.deep.equal([
+      "Staked",
+      "RewardClaimed",
+    ]);
+    expect(summary.currentStake).to.equal(ethers.parseEther("1000"));
+    expect(stats.stakers.length).to.equal(1);
+    expect(stats.totalRewardsPaid).to.equal(summary.totalClaimed);
+  });
+
+  it("Should refuse to query before anything was indexed", async function () {
+    await expect(
+      hre.run("indexer:stats", { store: storeFile })
+    ).to.be.rejectedWith("Nothing indexed");
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  hashLeaf,
+  verifyProof,
+  buildMerkleDistribution,
+} = require("../scripts/lib/merkle");
+const { loadMerkleDistribution } = require("../scripts/buildMerkleTree");
+
+describe("Merkle distribution", function () {
+  const DAY = 24 * 60 * 60;
+  const CLIFF_DURATION = 30 * DAY;
+
+  let owner, beneficiaries;
+  let token;
+  let vesting;
+  let workDir;
+  let originalLog;
+
+  const toTokens = (value) => ethers.parseUnits(value.toString(), 18);
+
+  const writeCsv = (rows) => {
+    const file = path.join(workDir, "beneficiaries.csv");
+    fs.writeFileSync(
+      file,
+      ["beneficiary,allocation", ...rows.map((row) => row.join(","))].join("\n")
+    );
+    return file;
+  };
+
+  beforeEach(async function () {
+    let signers;
+    [owner, ...signers] = await ethers.getSigners();
+    beneficiaries = signers.slice(0, 7);
+
+    const tokenFactory = await ethers.getContractFactory("MockERC20");
+    token = await tokenFactory.deploy(
+      "Vesting Token",
+      "VEST",
+      owner.address,
+      toTokens(1000000)
+    );
+    const vestingFactory = await ethers.getContractFactory("TokenVesting");
+    vesting = await vestingFactory.deploy(token.target, CLIFF_DURATION, 0, 0);
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "merkle-"));
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should build proofs that verify for every leaf and nothing else", function () {
+    const allocations = beneficiaries.map((_, i) => toTokens(100 * (i + 1)));
+    const { merkleRoot, totalAllocation, claims } = buildMerkleDistribution({
+      beneficiaries: beneficiaries.map((signer) => signer.address),
+      allocations,
+    });
+
+    expect(totalAllocation).to.equal(toTokens(2800));
+    beneficiaries.forEach(({ address }, i) => {
+      const { allocation, proof } = claims[address];
+      expect(allocation).to.equal(allocations[i]);
+      expect(verifyProof(proof, merkleRoot, hashLeaf(address, allocation))).to
+        .be.true;
+      expect(verifyProof(proof, merkleRoot, hashLeaf(address, allocation + 1n)))
+        .to.be.false;
+    });
+
+    // A single beneficiary is its own root.
+    const single = buildMerkleDistribution({
+      beneficiaries: [owner.address],
+      allocations: [1n],
+    });
+    expect(single.merkleRoot).to.equal(hashLeaf(owner.address, 1n));
+    expect(single.claims[owner.address].proof).to.deep.equal([]);
+  });
+
+  it("Should refuse allocations that could never be claimed", function () {
+    for (const allocation of [0n, -1n]) {
+      expect(() =>
+        buildMerkleDistribution({
+          beneficiaries: [owner.address, beneficiaries[0].address],
+          allocations: [1n, allocation],
+        })
+      ).to.throw(
+        `Allocation of ${beneficiaries[0].address} must be greater than 0`
+      );
+    }
+  });
+
+  it("Should write the root and proofs from a CSV with vesting:merkle", async function () {
+    const csv = writeCsv(
+      beneficiaries.map((signer, i) => [signer.address, `${i + 1}.5`])
+    );
+
+    const result = await hre.run("vesting:merkle", {
+      csv,
+      token: token.target,
+    });
+
+    expect(result.file).to.equal(
+      path.join(workDir, "beneficiaries.merkle.json")
+    );
+    const written = loadMerkleDistribution(result.file);
+    expect(written.merkleRoot).to.equal(result.merkleRoot);
+    expect(written.decimals).to.equal(18);
+    expect(written.totalAllocation).to.equal(toTokens(31.5));
+    expect(written.claims[beneficiaries[2].address].allocation).to.equal(
+      toTokens(3.5)
+    );
+  });
+
+  it("Should verify every written proof against the contract", async function () {
+    const csv = writeCsv(
+      beneficiaries.map((signer, i) => [signer.address, String(10 * (i + 1))])
+    );
+    const file = path.join(workDir, "proofs.json");
+    await hre.run("vesting:merkle", { csv, out: file, token: token.target });
+    await hre.run("vesting:set-root", { file, address: vesting.target });
+    await hre.run("vesting:fund", { amount: "280", address: vesting.target });
+    await ethers.provider.send("evm_increaseTime", [CLIFF_DURATION]);
+    await ethers.provider.send("evm_mine", []);
+
+    for (const [i, signer] of beneficiaries.entries()) {
+      await hre.run("vesting:release", {
+        beneficiary: signer.address,
+        proofs: file,
+        address: vesting.target,
+      });
+      expect(await token.balanceOf(signer.address)).to.equal(
+        toTokens(10 * (i + 1))
+      );
+    }
+    expect(await vesting.outstandingAllocation()).to.equal(0n);
+
+    await expect(
+      hre.run("vesting:release", {
+        beneficiary: owner.address,
+        proofs: file,
+        address: vesting.target,
+      })
+    ).to.be.rejectedWith(`${owner.address} is not in ${file}`);
+  });
+});
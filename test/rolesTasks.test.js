@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("Role tasks", function () {
+  let owner, user1, user2;
+  let staking;
+  let address;
+  let fromBlock;
+  let output;
+  let originalLog;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy(
+      "Staking Token",
+      "STK",
+      owner.address,
+      ethers.parseEther("1000000")
+    );
+    const TokenStaking = await ethers.getContractFactory("TokenStaking");
+    staking = await TokenStaking.deploy(
+      token.target,
+      token.target,
+      1000,
+      7 * 24 * 60 * 60
+    );
+    address = staking.target;
+    fromBlock = (await staking.deploymentTransaction().wait()).blockNumber;
+
+    output = [];
+    originalLog = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  it("Should list the deployer as the holder of every role", async function () {
+    const holders = await hre.run("roles:list", { address, fromBlock });
+
+    expect(holders).to.deep.equal({
+      DEFAULT_ADMIN: [owner.address],
+      REWARD_FUNDER: [owner.address],
+      PARAM_MANAGER: [owner.address],
+      PAUSER: [owner.address],
+      TREASURY: [owner.address],
+    });
+    expect(output).to.include(`PAUSER: ${owner.address}`);
+  });
+
+  it("Should grant and revoke roles by name", async function () {
+    await hre.run("roles:grant", {
+      role: "pauser",
+      account: user1.address,
+      address,
+    });
+    await hre.run("roles:grant", {
+      role: "PAUSER_ROLE",
+      account: user2.address,
+      address,
+    });
+    expect(await staking.hasRole(await staking.PAUSER_ROLE(), user1.address)).to
+      .be.true;
+
+    output.length = 0;
+    await hre.run("roles:grant", {
+      role: "PAUSER",
+      account: user1.address,
+      address,
+    });
+    expect(output).to.include(`${user1.address} already has PAUSER`);
+
+    await hre.run("roles:revoke", {
+      role: "PAUSER",
+      account: user1.address,
+      address,
+    });
+    const { PAUSER } = await hre.run("roles:list", { address, fromBlock });
+    expect(PAUSER).to.deep.equal([owner.address, user2.address]);
+  });
+
+  it("Should list the reward NFT's minter", async function () {
+    const holders = await hre.run("roles:list", {
+      contract: "nft",
+      address: await staking.rewardNFT(),
+      fromBlock,
+    });
+
+    expect(holders).to.deep.equal({ DEFAULT_ADMIN: [], MINTER: [address] });
+  });
+
+  it("Should reject unknown contracts and roles", async function () {
+    await expect(
+      hre.run("roles:list", { contract: "token", address })
+    ).to.be.rejectedWith(
+      'Contract must be one of staking, vesting, nft, got "token"'
+    );
+    await expect(
+      hre.run("roles:grant", {
+        role: "MINTER",
+        account: user1.address,
+        address,
+      })
+    ).to.be.rejectedWith(
+      'TokenStaking has no role "MINTER"; expected one of DEFAULT_ADMIN, REWARD_FUNDER, PARAM_MANAGER, PAUSER, TREASURY'
+    );
+  });
+
+  it("Should report a revert before sending", async function () {
+    await staking.renounceRole(
+      await staking.DEFAULT_ADMIN_ROLE(),
+      owner.address
+    );
+
+    await expect(
+      hre.run("roles:grant", {
+        role: "PAUSER",
+        account: user1.address,
+        address,
+      })
+    ).to.be.rejectedWith(
+      `Grant role would revert: AccessControlUnauthorizedAccount(${owner.address}, ${ethers.ZeroHash})`
+    );
+  });
+});
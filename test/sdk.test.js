@@ -0,0 +1,330 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  StakingClient,
+  VestingClient,
+  toUnits,
+  fromUnits,
+  ContractRevertError,
+  LockupActiveError,
+  NoRewardsError,
+  CliffNotReachedError,
+  BeneficiaryRevokedError,
+  UnauthorizedError,
+  InsufficientBalanceError,
+  InsufficientFundingError,
+} = require("../sdk");
+
+describe("SDK", function () {
+  const DAY = 24 * 60 * 60;
+
+  let owner, user1, user2;
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+  });
+
+  describe("Unit helpers", function () {
+    it("Should convert between human-readable amounts and base units", function () {
+      expect(toUnits("12.5")).to.equal(ethers.parseEther("12.5"));
+      expect(toUnits(3, 6)).to.equal(3000000n);
+      expect(fromUnits(1500000n, 6)).to.equal("1.5");
+    });
+  });
+
+  describe("StakingClient", function () {
+    let token;
+    let staking;
+    let client;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy(
+        "Staking Token",
+        "STK",
+        owner.address,
+        ethers.parseEther("1000000")
+      );
+      await token.transfer(user1.address, ethers.parseEther("10000"));
+
+      const TokenStaking = await ethers.getContractFactory("TokenStaking");
+      staking = await TokenStaking.deploy(
+        token.target,
+        token.target,
+        1000,
+        7 * DAY
+      );
+
+      await new StakingClient(staking.target, owner).addRewards("1000");
+      client = new StakingClient(staking.target, user1);
+    });
+
+    it("Should approve and stake in one call", async function () {
+      await client.stakeWithApproval("1000");
+
+      const info = await client.getStakeInfo();
+      expect(info.amount).to.equal(ethers.parseEther("1000"));
+      expect(await staking.rewardPool()).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should not re-approve when the allowance already covers the stake", async function () {
+      await token.connect(user1).approve(staking.target, ethers.MaxUint256);
+      await client.stakeWithApproval(ethers.parseEther("10"));
+
+      expect(await token.allowance(user1.address, staking.target)).to.equal(
+        ethers.MaxUint256
+      );
+    });
+
+    it("Should claim all pending rewards and report the amount", async function () {
+      await client.stakeWithApproval("1000");
+      await increaseTime(365 * DAY);
+
+      const balanceBefore = await token.balanceOf(user1.address);
+      const { amount } = await client.claimAll();
+
+      expect(amount).to.be.closeTo(
+        ethers.parseEther("100"),
+        ethers.parseEther("0.1")
+      );
+      expect(await token.balanceOf(user1.address)).to.equal(
+        balanceBefore + amount
+      );
+    });
+
+    it("Should approve and fund a fixed budget reward period", async function () {
+      await staking.setRewardMode(1);
+      const ownerClient = new StakingClient(staking.target, owner);
+      await ownerClient.fundRewardPeriod("3000", 30 * DAY);
+
+      expect(await staking.rewardPool()).to.equal(ethers.parseEther("4000"));
+      expect(await staking.emissionRate()).to.equal(
+        ethers.parseEther("3000") / BigInt(30 * DAY)
+      );
+    });
+
+    it("Should compound pending rewards and report the amount", async function () {
+      await client.stakeWithApproval("1000");
+      await increaseTime(365 * DAY);
+
+      const { amount } = await client.compound();
+
+      expect(amount).to.be.closeTo(
+        ethers.parseEther("100"),
+        ethers.parseEther("0.1")
+      );
+      expect((await client.getStakeInfo()).amount).to.equal(
+        ethers.parseEther("1000") + amount
+      );
+    });
+
+    it("Should unstake and list the minted reward NFTs", async function () {
+      await client.stakeWithApproval("1000");
+      await increaseTime(7 * DAY + 1);
+
+      const first = await client.unstake("400");
+      const second = await client.unstake(ethers.parseEther("600"));
+      await new StakingClient(staking.target, owner).stakeWithApproval("1");
+
+      const nft = await client.rewardNft();
+      expect([first.nftTokenId, second.nftTokenId]).to.deep.equal([1n, 2n]);
+      expect(await nft.nftsOwnedBy(user1.address)).to.deep.equal([1n, 2n]);
+      expect(await nft.nftsOwnedBy(user2.address)).to.deep.equal([]);
+    });
+
+    it("Should list positions and unstake from a chosen one", async function () {
+      await client.stakeWithApproval("100");
+      await client.stakeWithApproval("200");
+      await increaseTime(7 * DAY);
+
+      await client.unstake("50", 1);
+
+      const positions = await client.getPositions();
+      expect(positions.map(({ id, amount }) => [id, amount])).to.deep.equal([
+        [0n, ethers.parseEther("100")],
+        [1n, ethers.parseEther("150")],
+      ]);
+      expect(positions[0].lockupRemaining).to.equal(0n);
+      expect(positions[0].lockupPeriod).to.equal(BigInt(7 * DAY));
+    });
+
+    it("Should decode the reward NFT metadata", async function () {
+      await client.stakeWithApproval("250");
+      await increaseTime(7 * DAY);
+      const { nftTokenId } = await client.unstake("250");
+
+      const nft = await client.rewardNft();
+      const info = await nft.rewardInfo(nftTokenId);
+      const metadata = await nft.metadata(nftTokenId);
+
+      expect(info.amount).to.equal(ethers.parseEther("250"));
+      expect(metadata.attributes).to.deep.include({
+        trait_type: "Amount Unstaked",
+        value: 250,
+      });
+      expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/);
+    });
+
+    it("Should approve and lock a reward NFT for the boost", async function () {
+      await client.stakeWithApproval("250");
+      await increaseTime(180 * DAY);
+      const { nftTokenId } = await client.unstake("125");
+      await staking.queueParameterChange(2, 300); // Parameter.NftBoost
+      await increaseTime(2 * DAY);
+      await staking.executeParameterChange(2);
+
+      await client.lockNft(nftTokenId);
+      expect(await staking.lockedNft(user1.address)).to.equal(nftTokenId);
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        1300n
+      );
+
+      await client.unlockNft();
+      expect(
+        await (await client.rewardNft()).nftsOwnedBy(user1.address)
+      ).to.deep.equal([nftTokenId]);
+    });
+
+    it("Should exit a locked stake in emergency mode", async function () {
+      await client.stakeWithApproval("250");
+      await increaseTime(DAY);
+      await staking.enableEmergencyMode();
+
+      const { amount, forfeitedRewards } = await client.emergencyExit();
+      expect(amount).to.equal(ethers.parseEther("250"));
+      expect(forfeitedRewards).to.be.greaterThan(0n);
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("10000")
+      );
+    });
+
+    it("Should decode revert reasons into typed errors", async function () {
+      await expect(client.claimAll()).to.be.rejectedWith(NoRewardsError);
+
+      await client.stakeWithApproval("1000");
+      const error = await client.unstake("1000").catch((e) => e);
+      expect(error).to.be.instanceOf(LockupActiveError);
+      expect(error).to.be.instanceOf(ContractRevertError);
+      expect(error.reason).to.equal("Funds are still in lockup period");
+
+      await expect(client.stakeWithApproval("1000000")).to.be.rejectedWith(
+        InsufficientBalanceError,
+        "Insufficient balance!"
+      );
+    });
+
+    it("Should decode custom errors with their arguments", async function () {
+      const error = await client
+        .send("queueParameterChange", 0, 1500)
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(error.errorName).to.equal("AccessControlUnauthorizedAccount");
+      expect(error.args).to.deep.equal([
+        user1.address,
+        await staking.PARAM_MANAGER_ROLE(),
+      ]);
+    });
+  });
+
+  describe("VestingClient", function () {
+    const CLIFF_DURATION = 30 * DAY;
+
+    let token;
+    let vesting;
+    let client;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy(
+        "Vesting Token",
+        "VEST",
+        owner.address,
+        ethers.parseEther("1000000")
+      );
+
+      const TokenVesting = await ethers.getContractFactory("TokenVesting");
+      vesting = await TokenVesting.deploy(token.target, CLIFF_DURATION, 0, 0);
+      await vesting.setBeneficiaries(
+        [user1.address, user2.address],
+        [ethers.parseEther("1000"), ethers.parseEther("2000")]
+      );
+
+      client = new VestingClient(vesting.target, owner);
+      await client.fund("3000");
+    });
+
+    it("Should list every beneficiary with its vesting info", async function () {
+      const beneficiaries = await client.listBeneficiaries();
+
+      expect(beneficiaries.map((b) => b.beneficiary)).to.deep.equal([
+        user1.address,
+        user2.address,
+      ]);
+      expect(beneficiaries[1].allocation).to.equal(ethers.parseEther("2000"));
+      expect(beneficiaries[1].revoked).to.equal(false);
+      const status = await client.status();
+      expect(status.currentBalance).to.equal(ethers.parseEther("3000"));
+      expect(status.outstandingAllocation).to.equal(ethers.parseEther("3000"));
+    });
+
+    it("Should report releasable amounts and release them", async function () {
+      expect(await client.releasableFor(user1.address)).to.equal(0n);
+      await expect(client.release(user1.address)).to.be.rejectedWith(
+        CliffNotReachedError
+      );
+
+      await increaseTime(CLIFF_DURATION);
+
+      expect(await client.releasableFor(user1.address)).to.equal(
+        ethers.parseEther("1000")
+      );
+      const { amount } = await client.connect(user1).release();
+      expect(amount).to.equal(ethers.parseEther("1000"));
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+    });
+
+    it("Should raise BeneficiaryRevokedError for revoked beneficiaries", async function () {
+      await increaseTime(CLIFF_DURATION);
+      await vesting.revokeBeneficiary(user2.address);
+
+      await expect(client.release(user2.address)).to.be.rejectedWith(
+        BeneficiaryRevokedError
+      );
+    });
+
+    it("Should add and top up beneficiaries once funded", async function () {
+      const [, , , newHire] = await ethers.getSigners();
+      await expect(
+        client.addBeneficiaries([
+          { beneficiary: newHire.address, allocation: "100" },
+        ])
+      ).to.be.rejectedWith(InsufficientFundingError);
+
+      await client.fund("150");
+      await client.addBeneficiaries([
+        { beneficiary: newHire.address, allocation: "100" },
+      ]);
+      await client.increaseAllocation(newHire.address, "50");
+
+      const info = await client.getVestingInfo(newHire.address);
+      expect(info.allocation).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should claw back an allocation and report the split", async function () {
+      await increaseTime(CLIFF_DURATION);
+
+      const result = await client.revokeWithClawback(user2.address);
+
+      expect(result.treasury).to.equal(owner.address);
+      expect(result.settled).to.equal(ethers.parseEther("2000"));
+      expect(result.clawback).to.equal(0n);
+      expect(await token.balanceOf(user2.address)).to.equal(result.settled);
+    });
+  });
+});
@@ -14,6 +14,17 @@ describe("TokenStaking", function () {
     await ethers.provider.send("evm_mine");
   };
 
+  // TokenStaking.Parameter values
+  const Parameter = { APR: 0, LockupPeriod: 1, NftBoost: 2 };
+  const PARAMETER_CHANGE_DELAY = 2 * 24 * 60 * 60;
+
+  // Queues a parameter change, waits out the delay and executes it
+  const changeParameter = async (parameter, value) => {
+    await staking.connect(owner).queueParameterChange(parameter, value);
+    await increaseTime(PARAMETER_CHANGE_DELAY);
+    await staking.executeParameterChange(parameter);
+  };
+
   beforeEach(async function () {
     // Get signers
     [owner, user1, user2, user3, user4] = await ethers.getSigners();
@@ -81,8 +92,16 @@ describe("TokenStaking", function () {
       expect(await staking.lockupPeriod()).to.equal(7 * 24 * 60 * 60);
     });
 
-    it("Should set owner correctly", async function () {
-      expect(await staking.owner()).to.equal(owner.address);
+    it("Should grant every role to the deployer", async function () {
+      for (const role of [
+        await staking.DEFAULT_ADMIN_ROLE(),
+        await staking.REWARD_FUNDER_ROLE(),
+        await staking.PARAM_MANAGER_ROLE(),
+        await staking.PAUSER_ROLE(),
+        await staking.TREASURY_ROLE(),
+      ]) {
+        expect(await staking.hasRole(role, owner.address)).to.equal(true);
+      }
     });
 
     it("Should deploy NFT contract with correct parameters", async function () {
@@ -92,8 +111,18 @@ describe("TokenStaking", function () {
       expect(await rewardNFT.symbol()).to.equal("SRNFT");
     });
 
-    it("Should set staking contract as NFT owner", async function () {
-      expect(await rewardNFT.owner()).to.equal(await staking.getAddress());
+    it("Should make the staking contract the only NFT minter", async function () {
+      const minter = await rewardNFT.MINTER_ROLE();
+      expect(await rewardNFT.hasRole(minter, await staking.getAddress())).to.be
+        .true;
+      expect(await rewardNFT.hasRole(minter, owner.address)).to.be.false;
+      // Nobody administers the NFT, so no one can add minters.
+      expect(
+        await rewardNFT.hasRole(
+          await rewardNFT.DEFAULT_ADMIN_ROLE(),
+          owner.address
+        )
+      ).to.be.false;
     });
 
     it("Should initialize NFT with zero minted tokens", async function () {
@@ -252,7 +281,7 @@ describe("TokenStaking", function () {
       await increaseTime(182 * 24 * 60 * 60);
 
       // Change APR to 20%
-      await staking.connect(owner).updateAPR(2000);
+      await changeParameter(Parameter.APR, 2000);
 
       // Wait another 6 months
       await increaseTime(182 * 24 * 60 * 60);
@@ -657,26 +686,168 @@ describe("TokenStaking", function () {
 
   describe("APR Management", function () {
     it("Should allow owner to update APR", async function () {
-      await staking.connect(owner).updateAPR(1500);
+      await changeParameter(Parameter.APR, 1500);
       expect(await staking.rewardRate()).to.equal(1500);
     });
 
     it("Should prevent non-owners from updating APR", async function () {
-      await expect(staking.connect(user1).updateAPR(1500)).to.be.reverted; // Ownable: caller is not the owner
+      await expect(
+        staking.connect(user1).queueParameterChange(Parameter.APR, 1500)
+      ).to.be.reverted; // AccessControl: caller is missing the role
     });
 
     it("Should enforce APR limits", async function () {
-      await expect(staking.connect(owner).updateAPR(50)) // Below minimum
-        .to.be.revertedWith("APR too low");
+      // Below minimum
+      await expect(
+        staking.connect(owner).queueParameterChange(Parameter.APR, 50)
+      ).to.be.revertedWith("APR too low");
 
-      await expect(staking.connect(owner).updateAPR(6000)) // Above maximum
-        .to.be.revertedWith("APR too high");
+      // Above maximum
+      await expect(
+        staking.connect(owner).queueParameterChange(Parameter.APR, 6000)
+      ).to.be.revertedWith("APR too high");
     });
 
     it("Should emit event when APR is updated", async function () {
-      await expect(staking.connect(owner).updateAPR(1500))
+      await staking.connect(owner).queueParameterChange(Parameter.APR, 1500);
+      await increaseTime(PARAMETER_CHANGE_DELAY);
+      await expect(staking.executeParameterChange(Parameter.APR))
+        .to.emit(staking, "APRUpdated")
+        .withArgs(1500);
+    });
+  });
+
+  describe("Parameter Timelock", function () {
+    it("Should only apply a queued change after the delay", async function () {
+      const tx = await staking
+        .connect(owner)
+        .queueParameterChange(Parameter.APR, 1500);
+      const queuedAt = (await ethers.provider.getBlock(tx.blockNumber))
+        .timestamp;
+      const effectiveTime = queuedAt + PARAMETER_CHANGE_DELAY;
+      await expect(tx)
+        .to.emit(staking, "ParameterChangeQueued")
+        .withArgs(Parameter.APR, 1500, effectiveTime);
+
+      const pending = await staking.pendingChanges(Parameter.APR);
+      expect(pending.value).to.equal(1500);
+      expect(pending.effectiveTime).to.equal(effectiveTime);
+      expect(await staking.rewardRate()).to.equal(1000);
+
+      await expect(
+        staking.executeParameterChange(Parameter.APR)
+      ).to.be.revertedWith("Change is not effective yet");
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        effectiveTime - 1,
+      ]);
+      await expect(
+        staking.executeParameterChange(Parameter.APR)
+      ).to.be.revertedWith("Change is not effective yet");
+
+      // Once due, anyone can execute it
+      await expect(staking.connect(user2).executeParameterChange(Parameter.APR))
         .to.emit(staking, "APRUpdated")
         .withArgs(1500);
+      expect(await staking.rewardRate()).to.equal(1500);
+      expect(
+        (await staking.pendingChanges(Parameter.APR)).effectiveTime
+      ).to.equal(0);
+      await expect(
+        staking.executeParameterChange(Parameter.APR)
+      ).to.be.revertedWith("No change queued");
+    });
+
+    it("Should allow one queued change per parameter", async function () {
+      await staking.connect(owner).queueParameterChange(Parameter.APR, 1500);
+      await expect(
+        staking.connect(owner).queueParameterChange(Parameter.APR, 2000)
+      ).to.be.revertedWith("A change is already queued");
+
+      await staking
+        .connect(owner)
+        .queueParameterChange(Parameter.LockupPeriod, 14 * 24 * 60 * 60);
+      await increaseTime(PARAMETER_CHANGE_DELAY);
+      await expect(staking.executeParameterChange(Parameter.LockupPeriod))
+        .to.emit(staking, "LockupPeriodUpdated")
+        .withArgs(14 * 24 * 60 * 60);
+      expect(await staking.lockupPeriod()).to.equal(14 * 24 * 60 * 60);
+      expect(await staking.rewardRate()).to.equal(1000);
+    });
+
+    it("Should let the parameter manager cancel a queued change", async function () {
+      await staking.connect(owner).queueParameterChange(Parameter.APR, 1500);
+
+      await expect(staking.connect(user1).cancelParameterChange(Parameter.APR))
+        .to.be.reverted; // AccessControl: caller is missing the role
+      await expect(staking.connect(owner).cancelParameterChange(Parameter.APR))
+        .to.emit(staking, "ParameterChangeCancelled")
+        .withArgs(Parameter.APR, 1500);
+
+      await increaseTime(PARAMETER_CHANGE_DELAY);
+      await expect(
+        staking.executeParameterChange(Parameter.APR)
+      ).to.be.revertedWith("No change queued");
+      await expect(
+        staking.connect(owner).cancelParameterChange(Parameter.APR)
+      ).to.be.revertedWith("No change queued");
+      expect(await staking.rewardRate()).to.equal(1000);
+
+      // A new change can be queued right away
+      await changeParameter(Parameter.APR, 2000);
+      expect(await staking.rewardRate()).to.equal(2000);
+    });
+
+    it("Should bound the lockup period", async function () {
+      const maxLockup = await staking.MAX_LOCKUP_PERIOD();
+      await expect(
+        staking
+          .connect(owner)
+          .queueParameterChange(Parameter.LockupPeriod, maxLockup + 1n)
+      ).to.be.revertedWith("Lockup period too long");
+
+      await changeParameter(Parameter.LockupPeriod, maxLockup);
+      expect(await staking.lockupPeriod()).to.equal(maxLockup);
+    });
+
+    it("Should only apply a lockup change to new positions", async function () {
+      const DAY = 24 * 60 * 60;
+      const amount = ethers.parseEther("1000");
+      await stakingToken
+        .connect(user1)
+        .approve(await staking.getAddress(), amount * 3n);
+      await staking.connect(user1).stake(amount);
+
+      // Lengthening the lockup does not trap the open position
+      await changeParameter(Parameter.LockupPeriod, 30 * DAY);
+      await staking.connect(user1).stake(amount);
+      const [first, second] = await staking.getPositions(user1.address);
+      expect(first.lockupPeriod).to.equal(7 * DAY);
+      expect(second.lockupPeriod).to.equal(30 * DAY);
+      expect(
+        (await staking.getStakeInfo(user1.address)).lockupRemaining
+      ).to.be.closeTo(30 * DAY, 10);
+
+      await increaseTime(5 * DAY);
+      await staking.connect(user1).unStake(amount);
+      await expect(staking.connect(user1).unStake(1n)).to.be.revertedWith(
+        "Funds are still in lockup period"
+      );
+
+      // Shortening it does not release the 30 day position early either
+      await changeParameter(Parameter.LockupPeriod, DAY);
+      await staking.connect(user1).stake(amount);
+      await increaseTime(DAY);
+      await expect(
+        staking.connect(user1).unStakePosition(1, amount)
+      ).to.be.revertedWith("Funds are still in lockup period");
+      await staking.connect(user1).unStakePosition(2, amount);
+      expect(
+        (await staking.getStakeInfo(user1.address)).lockupRemaining
+      ).to.be.closeTo(22 * DAY, 10);
+
+      await increaseTime(22 * DAY);
+      await staking.connect(user1).unStakePosition(1, amount);
+      expect((await staking.getStakeInfo(user1.address)).amount).to.equal(0);
     });
   });
 
@@ -698,19 +869,22 @@ describe("TokenStaking", function () {
         .connect(user1)
         .approve(await staking.getAddress(), addAmount);
 
-      await expect(staking.connect(user1).addRewards(addAmount)).to.be.reverted; // Ownable: caller is not the owner
+      await expect(staking.connect(user1).addRewards(addAmount)).to.be.reverted; // AccessControl: caller is missing the role
     });
 
     it("Should allow owner to set lockup period", async function () {
       const newLockup = 14 * 24 * 60 * 60; // 14 days
-      await staking.connect(owner).setLockupPeriod(newLockup);
+      await changeParameter(Parameter.LockupPeriod, newLockup);
       expect(await staking.lockupPeriod()).to.equal(newLockup);
     });
 
     it("Should prevent non-owners from setting lockup period", async function () {
       const newLockup = 14 * 24 * 60 * 60;
-      await expect(staking.connect(user1).setLockupPeriod(newLockup)).to.be
-        .reverted; // Ownable: caller is not the owner
+      await expect(
+        staking
+          .connect(user1)
+          .queueParameterChange(Parameter.LockupPeriod, newLockup)
+      ).to.be.reverted; // AccessControl: caller is missing the role
     });
 
     it("Should allow owner to emergency withdraw", async function () {
@@ -731,7 +905,7 @@ describe("TokenStaking", function () {
         staking
           .connect(user1)
           .emergencyWithdraw(await stakingToken.getAddress(), withdrawAmount)
-      ).to.be.reverted; // Ownable: caller is not the owner
+      ).to.be.reverted; // AccessControl: caller is missing the role
     });
   });
 
@@ -846,7 +1020,7 @@ describe("TokenStaking", function () {
     it("Should return correct APR value", async function () {
       expect(await staking.getAPR()).to.equal(10); // 1000 basis points = 10%
 
-      await staking.connect(owner).updateAPR(1500);
+      await changeParameter(Parameter.APR, 1500);
       expect(await staking.getAPR()).to.equal(15); // 1500 basis points = 15%
     });
 
@@ -872,4 +1046,1238 @@ describe("TokenStaking", function () {
       expect(stakeInfo.lockupRemaining).to.equal(0);
     });
   });
+
+  describe("Fixed Budget Reward Mode", function () {
+    const DAY = 24 * 60 * 60;
+    const APR_MODE = 0;
+    const FIXED_BUDGET = 1;
+
+    // Pins the next block, i.e. the next transaction, to `timestamp`.
+    const at = async (timestamp) => {
+      if (timestamp !== undefined) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      }
+    };
+
+    const stakeAs = async (user, amount, timestamp) => {
+      await stakingToken
+        .connect(user)
+        .approve(await staking.getAddress(), amount);
+      await at(timestamp);
+      await staking.connect(user).stake(amount);
+    };
+
+    const claimedBy = async (user, txPromise) => {
+      const before = await rewardToken.balanceOf(user.address);
+      await (await txPromise).wait();
+      return (await rewardToken.balanceOf(user.address)) - before;
+    };
+
+    // Funds a reward period and returns the block timestamp it started at.
+    const fundPeriod = async (amount, duration, timestamp) => {
+      await rewardToken.approve(await staking.getAddress(), amount);
+      await at(timestamp);
+      const receipt = await (
+        await staking.fundRewardPeriod(amount, duration)
+      ).wait();
+      return (await receipt.getBlock()).timestamp;
+    };
+
+    it("Should only switch modes while nothing is staked", async function () {
+      await expect(staking.connect(owner).setRewardMode(FIXED_BUDGET))
+        .to.emit(staking, "RewardModeChanged")
+        .withArgs(FIXED_BUDGET);
+      expect(await staking.rewardMode()).to.equal(FIXED_BUDGET);
+
+      await expect(
+        staking.connect(owner).setRewardMode(FIXED_BUDGET)
+      ).to.be.revertedWith("Reward mode unchanged");
+      await expect(
+        staking.connect(user1).setRewardMode(APR_MODE)
+      ).to.be.revertedWithCustomError(
+        staking,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await stakeAs(user1, ethers.parseEther("100"));
+      await expect(
+        staking.connect(owner).setRewardMode(APR_MODE)
+      ).to.be.revertedWith("Cannot change reward mode while tokens are staked");
+    });
+
+    it("Should fund reward periods only in fixed budget mode", async function () {
+      await expect(
+        staking.fundRewardPeriod(ethers.parseEther("100"), 100 * DAY)
+      ).to.be.revertedWith("Not in fixed budget mode");
+
+      await staking.connect(owner).setRewardMode(FIXED_BUDGET);
+      await expect(
+        staking.connect(owner).addRewards(ethers.parseEther("1"))
+      ).to.be.revertedWith("Use fundRewardPeriod in fixed budget mode");
+      await expect(staking.fundRewardPeriod(1, 100 * DAY)).to.be.revertedWith(
+        "Reward amount too small for duration"
+      );
+
+      const amount = ethers.parseEther("8640");
+      const start = await fundPeriod(amount, 100 * DAY);
+      expect(await staking.emissionRate()).to.equal(ethers.parseEther("0.001"));
+      expect(await staking.periodFinish()).to.equal(start + 100 * DAY);
+      expect(await staking.rewardPool()).to.equal(
+        ethers.parseEther("1000") + amount
+      );
+      await expect(
+        staking.connect(owner).setRewardMode(APR_MODE)
+      ).to.be.revertedWith("Reward period still active");
+    });
+
+    it("Should share each second's rewards pro-rata between stakers", async function () {
+      await staking.connect(owner).setRewardMode(FIXED_BUDGET);
+      await stakeAs(user1, ethers.parseEther("1000"));
+      await stakeAs(user2, ethers.parseEther("3000"));
+      const start = await fundPeriod(ethers.parseEther("4000"), 100 * DAY);
+
+      // user3 joins halfway and takes a third of the second half.
+      await stakeAs(user3, ethers.parseEther("2000"), start + 50 * DAY);
+      await increaseTime(60 * DAY);
+
+      const pending = async (user) =>
+        (await staking.getStakeInfo(user.address)).pendingRewards;
+      const tolerance = ethers.parseEther("0.001");
+      expect(await pending(user1)).to.be.closeTo(
+        ethers.parseEther("500") + ethers.parseEther("1000") / 3n,
+        tolerance
+      );
+      expect(await pending(user2)).to.be.closeTo(
+        ethers.parseEther("1500") + ethers.parseEther("1000"),
+        tolerance
+      );
+      expect(await pending(user3)).to.be.closeTo(
+        (ethers.parseEther("2000") * 2n) / 6n,
+        tolerance
+      );
+
+      // Nothing accrues after the period ends and payouts stay within budget.
+      let paid = 0n;
+      for (const user of [user1, user2, user3]) {
+        const before = await pending(user);
+        const claimed = await claimedBy(
+          user,
+          staking.connect(user).claimRewards()
+        );
+        expect(claimed).to.equal(before);
+        paid += claimed;
+      }
+      expect(paid).to.be.at.most(ethers.parseEther("4000"));
+      expect(paid).to.be.closeTo(ethers.parseEther("4000"), tolerance);
+    });
+
+    it("Should roll the rest of a running period into a top-up", async function () {
+      await staking.connect(owner).setRewardMode(FIXED_BUDGET);
+      await stakeAs(user1, ethers.parseEther("1000"));
+      const start = await fundPeriod(ethers.parseEther("1000"), 100 * DAY);
+
+      await fundPeriod(ethers.parseEther("400"), 100 * DAY, start + 40 * DAY);
+      // The ~600 left over plus the 400 top-up over the next 100 days.
+      const firstRate = ethers.parseEther("1000") / BigInt(100 * DAY);
+      expect(await staking.emissionRate()).to.equal(
+        (ethers.parseEther("400") + BigInt(60 * DAY) * firstRate) /
+          BigInt(100 * DAY)
+      );
+
+      await increaseTime(200 * DAY);
+      const claimed = await claimedBy(
+        user1,
+        staking.connect(user1).claimRewards()
+      );
+      expect(claimed).to.be.at.most(ethers.parseEther("1400"));
+      expect(claimed).to.be.closeTo(
+        ethers.parseEther("1400"),
+        ethers.parseEther("0.001")
+      );
+    });
+
+    it("Should stay solvent where APR mode runs the pool dry", async function () {
+      const TokenStaking = await ethers.getContractFactory("TokenStaking");
+      const fixed = await TokenStaking.deploy(
+        await stakingToken.getAddress(),
+        await rewardToken.getAddress(),
+        1000,
+        7 * DAY
+      );
+      await fixed.connect(owner).setRewardMode(FIXED_BUDGET);
+      await rewardToken.approve(
+        await fixed.getAddress(),
+        ethers.parseEther("1000")
+      );
+      await fixed.fundRewardPeriod(ethers.parseEther("1000"), 365 * DAY);
+
+      // The same 10000 tokens staked for two years against 1000 tokens of
+      // rewards in each contract.
+      const amount = ethers.parseEther("10000");
+      await stakeAs(user1, amount);
+      await stakingToken
+        .connect(user2)
+        .approve(await fixed.getAddress(), amount);
+      await fixed.connect(user2).stake(amount);
+      await increaseTime(2 * 365 * DAY);
+
+      // APR mode owes 2000 and cannot pay.
+      expect(
+        (await staking.getStakeInfo(user1.address)).pendingRewards
+      ).to.be.closeTo(ethers.parseEther("2000"), ethers.parseEther("1"));
+      await expect(staking.connect(user1).claimRewards()).to.be.revertedWith(
+        "Insufficient Reward Pool funds"
+      );
+
+      // Fixed budget mode paid out what it was funded with, and no more.
+      const claimed = await claimedBy(
+        user2,
+        fixed.connect(user2).claimRewards()
+      );
+      expect(claimed).to.be.at.most(ethers.parseEther("1000"));
+      expect(claimed).to.be.closeTo(
+        ethers.parseEther("1000"),
+        ethers.parseEther("0.01")
+      );
+      await expect(fixed.connect(user2).claimRewards()).to.be.revertedWith(
+        "No rewards to claim"
+      );
+    });
+  });
+
+  describe("Lockup Tiers", function () {
+    const DAY = 24 * 60 * 60;
+    const YEAR = 365 * DAY;
+
+    const stakeInTier = async (user, amount, tierId) => {
+      await stakingToken
+        .connect(user)
+        .approve(await staking.getAddress(), amount);
+      return staking.connect(user).stakeWithTier(amount, tierId);
+    };
+
+    beforeEach(async function () {
+      await staking.addLockupTier(30 * DAY, 12500); // 1.25x
+      await staking.addLockupTier(90 * DAY, 15000); // 1.5x
+    });
+
+    it("Should let the owner add tiers within the multiplier bounds", async function () {
+      await expect(staking.addLockupTier(180 * DAY, 20000))
+        .to.emit(staking, "LockupTierAdded")
+        .withArgs(3, 180 * DAY, 20000);
+
+      const tiers = await staking.getLockupTiers();
+      expect(tiers.map((tier) => tier.lockupPeriod)).to.deep.equal([
+        BigInt(30 * DAY),
+        BigInt(90 * DAY),
+        BigInt(180 * DAY),
+      ]);
+      expect(tiers.every((tier) => tier.active)).to.equal(true);
+      expect(await staking.tierRewardRate(2)).to.equal(1500);
+      expect(await staking.tierRewardRate(0)).to.equal(1000);
+
+      await expect(staking.addLockupTier(0, 15000)).to.be.revertedWith(
+        "Lockup period must be greater than 0"
+      );
+      await expect(staking.addLockupTier(DAY, 9999)).to.be.revertedWith(
+        "Multiplier must be between 1x and 3x"
+      );
+      await expect(staking.addLockupTier(DAY, 30001)).to.be.revertedWith(
+        "Multiplier must be between 1x and 3x"
+      );
+      await expect(staking.connect(user1).addLockupTier(DAY, 15000)).to.be
+        .reverted; // AccessControl: caller is missing the role
+    });
+
+    it("Should enforce the chosen tier's lockup", async function () {
+      const amount = ethers.parseEther("1000");
+      await stakeInTier(user1, amount, 1);
+
+      const info = await staking.getStakeInfo(user1.address);
+      expect(info.tierId).to.equal(1);
+      expect(info.lockupRemaining).to.be.closeTo(BigInt(30 * DAY), 5n);
+
+      // The global 7 day lockup does not apply to the tier.
+      await increaseTime(7 * DAY + 1);
+      await expect(staking.connect(user1).unStake(amount)).to.be.revertedWith(
+        "Funds are still in lockup period"
+      );
+
+      await increaseTime(23 * DAY);
+      await staking.connect(user1).unStake(amount);
+      expect((await staking.getStakeInfo(user1.address)).amount).to.equal(0n);
+    });
+
+    it("Should accrue rewards at the boosted APR", async function () {
+      const amount = ethers.parseEther("1000");
+      await stakeInTier(user1, amount, 2);
+      await stakingToken
+        .connect(user2)
+        .approve(await staking.getAddress(), amount);
+      await staking.connect(user2).stake(amount);
+
+      await increaseTime(YEAR);
+
+      expect(
+        (await staking.getStakeInfo(user1.address)).pendingRewards
+      ).to.be.closeTo(ethers.parseEther("150"), ethers.parseEther("0.1"));
+      expect(
+        (await staking.getStakeInfo(user2.address)).pendingRewards
+      ).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("0.1"));
+
+      // An APR change is boosted too, from the next checkpoint on.
+      await changeParameter(Parameter.APR, 2000);
+      await staking.connect(user1).claimRewards();
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        3000
+      );
+    });
+
+    it("Should keep open positions on a disabled tier's terms", async function () {
+      const amount = ethers.parseEther("1000");
+      await stakeInTier(user1, amount, 2);
+
+      await expect(staking.setLockupTierActive(2, false))
+        .to.emit(staking, "LockupTierStatusChanged")
+        .withArgs(2, false);
+      await expect(stakeInTier(user2, amount, 2)).to.be.revertedWith(
+        "Lockup tier is disabled"
+      );
+      await expect(staking.setLockupTierActive(2, false)).to.be.revertedWith(
+        "Lockup tier status unchanged"
+      );
+      await expect(staking.setLockupTierActive(3, false)).to.be.revertedWith(
+        "Invalid lockup tier"
+      );
+      await expect(stakeInTier(user2, amount, 3)).to.be.revertedWith(
+        "Invalid lockup tier"
+      );
+
+      await increaseTime(YEAR);
+      const info = await staking.getStakeInfo(user1.address);
+      expect(info.tierId).to.equal(2);
+      expect(info.pendingRewards).to.be.closeTo(
+        ethers.parseEther("150"),
+        ethers.parseEther("0.1")
+      );
+
+      await staking.setLockupTierActive(2, true);
+      await stakeInTier(user2, amount, 2);
+      expect((await staking.getStakeInfo(user2.address)).tierId).to.equal(2);
+    });
+
+    it("Should only add to a position in its own tier", async function () {
+      const amount = ethers.parseEther("100");
+      await stakeInTier(user1, amount, 1);
+
+      await expect(stakeInTier(user1, amount, 2)).to.be.revertedWith(
+        "Stake is in a different lockup tier"
+      );
+      await stakingToken
+        .connect(user1)
+        .approve(await staking.getAddress(), amount);
+      await expect(staking.connect(user1).stake(amount)).to.be.revertedWith(
+        "Stake is in a different lockup tier"
+      );
+
+      await stakeInTier(user1, amount, 1);
+      expect((await staking.getStakeInfo(user1.address)).amount).to.equal(
+        2n * amount
+      );
+
+      // Once fully unstaked, the next stake can pick any tier.
+      await increaseTime(30 * DAY);
+      await staking.connect(user1).unStake(2n * amount);
+      await stakeInTier(user1, amount, 2);
+      expect((await staking.getStakeInfo(user1.address)).tierId).to.equal(2);
+    });
+  });
+
+  describe("Compounding", function () {
+    const DAY = 24 * 60 * 60;
+    const YEAR = 365 * DAY;
+
+    // Rewards paid in the staking token, the way deployStaking.js deploys it.
+    let sameToken;
+
+    beforeEach(async function () {
+      const TokenStaking = await ethers.getContractFactory("TokenStaking");
+      sameToken = await TokenStaking.deploy(
+        await stakingToken.getAddress(),
+        await stakingToken.getAddress(),
+        1000,
+        7 * DAY
+      );
+      await stakingToken.approve(
+        await sameToken.getAddress(),
+        ethers.parseEther("1000")
+      );
+      await sameToken.addRewards(ethers.parseEther("1000"));
+
+      await stakingToken
+        .connect(user1)
+        .approve(await sameToken.getAddress(), ethers.parseEther("1000"));
+      await sameToken.connect(user1).stake(ethers.parseEther("1000"));
+    });
+
+    it("Should revert when rewards are paid in another token", async function () {
+      await stakingToken
+        .connect(user1)
+        .approve(await staking.getAddress(), ethers.parseEther("100"));
+      await staking.connect(user1).stake(ethers.parseEther("100"));
+      await increaseTime(DAY);
+
+      await expect(staking.connect(user1).compound()).to.be.revertedWith(
+        "Staking and reward tokens differ"
+      );
+    });
+
+    it("Should move pending rewards from the pool into the stake", async function () {
+      const { stakeTime } = await sameToken.getStakeInfo(user1.address);
+      const balance = await stakingToken.balanceOf(
+        await sameToken.getAddress()
+      );
+      await increaseTime(YEAR);
+
+      const tx = await sameToken.connect(user1).compound();
+      const receipt = await tx.wait();
+      const { args } = receipt.logs
+        .map((log) => sameToken.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "RewardCompounded");
+      expect(args.user).to.equal(user1.address);
+      expect(args.amount).to.be.closeTo(
+        ethers.parseEther("100"),
+        ethers.parseEther("0.01")
+      );
+
+      const info = await sameToken.getStakeInfo(user1.address);
+      expect(info.amount).to.equal(ethers.parseEther("1000") + args.amount);
+      expect(info.pendingRewards).to.equal(0n);
+      expect(info.stakeTime).to.equal(stakeTime);
+      expect(await sameToken.totalStaked()).to.equal(info.amount);
+      expect(await sameToken.rewardPool()).to.equal(
+        ethers.parseEther("1000") - args.amount
+      );
+      // Nothing moved: the tokens only changed from rewards to stake.
+      expect(
+        await stakingToken.balanceOf(await sameToken.getAddress())
+      ).to.equal(balance);
+      expect(await sameToken.totalStaked()).to.equal(
+        balance - (await sameToken.rewardPool())
+      );
+    });
+
+    it("Should earn rewards on compounded rewards", async function () {
+      await increaseTime(YEAR);
+      await sameToken.connect(user1).compound();
+      await increaseTime(YEAR);
+
+      // 10% on the original 1000 plus 10% on the 100 compounded.
+      expect(
+        (await sameToken.getStakeInfo(user1.address)).pendingRewards
+      ).to.be.closeTo(ethers.parseEther("110"), ethers.parseEther("0.01"));
+    });
+
+    it("Should reject compounding without a stake or rewards", async function () {
+      await expect(sameToken.connect(user2).compound()).to.be.revertedWith(
+        "No active stake to compound into"
+      );
+
+      // A wei staked for a day earns less than a wei of rewards.
+      await stakingToken
+        .connect(user2)
+        .approve(await sameToken.getAddress(), 1n);
+      await sameToken.connect(user2).stake(1n);
+      await increaseTime(DAY);
+      await expect(sameToken.connect(user2).compound()).to.be.revertedWith(
+        "No rewards to claim"
+      );
+    });
+  });
+
+  describe("Per-deposit Positions", function () {
+    const DAY = 24 * 60 * 60;
+    const LOCKUP = 7 * DAY;
+
+    const stakeAs = async (user, amount) => {
+      await stakingToken
+        .connect(user)
+        .approve(await staking.getAddress(), amount);
+      await staking.connect(user).stake(amount);
+    };
+
+    const openPositions = async (user) =>
+      (await staking.getPositions(user.address)).map((position) => [
+        position.id,
+        position.amount,
+      ]);
+
+    it("Should not let a top-up ride on an older stake's lockup", async function () {
+      await stakeAs(user1, 1n);
+      await increaseTime(LOCKUP);
+      await stakeAs(user1, ethers.parseEther("1000"));
+
+      await expect(
+        staking.connect(user1).unStake(ethers.parseEther("1000"))
+      ).to.be.revertedWith("Funds are still in lockup period");
+      await expect(
+        staking.connect(user1).unStake(ethers.parseEther("1000") + 1n)
+      ).to.be.revertedWith("Funds are still in lockup period");
+
+      // Only the 1 wei that was staked a lockup ago can leave.
+      await staking.connect(user1).unStake(1n);
+      expect(await openPositions(user1)).to.deep.equal([
+        [1n, ethers.parseEther("1000")],
+      ]);
+
+      await increaseTime(LOCKUP);
+      await staking.connect(user1).unStake(ethers.parseEther("1000"));
+      expect(await openPositions(user1)).to.deep.equal([]);
+      expect(await staking.totalStaked()).to.equal(0n);
+    });
+
+    it("Should unstake from the oldest positions first", async function () {
+      await stakeAs(user1, ethers.parseEther("100"));
+      await increaseTime(3 * DAY);
+      await stakeAs(user1, ethers.parseEther("200"));
+      await increaseTime(4 * DAY);
+
+      // The first position unlocked, the second has 3 days to go.
+      await expect(
+        staking.connect(user1).unStake(ethers.parseEther("150"))
+      ).to.be.revertedWith("Funds are still in lockup period");
+      await staking.connect(user1).unStake(ethers.parseEther("60"));
+      expect(await openPositions(user1)).to.deep.equal([
+        [0n, ethers.parseEther("40")],
+        [1n, ethers.parseEther("200")],
+      ]);
+
+      await increaseTime(3 * DAY);
+      await staking.connect(user1).unStake(ethers.parseEther("140"));
+      expect(await openPositions(user1)).to.deep.equal([
+        [1n, ethers.parseEther("100")],
+      ]);
+
+      const info = await staking.getStakeInfo(user1.address);
+      expect(info.amount).to.equal(ethers.parseEther("100"));
+      expect(info.stakeTime).to.equal(
+        (await staking.positions(user1.address, 1)).stakeTime
+      );
+    });
+
+    it("Should unstake from a chosen position", async function () {
+      await stakeAs(user1, ethers.parseEther("100"));
+      await stakeAs(user1, ethers.parseEther("200"));
+      await stakeAs(user1, ethers.parseEther("300"));
+
+      await expect(
+        staking.connect(user1).unStakePosition(1, ethers.parseEther("200"))
+      ).to.be.revertedWith("Funds are still in lockup period");
+      await increaseTime(LOCKUP);
+
+      await expect(
+        staking.connect(user1).unStakePosition(3, 1n)
+      ).to.be.revertedWith("Invalid position");
+      await expect(
+        staking.connect(user1).unStakePosition(1, ethers.parseEther("201"))
+      ).to.be.revertedWith("Insufficient staked amounts");
+
+      await expect(
+        staking.connect(user1).unStakePosition(1, ethers.parseEther("200"))
+      )
+        .to.emit(staking, "Unstaked")
+        .withArgs(user1.address, ethers.parseEther("200"));
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("9600")
+      );
+      expect(await openPositions(user1)).to.deep.equal([
+        [0n, ethers.parseEther("100")],
+        [2n, ethers.parseEther("300")],
+      ]);
+
+      // FIFO skips the emptied position.
+      await staking.connect(user1).unStake(ethers.parseEther("150"));
+      expect(await openPositions(user1)).to.deep.equal([
+        [2n, ethers.parseEther("250")],
+      ]);
+      expect(await staking.firstOpenPosition(user1.address)).to.equal(2n);
+      expect(await staking.totalStaked()).to.equal(ethers.parseEther("250"));
+    });
+
+    it("Should report each position's remaining lockup", async function () {
+      await stakeAs(user1, ethers.parseEther("100"));
+      await increaseTime(2 * DAY);
+      await stakeAs(user1, ethers.parseEther("100"));
+      await increaseTime(DAY);
+
+      const [first, second] = await staking.getPositions(user1.address);
+      expect(first.lockupRemaining).to.be.closeTo(BigInt(4 * DAY), 5n);
+      expect(second.lockupRemaining).to.be.closeTo(BigInt(6 * DAY), 5n);
+      // getStakeInfo reports when the whole stake unlocks.
+      expect(
+        (await staking.getStakeInfo(user1.address)).lockupRemaining
+      ).to.equal(second.lockupRemaining);
+
+      await increaseTime(4 * DAY);
+      const [unlocked] = await staking.getPositions(user1.address);
+      expect(unlocked.lockupRemaining).to.equal(0n);
+    });
+
+    it("Should accrue rewards on the total across positions", async function () {
+      await stakeAs(user1, ethers.parseEther("500"));
+      await stakeAs(user1, ethers.parseEther("500"));
+      await increaseTime(365 * DAY);
+
+      expect(
+        (await staking.getStakeInfo(user1.address)).pendingRewards
+      ).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("0.1"));
+    });
+  });
+
+  describe("NFT Metadata", function () {
+    const DAY = 24 * 60 * 60;
+
+    const decodeDataUri = (uri, prefix) => {
+      expect(uri.startsWith(prefix)).to.equal(true);
+      return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+    };
+
+    const metadataOf = async (tokenId) =>
+      JSON.parse(
+        decodeDataUri(
+          await rewardNFT.tokenURI(tokenId),
+          "data:application/json;base64,"
+        )
+      );
+
+    const attributesOf = (metadata) =>
+      Object.fromEntries(
+        metadata.attributes.map(({ trait_type, value }) => [trait_type, value])
+      );
+
+    // Stakes as `user` in a block pinned to `timestamp`.
+    const stakeAt = async (user, amount, timestamp) => {
+      await stakingToken
+        .connect(user)
+        .approve(await staking.getAddress(), amount);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await staking.connect(user).stake(amount);
+    };
+
+    const unstakeAt = async (txFactory, timestamp) => {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      return (await txFactory()).wait();
+    };
+
+    it("Should describe the unstake that minted it in the tokenURI", async function () {
+      const amount = ethers.parseEther("1234.5");
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+      await stakeAt(user1, amount, start);
+      await unstakeAt(
+        () => staking.connect(user1).unStake(amount),
+        start + 45 * DAY
+      );
+
+      const info = await rewardNFT.rewardInfo(1);
+      expect(info.amount).to.equal(amount);
+      expect(info.stakingDuration).to.equal(45 * DAY);
+      expect(info.mintedAt).to.equal(start + 45 * DAY);
+
+      const metadata = await metadataOf(1);
+      expect(metadata.name).to.equal("Staking Reward NFT #1");
+      expect(attributesOf(metadata)).to.deep.equal({
+        "Amount Unstaked": 1234.5,
+        "Staking Duration (days)": 45,
+        Rank: "Silver",
+        Minted: start + 45 * DAY,
+      });
+
+      const svg = decodeDataUri(metadata.image, "data:image/svg+xml;base64,");
+      expect(svg.startsWith("<svg")).to.equal(true);
+      expect(svg).to.include("Staking Reward #1");
+      expect(svg).to.include("1234.5 unstaked");
+      expect(svg).to.include("Staked for 45 days");
+      expect(svg).to.include('fill="#c0c0c0"');
+    });
+
+    it("Should record the amount-weighted duration across positions", async function () {
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+      await stakeAt(user1, ethers.parseEther("100"), start);
+      await stakeAt(user1, ethers.parseEther("300"), start + 10 * DAY);
+      await stakeAt(user1, ethers.parseEther("1"), start + 20 * DAY);
+
+      // 100 staked for 40 days and 300 for 30 days average 32.5 days.
+      await unstakeAt(
+        () => staking.connect(user1).unStake(ethers.parseEther("400")),
+        start + 40 * DAY
+      );
+      expect((await rewardNFT.rewardInfo(1)).stakingDuration).to.equal(
+        32.5 * DAY
+      );
+      expect(attributesOf(await metadataOf(1))).to.include({
+        "Amount Unstaked": 400,
+        "Staking Duration (days)": 32,
+      });
+
+      await unstakeAt(
+        () => staking.connect(user1).unStakePosition(2, ethers.parseEther("1")),
+        start + 50 * DAY
+      );
+      expect((await rewardNFT.rewardInfo(2)).stakingDuration).to.equal(
+        30 * DAY
+      );
+    });
+
+    it("Should rank short and long stakes and format fractions", async function () {
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+      await stakeAt(user1, ethers.parseEther("0.000000000000000001"), start);
+      await stakeAt(user2, ethers.parseEther("10"), start + 10);
+      await unstakeAt(
+        () => staking.connect(user1).unStake(1n),
+        start + 8 * DAY
+      );
+      await unstakeAt(
+        () => staking.connect(user2).unStake(ethers.parseEther("10")),
+        start + 200 * DAY
+      );
+
+      const bronze = await metadataOf(1);
+      expect(attributesOf(bronze).Rank).to.equal("Bronze");
+      expect(
+        decodeDataUri(bronze.image, "data:image/svg+xml;base64,")
+      ).to.include("0.000000000000000001 unstaked");
+      expect(attributesOf(await metadataOf(2))).to.include({
+        "Amount Unstaked": 10,
+        Rank: "Gold",
+      });
+      expect(await rewardNFT.rankOf(2)).to.equal("Gold");
+
+      await expect(rewardNFT.tokenURI(3))
+        .to.be.revertedWithCustomError(rewardNFT, "ERC721NonexistentToken")
+        .withArgs(3);
+      await expect(
+        rewardNFT.connect(user1).mintReward(user1.address, 1n, 1n)
+      ).to.be.revertedWithCustomError(
+        rewardNFT,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("NFT APR Boost", function () {
+    const DAY = 24 * 60 * 60;
+    const YEAR = 365 * DAY;
+    const STAKE = ethers.parseEther("1000");
+
+    // Leaves user1 and user2 with 1000 staked and reward NFTs #1 and #2 for
+    // 1000 each, both minted after long enough a stake for the full boost.
+    beforeEach(async function () {
+      for (const user of [user1, user2]) {
+        await stakingToken
+          .connect(user)
+          .approve(await staking.getAddress(), 2n * STAKE);
+        await staking.connect(user).stake(2n * STAKE);
+      }
+      await increaseTime(180 * DAY);
+      await staking.connect(user1).unStake(STAKE);
+      await staking.connect(user2).unStake(STAKE);
+      await changeParameter(Parameter.NftBoost, 500); // +5% APR
+    });
+
+    const lockNft = async (user, tokenId) => {
+      await rewardNFT
+        .connect(user)
+        .approve(await staking.getAddress(), tokenId);
+      return staking.connect(user).lockNft(tokenId);
+    };
+
+    it("Should cap the boost and timelock changes to it", async function () {
+      await expect(
+        staking.connect(owner).queueParameterChange(Parameter.NftBoost, 1001)
+      ).to.be.revertedWith("NFT boost too high");
+      await expect(
+        staking.connect(user1).queueParameterChange(Parameter.NftBoost, 100)
+      ).to.be.reverted; // AccessControl: caller is missing the role
+
+      await staking
+        .connect(owner)
+        .queueParameterChange(Parameter.NftBoost, 1000);
+      await expect(
+        staking.executeParameterChange(Parameter.NftBoost)
+      ).to.be.revertedWith("Change is not effective yet");
+      expect(await staking.nftBoostBps()).to.equal(500);
+
+      await increaseTime(PARAMETER_CHANGE_DELAY);
+      await expect(staking.executeParameterChange(Parameter.NftBoost))
+        .to.emit(staking, "NftBoostUpdated")
+        .withArgs(1000);
+      expect(await staking.nftBoostBps()).to.equal(1000);
+    });
+
+    it("Should accrue the boosted APR while an NFT is locked", async function () {
+      await expect(lockNft(user1, 1))
+        .to.emit(staking, "NftLocked")
+        .withArgs(user1.address, 1);
+      expect(await staking.lockedNft(user1.address)).to.equal(1n);
+      expect(await rewardNFT.ownerOf(1)).to.equal(await staking.getAddress());
+      expect(await staking.stakerRewardRate(user1.address, 0)).to.equal(1500);
+
+      const before1 = (await staking.getStakeInfo(user1.address))
+        .pendingRewards;
+      const before2 = (await staking.getStakeInfo(user2.address))
+        .pendingRewards;
+      await increaseTime(YEAR);
+
+      // 1000 tokens at 15% against 10% without the NFT.
+      expect(
+        (await staking.getStakeInfo(user1.address)).pendingRewards - before1
+      ).to.be.closeTo(ethers.parseEther("150"), ethers.parseEther("0.01"));
+      expect(
+        (await staking.getStakeInfo(user2.address)).pendingRewards - before2
+      ).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("0.01"));
+    });
+
+    it("Should settle the boost on unlock and stop it there", async function () {
+      await staking.connect(user1).claimRewards();
+      await lockNft(user1, 1);
+
+      // A locked NFT cannot be moved around to boost other stakes.
+      await expect(
+        rewardNFT
+          .connect(user1)
+          .transferFrom(await staking.getAddress(), user3.address, 1)
+      ).to.be.reverted;
+
+      await increaseTime(YEAR / 2);
+      await expect(staking.connect(user1).unlockNft())
+        .to.emit(staking, "NftUnlocked")
+        .withArgs(user1.address, 1);
+      expect(await rewardNFT.ownerOf(1)).to.equal(user1.address);
+      expect(await staking.lockedNft(user1.address)).to.equal(0n);
+
+      // Half a year at 15% was settled on unlock, the second half earns 10%.
+      await increaseTime(YEAR / 2);
+      expect(
+        (await staking.getStakeInfo(user1.address)).pendingRewards
+      ).to.be.closeTo(ethers.parseEther("125"), ethers.parseEther("0.01"));
+    });
+
+    it("Should lock one owned NFT at a time", async function () {
+      await expect(staking.connect(user1).unlockNft()).to.be.revertedWith(
+        "No NFT locked"
+      );
+      // user2's NFT, even when approved by user1, is not user1's to lock.
+      await expect(lockNft(user1, 2)).to.be.reverted;
+
+      await lockNft(user1, 1);
+      await staking.connect(user1).unStake(ethers.parseEther("1"));
+      await expect(lockNft(user1, 3)).to.be.revertedWith(
+        "An NFT is already locked"
+      );
+    });
+
+    it("Should pro-rate the boost by the locked NFT's staking duration", async function () {
+      await stakingToken
+        .connect(user3)
+        .approve(await staking.getAddress(), 2n * STAKE);
+      await staking.connect(user3).stake(2n * STAKE);
+      await increaseTime(36 * DAY);
+      await staking.connect(user3).unStake(STAKE);
+
+      // 36 of the 180 days needed for the full boost: a fifth of 5%.
+      expect(await staking.nftBoostFor(1)).to.equal(500);
+      expect(await staking.nftBoostFor(3)).to.equal(100);
+      await lockNft(user3, 3);
+      expect((await staking.stakes(user3.address)).lastRewardRate).to.equal(
+        1100
+      );
+    });
+
+    it("Should only boost as much of the stake as the NFT's amount", async function () {
+      // A full-duration NFT minted for unstaking 1 wei.
+      await stakingToken
+        .connect(user3)
+        .approve(await staking.getAddress(), STAKE);
+      await staking.connect(user3).stake(STAKE);
+      await increaseTime(180 * DAY);
+      await staking.connect(user3).unStake(1n);
+      expect(await staking.nftBoostFor(3)).to.equal(500);
+
+      await lockNft(user3, 3);
+      expect((await staking.stakes(user3.address)).lastRewardRate).to.equal(
+        1000
+      );
+
+      // Topping up past the NFT's 1000 dilutes the boost at once.
+      await lockNft(user1, 1);
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        1500
+      );
+      await stakingToken
+        .connect(user1)
+        .approve(await staking.getAddress(), STAKE);
+      await staking.connect(user1).stake(STAKE);
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        1250
+      );
+      // Unstaking back down to the NFT's amount restores it.
+      await increaseTime(7 * DAY);
+      await staking.connect(user1).unStake(STAKE);
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        1500
+      );
+    });
+
+    it("Should not mint or boost anything for a zero unstake", async function () {
+      await expect(staking.connect(user3).unStake(0)).to.be.revertedWith(
+        "Amount must be greater than 0"
+      );
+      await expect(staking.connect(user1).unStake(0)).to.be.revertedWith(
+        "Amount must be greater than 0"
+      );
+      await expect(
+        staking.connect(user1).unStakePosition(0, 0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+      expect(await rewardNFT.balanceOf(user3.address)).to.equal(0);
+      expect(await staking.stakerRewardRate(user3.address, 0)).to.equal(1000);
+    });
+
+    it("Should apply boost changes at the next checkpoint", async function () {
+      await lockNft(user1, 1);
+      await changeParameter(Parameter.NftBoost, 1000);
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        1500
+      );
+
+      await staking.connect(user1).claimRewards();
+      expect((await staking.stakes(user1.address)).lastRewardRate).to.equal(
+        2000
+      );
+    });
+  });
+
+  describe("Emergency Controls", function () {
+    const DAY = 24 * 60 * 60;
+    const STAKE = ethers.parseEther("1000");
+
+    const stakeAs = async (contract, user, amount) => {
+      await stakingToken
+        .connect(user)
+        .approve(await contract.getAddress(), amount);
+      return contract.connect(user).stake(amount);
+    };
+
+    it("Should never let the owner withdraw staked principal", async function () {
+      await stakeAs(staking, user1, STAKE);
+      const token = await stakingToken.getAddress();
+
+      await expect(staking.emergencyWithdraw(token, 1n)).to.be.revertedWith(
+        "Cannot withdraw staked principal"
+      );
+
+      // Tokens sent to the contract by mistake are surplus and recoverable.
+      await stakingToken.transfer(
+        await staking.getAddress(),
+        ethers.parseEther("50")
+      );
+      await expect(
+        staking.emergencyWithdraw(token, ethers.parseEther("50.1"))
+      ).to.be.revertedWith("Cannot withdraw staked principal");
+      await expect(
+        staking.emergencyWithdraw(token, ethers.parseEther("50"))
+      ).to.changeTokenBalance(stakingToken, owner, ethers.parseEther("50"));
+
+      expect(await stakingToken.balanceOf(await staking.getAddress())).to.equal(
+        STAKE
+      );
+      expect(await staking.totalStaked()).to.equal(STAKE);
+    });
+
+    it("Should take reward tokens out of the reward pool", async function () {
+      await expect(
+        staking.emergencyWithdraw(
+          await rewardToken.getAddress(),
+          ethers.parseEther("100")
+        )
+      )
+        .to.emit(staking, "EmergencyWithdrawal")
+        .withArgs(
+          await rewardToken.getAddress(),
+          ethers.parseEther("100"),
+          ethers.parseEther("100")
+        );
+      expect(await staking.rewardPool()).to.equal(ethers.parseEther("900"));
+    });
+
+    it("Should use surplus before the reward pool when the tokens are the same", async function () {
+      const TokenStaking = await ethers.getContractFactory("TokenStaking");
+      const sameToken = await TokenStaking.deploy(
+        await stakingToken.getAddress(),
+        await stakingToken.getAddress(),
+        1000,
+        7 * DAY
+      );
+      await stakingToken.approve(await sameToken.getAddress(), STAKE);
+      await sameToken.addRewards(STAKE);
+      await stakeAs(sameToken, user1, STAKE);
+      await stakingToken.transfer(
+        await sameToken.getAddress(),
+        ethers.parseEther("10")
+      );
+      const token = await stakingToken.getAddress();
+
+      // 10 surplus, then 500 from the pool.
+      await expect(sameToken.emergencyWithdraw(token, ethers.parseEther("510")))
+        .to.emit(sameToken, "EmergencyWithdrawal")
+        .withArgs(token, ethers.parseEther("510"), ethers.parseEther("500"));
+      expect(await sameToken.rewardPool()).to.equal(ethers.parseEther("500"));
+
+      await expect(
+        sameToken.emergencyWithdraw(token, ethers.parseEther("500.1"))
+      ).to.be.revertedWith("Cannot withdraw staked principal");
+      await sameToken.emergencyWithdraw(token, ethers.parseEther("500"));
+      expect(await sameToken.rewardPool()).to.equal(0n);
+      expect(
+        await stakingToken.balanceOf(await sameToken.getAddress())
+      ).to.equal(STAKE);
+    });
+
+    it("Should only let the owner toggle emergency mode", async function () {
+      await expect(staking.connect(user1).enableEmergencyMode())
+        .to.be.revertedWithCustomError(
+          staking,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, await staking.PAUSER_ROLE());
+      await expect(staking.disableEmergencyMode()).to.be.revertedWith(
+        "Emergency mode is not enabled"
+      );
+
+      await expect(staking.enableEmergencyMode()).to.emit(
+        staking,
+        "EmergencyModeEnabled"
+      );
+      expect(await staking.emergencyMode()).to.equal(true);
+      await expect(staking.enableEmergencyMode()).to.be.revertedWith(
+        "Emergency mode already enabled"
+      );
+
+      await expect(staking.disableEmergencyMode()).to.emit(
+        staking,
+        "EmergencyModeDisabled"
+      );
+      await expect(stakeAs(staking, user1, STAKE)).to.not.be.reverted;
+    });
+
+    it("Should close staking while emergency mode is on", async function () {
+      await stakeAs(staking, user1, STAKE);
+      await increaseTime(7 * DAY);
+      await staking.connect(user1).unStake(ethers.parseEther("1")); // NFT #1
+      await staking.addLockupTier(30 * DAY, 15000);
+      await staking.enableEmergencyMode();
+
+      await expect(stakeAs(staking, user2, STAKE)).to.be.revertedWith(
+        "Emergency mode is active"
+      );
+      await expect(
+        staking.connect(user2).stakeWithTier(STAKE, 1)
+      ).to.be.revertedWith("Emergency mode is active");
+      await rewardNFT.connect(user1).approve(await staking.getAddress(), 1);
+      await expect(staking.connect(user1).lockNft(1)).to.be.revertedWith(
+        "Emergency mode is active"
+      );
+      await expect(staking.connect(user1).compound()).to.be.revertedWith(
+        "Emergency mode is active"
+      );
+    });
+
+    it("Should return locked principal and forfeit rewards on emergency exit", async function () {
+      await stakeAs(staking, user1, ethers.parseEther("600"));
+      await increaseTime(DAY);
+      await stakeAs(staking, user1, ethers.parseEther("400"));
+      await stakeAs(staking, user2, STAKE);
+      await increaseTime(DAY);
+
+      await expect(staking.connect(user1).emergencyExit()).to.be.revertedWith(
+        "Emergency mode is not enabled"
+      );
+      await staking.enableEmergencyMode();
+
+      const balance = await stakingToken.balanceOf(user1.address);
+      const { pendingRewards } = await staking.getStakeInfo(user1.address);
+      const tx = staking.connect(user1).emergencyExit();
+      await expect(tx)
+        .to.emit(staking, "EmergencyExit")
+        .withArgs(user1.address, STAKE, (forfeited) => {
+          expect(forfeited).to.be.closeTo(
+            pendingRewards,
+            ethers.parseEther("0.001")
+          );
+          return true;
+        });
+      await expect(tx).to.not.emit(staking, "NFTRewardMinted");
+
+      // Both positions were still locked.
+      expect((await stakingToken.balanceOf(user1.address)) - balance).to.equal(
+        STAKE
+      );
+      expect(await staking.totalStaked()).to.equal(STAKE);
+      expect(await staking.rewardPool()).to.equal(ethers.parseEther("1000"));
+      expect(await staking.getPositions(user1.address)).to.have.lengthOf(0);
+      const info = await staking.getStakeInfo(user1.address);
+      expect(info.amount).to.equal(0n);
+      expect(info.pendingRewards).to.equal(0n);
+      await expect(staking.connect(user1).claimRewards()).to.be.reverted;
+
+      await expect(staking.connect(user1).emergencyExit()).to.be.revertedWith(
+        "Nothing staked"
+      );
+      // Everyone else can still leave the same way.
+      await expect(
+        staking.connect(user2).emergencyExit()
+      ).to.changeTokenBalance(stakingToken, user2, STAKE);
+      expect(await staking.totalStaked()).to.equal(0n);
+    });
+
+    it("Should hand back a locked reward NFT on emergency exit", async function () {
+      await stakeAs(staking, user1, STAKE);
+      await increaseTime(7 * DAY);
+      await staking.connect(user1).unStake(ethers.parseEther("1"));
+      await rewardNFT.connect(user1).approve(await staking.getAddress(), 1);
+      await staking.connect(user1).lockNft(1);
+      await staking.enableEmergencyMode();
+
+      await expect(staking.connect(user1).emergencyExit())
+        .to.emit(staking, "NftUnlocked")
+        .withArgs(user1.address, 1);
+      expect(await rewardNFT.ownerOf(1)).to.equal(user1.address);
+      expect(await staking.lockedNft(user1.address)).to.equal(0n);
+      expect(await rewardNFT.totalMinted()).to.equal(1n);
+    });
+
+    it("Should leave other stakers' fixed budget share intact", async function () {
+      await staking.setRewardMode(1);
+      await stakeAs(staking, user1, ethers.parseEther("100"));
+      await stakeAs(staking, user2, ethers.parseEther("100"));
+      await rewardToken.approve(
+        await staking.getAddress(),
+        ethers.parseEther("1000")
+      );
+      const start = (
+        await (
+          await (
+            await staking.fundRewardPeriod(ethers.parseEther("1000"), 1000)
+          ).wait()
+        ).getBlock()
+      ).timestamp;
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 99]);
+      await staking.enableEmergencyMode();
+      // Half of 1 token/s for 100s.
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 100]);
+      await expect(staking.connect(user1).emergencyExit())
+        .to.emit(staking, "EmergencyExit")
+        .withArgs(
+          user1.address,
+          ethers.parseEther("100"),
+          ethers.parseEther("50")
+        );
+
+      // user2 earns everything from then on.
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 200]);
+      await expect(staking.connect(user2).claimRewards()).to.changeTokenBalance(
+        rewardToken,
+        user2,
+        ethers.parseEther("150")
+      );
+    });
+  });
+
+  describe("Roles", function () {
+    const grant = async (role, account) =>
+      staking.grantRole(await staking[role](), account.address);
+
+    it("Should gate each admin function by its own role", async function () {
+      await grant("PARAM_MANAGER_ROLE", user1);
+      await grant("REWARD_FUNDER_ROLE", user2);
+      await grant("PAUSER_ROLE", user3);
+
+      await staking.connect(user1).queueParameterChange(Parameter.APR, 1500);
+      await staking
+        .connect(user1)
+        .queueParameterChange(Parameter.LockupPeriod, 14 * 24 * 60 * 60);
+      await staking.connect(user1).cancelParameterChange(Parameter.APR);
+      await expect(staking.connect(user1).addRewards(1n))
+        .to.be.revertedWithCustomError(
+          staking,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, await staking.REWARD_FUNDER_ROLE());
+
+      await rewardToken.transfer(user2.address, ethers.parseEther("10"));
+      await rewardToken
+        .connect(user2)
+        .approve(await staking.getAddress(), ethers.parseEther("10"));
+      await staking.connect(user2).addRewards(ethers.parseEther("10"));
+      await expect(
+        staking.connect(user2).queueParameterChange(Parameter.APR, 2000)
+      )
+        .to.be.revertedWithCustomError(
+          staking,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user2.address, await staking.PARAM_MANAGER_ROLE());
+
+      await staking.connect(user3).enableEmergencyMode();
+      await expect(
+        staking
+          .connect(user3)
+          .emergencyWithdraw(await rewardToken.getAddress(), 1n)
+      )
+        .to.be.revertedWithCustomError(
+          staking,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user3.address, await staking.TREASURY_ROLE());
+    });
+
+    it("Should pay emergency withdrawals to the treasury caller", async function () {
+      await grant("TREASURY_ROLE", user4);
+      const amount = ethers.parseEther("100");
+
+      await expect(
+        staking
+          .connect(user4)
+          .emergencyWithdraw(await rewardToken.getAddress(), amount)
+      ).to.changeTokenBalances(rewardToken, [user4, owner], [amount, 0n]);
+    });
+
+    it("Should let only the admin grant and revoke roles", async function () {
+      const pauser = await staking.PAUSER_ROLE();
+      await expect(
+        staking.connect(user1).grantRole(pauser, user1.address)
+      ).to.be.revertedWithCustomError(
+        staking,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await expect(staking.grantRole(pauser, user1.address))
+        .to.emit(staking, "RoleGranted")
+        .withArgs(pauser, user1.address, owner.address);
+      await staking.revokeRole(pauser, user1.address);
+      await expect(
+        staking.connect(user1).enableEmergencyMode()
+      ).to.be.revertedWithCustomError(
+        staking,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      // Renouncing its roles leaves the deployer with no admin powers.
+      await staking.renounceRole(pauser, owner.address);
+      await expect(staking.enableEmergencyMode()).to.be.revertedWithCustomError(
+        staking,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
 });
@@ -0,0 +1,490 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  StakingSimulator,
+  projectRewards,
+} = require("../scripts/lib/stakingSimulator");
+const {
+  loadStakingState,
+  projectRunway,
+} = require("../scripts/projectRewards");
+
+describe("Staking simulator", function () {
+  const DAY = 24 * 60 * 60;
+
+  let owner, user1, user2;
+  let token;
+  let staking;
+  let originalLog;
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  };
+
+  const timestampOf = async (txPromise) => {
+    const receipt = await (await txPromise).wait();
+    return (await receipt.getBlock()).timestamp;
+  };
+
+  const stake = async (signer, amount) => {
+    await token.connect(signer).approve(staking.target, amount);
+    return timestampOf(staking.connect(signer).stake(amount));
+  };
+
+  // Queues a TokenStaking.Parameter change and executes it once due
+  const changeParameter = async (parameter, value) => {
+    await staking.queueParameterChange(parameter, value);
+    await increaseTime(2 * DAY);
+    await staking.executeParameterChange(parameter);
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy(
+      "Staking Token",
+      "STK",
+      owner.address,
+      ethers.parseEther("10000000")
+    );
+    await token.transfer(user1.address, ethers.parseEther("100000"));
+    await token.transfer(user2.address, ethers.parseEther("100000"));
+
+    const TokenStaking = await ethers.getContractFactory("TokenStaking");
+    staking = await TokenStaking.deploy(
+      token.target,
+      token.target,
+      1000,
+      7 * DAY
+    );
+
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  it("Should reproduce on-chain accrual to the wei, including the APR lag", async function () {
+    await token.approve(staking.target, ethers.parseEther("5000"));
+    await staking.addRewards(ethers.parseEther("5000"));
+    const simulator = await loadStakingState(hre, staking);
+
+    const amount1 = ethers.parseEther("1234.567890123456789");
+    const amount2 = 987654321987654321n;
+    simulator.stake(user1.address, amount1, await stake(user1, amount1));
+    simulator.stake(user2.address, amount2, await stake(user2, amount2));
+
+    await increaseTime(13 * DAY + 7);
+    simulator.updateAPR(2500);
+    await changeParameter(0, 2500);
+    simulator.claimRewards(
+      user1.address,
+      await timestampOf(staking.connect(user1).claimRewards())
+    );
+
+    await increaseTime(41 * DAY + 3);
+    simulator.claimRewards(
+      user1.address,
+      await timestampOf(staking.connect(user1).claimRewards())
+    );
+    const unstakeAmount = amount2 / 3n;
+    simulator.unStake(
+      user2.address,
+      unstakeAmount,
+      await timestampOf(staking.connect(user2).unStake(unstakeAmount))
+    );
+
+    await increaseTime(5 * DAY);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+    for (const user of [user1, user2]) {
+      const onChain = await staking.getStakeInfo(user.address);
+      const simulated = simulator.getStakeInfo(user.address, now);
+      expect(simulated.amount).to.equal(onChain.amount);
+      expect(simulated.lockupRemaining).to.equal(onChain.lockupRemaining);
+      expect(simulated.pendingRewards).to.equal(onChain.pendingRewards);
+    }
+    expect(simulator.rewardPool).to.equal(await staking.rewardPool());
+    expect(simulator.totalStaked).to.equal(await staking.totalStaked());
+
+    // Loading the same state back from the chain gives the same numbers.
+    const reloaded = await loadStakingState(hre, staking);
+    expect(reloaded.obligations(now)).to.equal(simulator.obligations(now));
+  });
+
+  it("Should load lockup tiers and accrue tiered stakes at the boosted rate", async function () {
+    await token.approve(staking.target, ethers.parseEther("5000"));
+    await staking.addRewards(ethers.parseEther("5000"));
+    await staking.addLockupTier(90 * DAY, 15000);
+    const amount = ethers.parseEther("1000");
+    await token.connect(user1).approve(staking.target, amount);
+    await staking.connect(user1).stakeWithTier(amount, 1);
+    await stake(user2, amount);
+
+    const simulator = await loadStakingState(hre, staking);
+    await increaseTime(40 * DAY);
+    await changeParameter(0, 2000);
+    simulator.updateAPR(2000);
+    simulator.claimRewards(
+      user1.address,
+      await timestampOf(staking.connect(user1).claimRewards())
+    );
+
+    await increaseTime(60 * DAY);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    for (const user of [user1, user2]) {
+      const onChain = await staking.getStakeInfo(user.address);
+      const simulated = simulator.getStakeInfo(user.address, now);
+      expect(simulated.tierId).to.equal(onChain.tierId);
+      expect(simulated.lockupRemaining).to.equal(onChain.lockupRemaining);
+      expect(simulated.pendingRewards).to.equal(onChain.pendingRewards);
+    }
+    expect(() => simulator.stake(user1.address, amount, now)).to.throw(
+      "Stake is in a different lockup tier"
+    );
+  });
+
+  it("Should lock every deposit on its own, like the contract", async function () {
+    const simulator = await loadStakingState(hre, staking);
+    const first = ethers.parseEther("1");
+    const topUp = ethers.parseEther("1000");
+    simulator.stake(user1.address, first, await stake(user1, first));
+    await increaseTime(7 * DAY);
+    simulator.stake(user1.address, topUp, await stake(user1, topUp));
+
+    // A fresh load reads the positions back from getPositions.
+    const reloaded = await loadStakingState(hre, staking);
+    const now = (await ethers.provider.getBlock("latest")).timestamp + 1;
+    for (const sim of [simulator, reloaded]) {
+      expect(() => sim.clone().unStake(user1.address, topUp, now)).to.throw(
+        "Funds are still in lockup period"
+      );
+      expect(sim.getStakeInfo(user1.address, now).lockupRemaining).to.equal(
+        BigInt(7 * DAY - 1)
+      );
+    }
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [now]);
+    simulator.unStake(
+      user1.address,
+      first,
+      await timestampOf(staking.connect(user1).unStake(first))
+    );
+    expect(simulator.getStakeInfo(user1.address, now)).to.deep.include({
+      amount: topUp,
+      stakeTime: (await staking.getStakeInfo(user1.address)).stakeTime,
+    });
+  });
+
+  it("Should keep each position on the lockup it opened with", async function () {
+    const amount = ethers.parseEther("1000");
+    const simulator = await loadStakingState(hre, staking);
+    simulator.stake(user1.address, amount, await stake(user1, amount));
+
+    await changeParameter(1, 30 * DAY);
+    simulator.setLockupPeriod(30 * DAY);
+    simulator.stake(user1.address, amount, await stake(user1, amount));
+    expect(() => simulator.setLockupPeriod(366 * DAY)).to.throw(
+      "Lockup period too long"
+    );
+
+    await increaseTime(5 * DAY);
+    const reloaded = await loadStakingState(hre, staking);
+    const now = (await ethers.provider.getBlock("latest")).timestamp + 1;
+    const onChain = await staking.getStakeInfo(user1.address);
+    for (const sim of [simulator, reloaded]) {
+      expect(
+        sim.stakes[user1.address].positions.map((p) => p.lockupPeriod)
+      ).to.deep.equal([BigInt(7 * DAY), BigInt(30 * DAY)]);
+      expect(sim.getStakeInfo(user1.address, now - 1).lockupRemaining).to.equal(
+        onChain.lockupRemaining
+      );
+      // Only the first position has unlocked
+      sim.clone().unStake(user1.address, amount, now);
+    }
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [now]);
+    simulator.unStake(
+      user1.address,
+      amount,
+      await timestampOf(staking.connect(user1).unStake(amount))
+    );
+    expect(() => simulator.unStake(user1.address, 1n, now)).to.throw(
+      "Funds are still in lockup period"
+    );
+  });
+
+  it("Should not unstake past an older position that is still locked", async function () {
+    const amount = ethers.parseEther("1000");
+    await changeParameter(1, 30 * DAY);
+    await stake(user1, amount);
+    await changeParameter(1, DAY);
+    await stake(user1, amount);
+    await increaseTime(2 * DAY);
+
+    // The newer position has unlocked, but unStake takes the oldest first.
+    const simulator = await loadStakingState(hre, staking);
+    const now = (await ethers.provider.getBlock("latest")).timestamp + 1;
+    await ethers.provider.send("evm_setNextBlockTimestamp", [now]);
+    await expect(staking.connect(user1).unStake(1n)).to.be.revertedWith(
+      "Funds are still in lockup period"
+    );
+    expect(() => simulator.unStake(user1.address, 1n, now)).to.throw(
+      "Funds are still in lockup period"
+    );
+    expect(simulator.stakes[user1.address].amount).to.equal(amount * 2n);
+  });
+
+  it("Should reject a zero unstake like the contract", async function () {
+    await stake(user1, ethers.parseEther("1000"));
+    await expect(staking.connect(user1).unStake(0n)).to.be.revertedWith(
+      "Amount must be greater than 0"
+    );
+
+    const simulator = await loadStakingState(hre, staking);
+    const start = (await ethers.provider.getBlock("latest")).timestamp;
+    const { reverted } = projectRewards(simulator, {
+      start,
+      horizon: 30 * DAY,
+      actions: [
+        {
+          at: start + 10 * DAY,
+          action: "unStake",
+          user: user1.address,
+          amount: 0n,
+        },
+      ],
+    });
+    expect(reverted).to.have.lengthOf(1);
+    expect(reverted[0].reason).to.equal("Amount must be greater than 0");
+  });
+
+  it("Should load locked NFTs and accrue the boost", async function () {
+    await token.approve(staking.target, ethers.parseEther("5000"));
+    await staking.addRewards(ethers.parseEther("5000"));
+    const amount = ethers.parseEther("1000");
+    await stake(user1, amount);
+    await increaseTime(7 * DAY);
+    await staking.connect(user1).unStake(ethers.parseEther("400"));
+    await changeParameter(2, 400);
+    const nft = await ethers.getContractAt(
+      "StakingRewardNFT",
+      await staking.rewardNFT()
+    );
+    await nft.connect(user1).approve(staking.target, 1);
+    await staking.connect(user1).lockNft(1);
+
+    const simulator = await loadStakingState(hre, staking);
+    expect(simulator.stakes[user1.address].nftLocked).to.equal(true);
+    await increaseTime(30 * DAY);
+    simulator.claimRewards(
+      user1.address,
+      await timestampOf(staking.connect(user1).claimRewards())
+    );
+    await increaseTime(30 * DAY);
+
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    // A week of the 180 days for the full boost is 400 * 7 / 180 = 15 bps,
+    // and the NFT's 400 tokens only cover two thirds of the 600 staked.
+    expect(simulator.stakes[user1.address].lastRewardRate).to.equal(1010n);
+    expect(simulator.getStakeInfo(user1.address, now).pendingRewards).to.equal(
+      (await staking.getStakeInfo(user1.address)).pendingRewards
+    );
+  });
+
+  it("Should report the exact second the reward pool becomes insolvent", async function () {
+    await token.approve(staking.target, ethers.parseEther("10"));
+    await staking.addRewards(ethers.parseEther("10"));
+    await stake(user1, ethers.parseEther("1000"));
+    await stake(user2, ethers.parseEther("333"));
+
+    const simulator = await loadStakingState(hre, staking);
+    const start = (await ethers.provider.getBlock("latest")).timestamp;
+    const { insolventAt } = projectRewards(simulator, {
+      start,
+      horizon: 365 * DAY,
+    });
+
+    // 1333 tokens at 10% APR owe 10 tokens after roughly 27 days.
+    expect(insolventAt - start).to.be.closeTo(27 * DAY, DAY);
+
+    const owedAt = async (timestamp) => {
+      await ethers.provider.send("evm_mine", [timestamp]);
+      const blockTag = await ethers.provider.getBlockNumber();
+      let owed = 0n;
+      for (const user of [user1, user2]) {
+        owed += (await staking.getStakeInfo(user.address, { blockTag }))
+          .pendingRewards;
+      }
+      return owed;
+    };
+    const pool = await staking.rewardPool();
+    expect(await owedAt(insolventAt - 1)).to.be.at.most(pool);
+    expect(await owedAt(insolventAt)).to.be.above(pool);
+  });
+
+  it("Should project hypothetical deposits, APR and lockup changes", async function () {
+    await token.approve(staking.target, ethers.parseEther("1000"));
+    await staking.addRewards(ethers.parseEther("1000"));
+    await stake(user1, ethers.parseEther("10000"));
+
+    const baseline = await projectRunway(hre, {
+      stakingAddress: staking.target,
+      horizon: "730d",
+    });
+    const withScenario = await projectRunway(hre, {
+      stakingAddress: staking.target,
+      horizon: "730d",
+      scenario: [
+        { after: "10d", action: "updateAPR", bps: 2000 },
+        { after: "10d", action: "claimRewards", user: user1.address },
+        { after: "15d", action: "setLockupPeriod", period: "30d" },
+        { after: "20d", action: "stake", user: "whale", amount: "50000" },
+        { after: "30d", action: "unStake", user: "whale", amount: "50000" },
+      ],
+    });
+
+    // 10000 tokens at 10% owe 1000 tokens after a year.
+    expect(baseline.insolventAt - baseline.start).to.be.closeTo(365 * DAY, DAY);
+    expect(withScenario.insolventAt).to.be.below(baseline.insolventAt);
+    expect(withScenario.reverted).to.have.lengthOf(1);
+    expect(withScenario.reverted[0]).to.include({
+      action: "unStake",
+      user: "whale",
+      reason: "Funds are still in lockup period",
+    });
+    // Nothing was sent on chain.
+    expect(await staking.rewardRate()).to.equal(1000n);
+  });
+
+  it("Should project parameter changes queued on chain", async function () {
+    await token.approve(staking.target, ethers.parseEther("1000"));
+    await staking.addRewards(ethers.parseEther("1000"));
+    await stake(user1, ethers.parseEther("10000"));
+    await staking.queueParameterChange(0, 2000);
+
+    const { samples } = await projectRunway(hre, {
+      stakingAddress: staking.target,
+      horizon: "30d",
+      step: "10d",
+    });
+
+    expect(samples.map((sample) => sample.rewardRate)).to.deep.equal([
+      1000n,
+      2000n,
+      2000n,
+      2000n,
+    ]);
+    expect(await staking.rewardRate()).to.equal(1000n);
+  });
+
+  it("Should apply an NFT boost change like the contract", function () {
+    const simulator = new StakingSimulator({
+      rewardRate: 1000,
+      lockupPeriod: 0,
+      stakes: {
+        a: {
+          amount: ethers.parseEther("1000"),
+          stakeTime: 0,
+          lastRewardTime: 0,
+          pendingRewards: 0,
+          lastRewardRate: 1000,
+          nftLocked: true,
+        },
+      },
+    });
+
+    const { reverted } = projectRewards(simulator, {
+      start: 0,
+      horizon: DAY,
+      actions: [
+        { at: 0, action: "setNftBoost", bps: 1001 },
+        { at: 0, action: "setNftBoost", bps: 300 },
+      ],
+    });
+    expect(reverted).to.deep.equal([
+      { at: 0, action: "setNftBoost", bps: 1001, reason: "NFT boost too high" },
+    ]);
+
+    simulator.setNftBoost(300);
+    simulator.updateRewards("a", DAY);
+    expect(simulator.stakes.a.lastRewardRate).to.equal(1300n);
+  });
+
+  it("Should keep existing stakers on their old rate until they interact", function () {
+    const simulator = new StakingSimulator({
+      rewardRate: 1000,
+      lockupPeriod: 0,
+      rewardPool: ethers.parseEther("1000000"),
+    });
+    simulator.stake("a", ethers.parseEther("1000"), 0);
+    simulator.stake("b", ethers.parseEther("1000"), 0);
+
+    const year = 365 * DAY;
+    const { samples } = projectRewards(simulator, {
+      start: 0,
+      horizon: 2 * year,
+      step: year,
+      actions: [
+        { at: year, action: "updateAPR", bps: 2000 },
+        { at: year, action: "claimRewards", user: "a" },
+      ],
+    });
+
+    // "a" claimed 100 at the change and earns 200 in year two; "b" never
+    // checkpointed and keeps earning 100 a year.
+    expect(samples[2].obligations).to.equal(
+      ethers.parseEther("200") + ethers.parseEther("200")
+    );
+    expect(samples[2].rewardPool).to.equal(ethers.parseEther("999900"));
+  });
+
+  it("Should compound like the contract", async function () {
+    await token.approve(staking.target, ethers.parseEther("1000"));
+    await staking.addRewards(ethers.parseEther("1000"));
+    const amount = ethers.parseEther("5000");
+    const simulator = await loadStakingState(hre, staking);
+    simulator.stake(user1.address, amount, await stake(user1, amount));
+
+    await increaseTime(100 * DAY);
+    simulator.compound(
+      user1.address,
+      await timestampOf(staking.connect(user1).compound())
+    );
+
+    expect(simulator.stakes[user1.address].amount).to.equal(
+      (await staking.getStakeInfo(user1.address)).amount
+    );
+    expect(simulator.totalStaked).to.equal(await staking.totalStaked());
+    expect(simulator.rewardPool).to.equal(await staking.rewardPool());
+  });
+
+  it("Should print the projection from the staking:runway task", async function () {
+    const output = [];
+    console.log = (...args) => output.push(args.join(" "));
+    await token.approve(staking.target, ethers.parseEther("1"));
+    await staking.addRewards(ethers.parseEther("1"));
+    await stake(user1, ethers.parseEther("1000"));
+
+    const { insolventAt } = await hre.run("staking:runway", {
+      address: staking.target,
+      horizon: "30d",
+      step: "10d",
+      apr: "5000",
+    });
+
+    expect(insolventAt).to.not.equal(null);
+    expect(output).to.include("Current APR: 1000 bps (10% APR)");
+    expect(output.filter((line) => line.includes("  owed ")).length).to.equal(
+      4
+    );
+    expect(output.find((line) => line.includes("insolvent at"))).to.match(
+      /^\n❌ Reward pool becomes insolvent at .* \(in 3d/
+    );
+  });
+});
@@ -0,0 +1,470 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("Staking tasks", function () {
+  const DAY = 24 * 60 * 60;
+
+  let owner, user1;
+  let stakingToken;
+  let staking;
+  let stakingAddress;
+  let output;
+  let originalLog;
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  };
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    stakingToken = await MockERC20.deploy(
+      "Staking Token",
+      "STK",
+      owner.address,
+      ethers.parseEther("1000000")
+    );
+
+    const TokenStaking = await ethers.getContractFactory("TokenStaking");
+    staking = await TokenStaking.deploy(
+      stakingToken.target,
+      stakingToken.target,
+      1000,
+      7 * DAY
+    );
+    stakingAddress = staking.target;
+
+    output = [];
+    originalLog = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  it("Should approve and stake human-readable amounts", async function () {
+    await hre.run("staking:approve-and-stake", {
+      amount: "1234.5",
+      address: stakingAddress,
+    });
+
+    const info = await staking.getStakeInfo(owner.address);
+    expect(info.amount).to.equal(ethers.parseEther("1234.5"));
+    expect(await staking.totalStaked()).to.equal(ethers.parseEther("1234.5"));
+  });
+
+  it("Should check the stake before sending the approval", async function () {
+    await expect(
+      hre.run("staking:approve-and-stake", {
+        amount: "2000000",
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith("Stake would revert: Insufficient balance!");
+    await expect(
+      hre.run("staking:approve-and-stake", {
+        amount: "100",
+        tier: 1,
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith("Stake would revert: Invalid lockup tier");
+    expect(
+      await stakingToken.allowance(owner.address, stakingAddress)
+    ).to.equal(0n);
+  });
+
+  it("Should preflight an unstake before sending it", async function () {
+    await hre.run("staking:approve-and-stake", {
+      amount: "1000",
+      address: stakingAddress,
+    });
+
+    await expect(
+      hre.run("staking:unstake", { amount: "400", address: stakingAddress })
+    ).to.be.rejectedWith(
+      "Unstake would revert: Funds are still in lockup period"
+    );
+    await increaseTime(7 * DAY + 1);
+    await expect(
+      hre.run("staking:unstake", { amount: "1001", address: stakingAddress })
+    ).to.be.rejectedWith("Unstake would revert: Insufficient staked amounts");
+    expect((await staking.getStakeInfo(owner.address)).amount).to.equal(
+      ethers.parseEther("1000")
+    );
+  });
+
+  it("Should pretty-print stake info with the lockup as a duration", async function () {
+    await hre.run("staking:approve-and-stake", {
+      amount: "1000",
+      address: stakingAddress,
+    });
+    await increaseTime(DAY + 30);
+    output = [];
+
+    const info = await hre.run("staking:info", {
+      user: owner.address,
+      address: stakingAddress,
+    });
+
+    expect(info.amount).to.equal(ethers.parseEther("1000"));
+    expect(output).to.include("Staked: 1000.0 STK");
+    expect(
+      output.find((line) => line.startsWith("Lockup remaining:"))
+    ).to.match(/^Lockup remaining: 5d 23h 59m \d{1,2}s$/);
+    expect(output).to.include("Current APR: 1000 bps (10% APR)");
+  });
+
+  it("Should show an unlocked position for accounts that never staked", async function () {
+    await hre.run("staking:info", {
+      user: user1.address,
+      address: stakingAddress,
+    });
+
+    expect(output).to.include("Stake time: never staked");
+    expect(output).to.include("Lockup remaining: unlocked");
+  });
+
+  it("Should add rewards, claim and unstake", async function () {
+    await hre.run("staking:add-rewards", {
+      amount: "500",
+      address: stakingAddress,
+    });
+    expect(await staking.rewardPool()).to.equal(ethers.parseEther("500"));
+
+    await hre.run("staking:approve-and-stake", {
+      amount: "1000",
+      address: stakingAddress,
+    });
+    await increaseTime(7 * DAY + 1);
+
+    await hre.run("staking:claim", { address: stakingAddress });
+    expect((await staking.getStakeInfo(owner.address)).pendingRewards).to.equal(
+      0n
+    );
+
+    await hre.run("staking:unstake", {
+      amount: "400",
+      address: stakingAddress,
+    });
+    expect((await staking.getStakeInfo(owner.address)).amount).to.equal(
+      ethers.parseEther("600")
+    );
+  });
+
+  it("Should compound pending rewards into the stake", async function () {
+    await stakingToken.approve(stakingAddress, ethers.parseEther("1000"));
+    await staking.addRewards(ethers.parseEther("1000"));
+    await hre.run("staking:approve-and-stake", {
+      amount: "1000",
+      address: stakingAddress,
+    });
+    await increaseTime(30 * DAY);
+
+    const compounded = await hre.run("staking:compound", {
+      address: stakingAddress,
+    });
+
+    expect(compounded).to.be.closeTo(
+      ethers.parseEther("8.22"),
+      ethers.parseEther("0.01")
+    );
+    expect((await staking.getStakeInfo(owner.address)).amount).to.equal(
+      ethers.parseEther("1000") + compounded
+    );
+    expect(output.find((line) => line.startsWith("Restaked:"))).to.match(
+      /^Restaked: 8\.2\d* STK$/
+    );
+  });
+
+  it("Should list positions and unstake from a chosen one", async function () {
+    await hre.run("staking:approve-and-stake", {
+      amount: "100",
+      address: stakingAddress,
+    });
+    await increaseTime(7 * DAY);
+    await hre.run("staking:approve-and-stake", {
+      amount: "250",
+      address: stakingAddress,
+    });
+
+    output.length = 0;
+    await hre.run("staking:info", { address: stakingAddress });
+    expect(output).to.include("  Position 0: 100.0 STK unlocked (7d lockup)");
+    expect(output.find((line) => line.startsWith("  Position 1:"))).to.match(
+      /^ {2}Position 1: 250\.0 STK locked for (7d|6d 23h 59m \d+s) \(7d lockup\)$/
+    );
+
+    await expect(
+      hre.run("staking:unstake", {
+        amount: "250",
+        position: 1,
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith(
+      "Unstake would revert: Funds are still in lockup period"
+    );
+    await hre.run("staking:unstake", {
+      amount: "100",
+      position: 0,
+      address: stakingAddress,
+    });
+    expect(
+      (await staking.getPositions(owner.address)).map((position) => position.id)
+    ).to.deep.equal([1n]);
+  });
+
+  it("Should queue the NFT boost and lock and unlock a reward NFT", async function () {
+    await hre.run("staking:approve-and-stake", {
+      amount: "100",
+      address: stakingAddress,
+    });
+    await increaseTime(36 * DAY);
+    await hre.run("staking:unstake", { amount: "25", address: stakingAddress });
+
+    await hre.run("staking:set-nft-boost", {
+      bps: "250",
+      address: stakingAddress,
+    });
+    expect(await staking.nftBoostBps()).to.equal(0n);
+    await increaseTime(2 * DAY);
+    await hre.run("staking:execute-change", {
+      parameter: "nftBoost",
+      address: stakingAddress,
+    });
+    expect(output).to.include(
+      "⏩ Applying the nftBoost change to 250 bps (2.5% APR)..."
+    );
+    await expect(
+      hre.run("staking:lock-nft", { id: 2, address: stakingAddress })
+    ).to.be.rejectedWith(
+      `Lock NFT would revert: Reward NFT #2 is not owned by ${owner.address}`
+    );
+    await hre.run("staking:lock-nft", { id: 1, address: stakingAddress });
+    expect(await staking.lockedNft(owner.address)).to.equal(1n);
+
+    output.length = 0;
+    await hre.run("staking:info", { address: stakingAddress });
+    // The NFT records a 36 day stake, a fifth of the full boost duration, and
+    // its 25 tokens cover a third of the 75 still staked
+    expect(output).to.include("Locked NFT: #1 (+16 bps (0.16% APR))");
+
+    // A failed lock leaves no approval behind.
+    await hre.run("staking:unstake", { amount: "1", address: stakingAddress });
+    await expect(
+      hre.run("staking:lock-nft", { id: 2, address: stakingAddress })
+    ).to.be.rejectedWith("Lock NFT would revert: An NFT is already locked");
+    const nft = await ethers.getContractAt(
+      "StakingRewardNFT",
+      await staking.rewardNFT()
+    );
+    expect(await nft.getApproved(2)).to.equal(ethers.ZeroAddress);
+
+    await hre.run("staking:unlock-nft", { address: stakingAddress });
+    await expect(
+      hre.run("staking:unlock-nft", { address: stakingAddress })
+    ).to.be.rejectedWith("Unlock NFT would revert: No NFT locked");
+    await expect(
+      hre.run("staking:set-nft-boost", { bps: "5000", address: stakingAddress })
+    ).to.be.rejectedWith(
+      "Queue NFT boost change would revert: NFT boost too high"
+    );
+  });
+
+  it("Should enable emergency mode and exit a locked stake", async function () {
+    await hre.run("staking:approve-and-stake", {
+      amount: "100",
+      address: stakingAddress,
+    });
+    await expect(
+      hre.run("staking:emergency", { address: stakingAddress })
+    ).to.be.rejectedWith("Pass exactly one of --enable or --disable");
+    await expect(
+      hre.run("staking:emergency-exit", { address: stakingAddress })
+    ).to.be.rejectedWith(
+      "Emergency exit would revert: Emergency mode is not enabled"
+    );
+
+    await hre.run("staking:emergency", {
+      enable: true,
+      address: stakingAddress,
+    });
+    output.length = 0;
+    await hre.run("staking:info", { address: stakingAddress });
+    expect(output).to.include(
+      "🚨 Emergency mode: staking is closed, stakers can exit without rewards"
+    );
+
+    const { amount } = await hre.run("staking:emergency-exit", {
+      address: stakingAddress,
+    });
+    expect(amount).to.equal(ethers.parseEther("100"));
+    expect(await staking.totalStaked()).to.equal(0n);
+
+    await hre.run("staking:emergency", {
+      disable: true,
+      address: stakingAddress,
+    });
+    expect(await staking.emergencyMode()).to.equal(false);
+  });
+
+  it("Should update the APR and reject values outside the contract bounds", async function () {
+    await hre.run("staking:set-apr", { bps: "2500", address: stakingAddress });
+    expect(await staking.rewardRate()).to.equal(1000n);
+    await expect(
+      hre.run("staking:execute-change", {
+        parameter: "apr",
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith(
+      "Execute parameter change would revert: Change is not effective yet"
+    );
+
+    await increaseTime(2 * DAY);
+    await hre.run("staking:execute-change", {
+      parameter: "apr",
+      address: stakingAddress,
+    });
+    expect(await staking.rewardRate()).to.equal(2500n);
+
+    await expect(
+      hre.run("staking:set-apr", { bps: "6000", address: stakingAddress })
+    ).to.be.rejectedWith("APR must be between 100 and 5000");
+  });
+
+  it("Should switch to fixed budget rewards and fund a period", async function () {
+    await expect(
+      hre.run("staking:set-mode", { mode: "budget", address: stakingAddress })
+    ).to.be.rejectedWith('Reward mode must be one of apr, fixed, got "budget"');
+
+    await hre.run("staking:set-mode", {
+      mode: "fixed",
+      address: stakingAddress,
+    });
+    expect(await staking.rewardMode()).to.equal(1n);
+
+    await hre.run("staking:fund-period", {
+      amount: "3000",
+      duration: "30d",
+      address: stakingAddress,
+    });
+    expect(await staking.rewardPool()).to.equal(ethers.parseEther("3000"));
+    expect(await staking.emissionRate()).to.equal(
+      ethers.parseEther("3000") / BigInt(30 * DAY)
+    );
+
+    output.length = 0;
+    await hre.run("staking:info", {
+      user: owner.address,
+      address: stakingAddress,
+    });
+    expect(output.join("\n")).to.include("Reward mode: fixed budget");
+    expect(output.join("\n")).not.to.include("Current APR");
+
+    await expect(
+      hre.run("staking:set-mode", { mode: "apr", address: stakingAddress })
+    ).to.be.rejectedWith(
+      "Set reward mode would revert: Reward period still active"
+    );
+  });
+
+  it("Should add, list and disable lockup tiers and stake into one", async function () {
+    const tierId = await hre.run("staking:add-tier", {
+      period: "90d",
+      multiplier: "15000",
+      address: stakingAddress,
+    });
+    expect(tierId).to.equal(1n);
+
+    await hre.run("staking:approve-and-stake", {
+      amount: "100",
+      tier: 1,
+      address: stakingAddress,
+    });
+    const info = await hre.run("staking:info", { address: stakingAddress });
+    expect(info.tierId).to.equal(1n);
+    expect(output).to.include("Lockup tier: 1");
+
+    await hre.run("staking:disable-tier", { tier: 1, address: stakingAddress });
+    output.length = 0;
+    await hre.run("staking:tiers", { address: stakingAddress });
+    expect(output).to.deep.equal([
+      "🔒 Default: 7d lockup at 1000 bps (10% APR)",
+      "Tier 1: 90d lockup at 1500 bps (15% APR) (1.5x) [disabled]",
+    ]);
+
+    await expect(
+      hre.run("staking:approve-and-stake", {
+        amount: "100",
+        tier: 1,
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith("Stake would revert: Lockup tier is disabled");
+  });
+
+  it("Should set the lockup from a duration string", async function () {
+    const setLockup = async (period) => {
+      await hre.run("staking:set-lockup", { period, address: stakingAddress });
+      await increaseTime(2 * DAY);
+      await hre.run("staking:execute-change", {
+        parameter: "lockup",
+        address: stakingAddress,
+      });
+    };
+
+    await setLockup("1d 12h");
+    expect(await staking.lockupPeriod()).to.equal(BigInt(DAY + DAY / 2));
+
+    await setLockup("3600");
+    expect(await staking.lockupPeriod()).to.equal(3600n);
+  });
+
+  it("Should show and cancel a queued parameter change", async function () {
+    const effectiveTime = await hre.run("staking:set-lockup", {
+      period: "30d",
+      address: stakingAddress,
+    });
+    const effectiveFrom = new Date(Number(effectiveTime) * 1000).toISOString();
+    expect(output).to.include(
+      `Effective from ${effectiveFrom}; run staking:execute-change --parameter lockup then`
+    );
+
+    await hre.run("staking:info", { address: stakingAddress });
+    expect(output).to.include(
+      `⏳ Queued lockup change to 30d, effective from ${effectiveFrom}`
+    );
+
+    await expect(
+      hre.run("staking:cancel-change", {
+        parameter: "period",
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith(
+      'Parameter must be one of apr, lockup, nftBoost, got "period"'
+    );
+    await hre.run("staking:cancel-change", {
+      parameter: "lockup",
+      address: stakingAddress,
+    });
+    expect((await staking.pendingChanges(1)).effectiveTime).to.equal(0n);
+    await expect(
+      hre.run("staking:cancel-change", {
+        parameter: "lockup",
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith(
+      "Cancel parameter change would revert: No change queued"
+    );
+  });
+
+  it("Should reject zero amounts", async function () {
+    await expect(
+      hre.run("staking:approve-and-stake", {
+        amount: "0",
+        address: stakingAddress,
+      })
+    ).to.be.rejectedWith("Amount must be greater than 0");
+  });
+});
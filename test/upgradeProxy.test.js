@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployStaking } = require("../scripts/deployStaking");
+const { upgradeProxy } = require("../scripts/upgradeProxy");
+const { resolveStakingConfig } = require("../scripts/lib/config");
+
+describe("upgradeProxy script", function () {
+  let deploymentsDir;
+  let originalLog;
+  let user1, multisig;
+  let staking;
+  let stakingAddress;
+
+  const readManifest = () =>
+    JSON.parse(
+      fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8")
+    );
+
+  const deploy = (upgradeable, roles = {}) =>
+    deployStaking(hre, {
+      deploymentsDir,
+      config: resolveStakingConfig(
+        {
+          token: { initialSupply: "1000000000" },
+          staking: {
+            aprBps: 1000,
+            lockupPeriod: 5,
+            rewardAmount: "1000000",
+            upgradeable,
+          },
+          roles: { staking: roles },
+        },
+        "hardhat"
+      ),
+    });
+
+  beforeEach(async function () {
+    [, user1, multisig] = await hre.ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("With the deployer as admin", function () {
+    beforeEach(async function () {
+      const result = await deploy(true);
+      stakingAddress = result.stakingAddress;
+      staking = await hre.ethers.getContractAt("TokenStaking", stakingAddress);
+
+      const token = await hre.ethers.getContractAt(
+        "MyToken",
+        result.tokenAddress
+      );
+      await token.transfer(user1.address, hre.ethers.parseEther("1000"));
+      await token
+        .connect(user1)
+        .approve(stakingAddress, hre.ethers.parseEther("1000"));
+      await staking.connect(user1).stake(hre.ethers.parseEther("1000"));
+    });
+
+    it("Should upgrade the recorded proxy and keep the stakes", async function () {
+      const before = readManifest().contracts.TokenStaking;
+      const stake = await staking.stakes(user1.address);
+
+      const result = await upgradeProxy(hre, {
+        name: "TokenStaking",
+        contract: "TokenStakingUpgradeableV2",
+        deploymentsDir,
+      });
+
+      expect(result.upgraded).to.be.true;
+      const entry = readManifest().contracts.TokenStaking;
+      expect(entry.address).to.equal(stakingAddress);
+      expect(entry.contract).to.equal("TokenStakingUpgradeableV2");
+      expect(entry.proxy.implementation).to.equal(result.implementation);
+      expect(entry.proxy.implementation).to.not.equal(
+        before.proxy.implementation
+      );
+      expect(entry.proxy.upgrades).to.have.lengthOf(1);
+      expect(entry.proxy.upgrades[0]).to.deep.include({
+        from: "TokenStakingUpgradeable",
+        fromImplementation: before.proxy.implementation,
+      });
+
+      const upgraded = await hre.ethers.getContractAt(
+        "TokenStakingUpgradeableV2",
+        stakingAddress
+      );
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.stakes(user1.address)).to.deep.equal(stake);
+      expect(await upgraded.rewardPool()).to.equal(
+        hre.ethers.parseEther("1000000")
+      );
+    });
+
+    it("Should stop at the storage layout check for an incompatible implementation", async function () {
+      const implementation =
+        await hre.upgrades.erc1967.getImplementationAddress(stakingAddress);
+
+      for (const validateOnly of [true, false]) {
+        await expect(
+          upgradeProxy(hre, {
+            name: "TokenStaking",
+            contract: "TokenStakingUpgradeableBroken",
+            validateOnly,
+            deploymentsDir,
+          })
+        ).to.be.rejectedWith("New storage layout is incompatible");
+      }
+      expect(
+        await hre.upgrades.erc1967.getImplementationAddress(stakingAddress)
+      ).to.equal(implementation);
+    });
+
+    it("Should only validate when asked to", async function () {
+      const before = readManifest().contracts.TokenStaking;
+
+      const result = await upgradeProxy(hre, {
+        name: "TokenStaking",
+        contract: "TokenStakingUpgradeableV2",
+        validateOnly: true,
+        deploymentsDir,
+      });
+
+      expect(result.upgraded).to.be.false;
+      expect(readManifest().contracts.TokenStaking).to.deep.equal(before);
+    });
+  });
+
+  it("Should prepare the implementation when the deployer is not admin", async function () {
+    const result = await deploy(true, { DEFAULT_ADMIN: multisig.address });
+    const before = readManifest().contracts.TokenStaking;
+
+    const prepared = await upgradeProxy(hre, {
+      name: "TokenStaking",
+      contract: "TokenStakingUpgradeableV2",
+      deploymentsDir,
+    });
+
+    expect(prepared.upgraded).to.be.false;
+    expect(readManifest().contracts.TokenStaking).to.deep.equal(before);
+
+    const proxy = await hre.ethers.getContractAt(
+      "TokenStakingUpgradeable",
+      result.stakingAddress
+    );
+    await proxy
+      .connect(multisig)
+      .upgradeToAndCall(prepared.implementation, "0x");
+    expect(
+      await hre.upgrades.erc1967.getImplementationAddress(result.stakingAddress)
+    ).to.equal(prepared.implementation);
+  });
+
+  it("Should refuse contracts deployed without a proxy", async function () {
+    await deploy(false);
+
+    await expect(
+      upgradeProxy(hre, {
+        name: "TokenStaking",
+        contract: "TokenStakingUpgradeableV2",
+        deploymentsDir,
+      })
+    ).to.be.rejectedWith("was deployed without a proxy and cannot be upgraded");
+    await expect(
+      upgradeProxy(hre, {
+        name: "TokenVesting",
+        contract: "TokenVestingUpgradeableV2",
+        deploymentsDir,
+      })
+    ).to.be.rejectedWith('No TokenVesting recorded for network "hardhat"');
+  });
+});
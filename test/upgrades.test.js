@@ -0,0 +1,284 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+
+describe("Upgradeable proxies", function () {
+  const LOCKUP = 7 * 24 * 60 * 60;
+  let owner, user1, user2;
+  let token;
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy(
+      "Staking Token",
+      "STK",
+      owner.address,
+      ethers.parseEther("1000000")
+    );
+    await token.transfer(user1.address, ethers.parseEther("10000"));
+    await token.transfer(user2.address, ethers.parseEther("10000"));
+  });
+
+  describe("TokenStakingUpgradeable", function () {
+    let staking;
+    let rewardNFT;
+
+    // Everything a staker or the reward accounting relies on
+    const snapshot = async () => ({
+      stakes: await Promise.all(
+        [user1, user2].map(async (user) => [
+          (await staking.stakes(user.address)).toArray(),
+          // id, amount and stake time; lockupRemaining changes every block
+          (
+            await staking.getPositions(user.address)
+          ).map((position) => position.toArray().slice(0, 3)),
+          await staking.firstOpenPosition(user.address),
+        ])
+      ),
+      totalStaked: await staking.totalStaked(),
+      rewardPool: await staking.rewardPool(),
+      rewardRate: await staking.rewardRate(),
+      lockupPeriod: await staking.lockupPeriod(),
+      tiers: (await staking.getLockupTiers()).map((tier) => tier.toArray()),
+      rewardNFT: await staking.rewardNFT(),
+      admin: await staking.hasRole(ethers.ZeroHash, owner.address),
+    });
+
+    beforeEach(async function () {
+      const StakingRewardNFT = await ethers.getContractFactory(
+        "StakingRewardNFT"
+      );
+      rewardNFT = await StakingRewardNFT.deploy(
+        "Staking Reward NFT",
+        "SRNFT",
+        owner.address
+      );
+
+      const TokenStakingUpgradeable = await ethers.getContractFactory(
+        "TokenStakingUpgradeable"
+      );
+      staking = await upgrades.deployProxy(
+        TokenStakingUpgradeable,
+        [token.target, token.target, 1000, LOCKUP, rewardNFT.target],
+        { kind: "uups" }
+      );
+      await rewardNFT.grantRole(await rewardNFT.MINTER_ROLE(), staking.target);
+      await rewardNFT.renounceRole(ethers.ZeroHash, owner.address);
+
+      await token.approve(staking.target, ethers.parseEther("1000"));
+      await staking.addRewards(ethers.parseEther("1000"));
+      await staking.addLockupTier(2 * LOCKUP, 15000);
+
+      await token
+        .connect(user1)
+        .approve(staking.target, ethers.parseEther("1500"));
+      await staking.connect(user1).stake(ethers.parseEther("1000"));
+      await token
+        .connect(user2)
+        .approve(staking.target, ethers.parseEther("2000"));
+      await staking.connect(user2).stakeWithTier(ethers.parseEther("2000"), 1);
+      await increaseTime(3 * 24 * 60 * 60);
+      await staking.connect(user1).stake(ethers.parseEther("500"));
+    });
+
+    it("Should keep stakes, positions and the reward pool across an upgrade mid-stake", async function () {
+      const before = await snapshot();
+      const implementation = await upgrades.erc1967.getImplementationAddress(
+        staking.target
+      );
+
+      const V2 = await ethers.getContractFactory("TokenStakingUpgradeableV2");
+      await upgrades.validateUpgrade(staking.target, V2);
+      const upgraded = await upgrades.upgradeProxy(staking.target, V2);
+
+      expect(upgraded.target).to.equal(staking.target);
+      expect(
+        await upgrades.erc1967.getImplementationAddress(staking.target)
+      ).to.not.equal(implementation);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await snapshot()).to.deep.equal(before);
+
+      // The appended variable starts empty and does not overlap existing state
+      expect(await upgraded.maxStakePerUser()).to.equal(0n);
+      await upgraded.setMaxStakePerUser(ethers.parseEther("5000"));
+      expect(await snapshot()).to.deep.equal(before);
+
+      // The stakes keep working on the new implementation, including minting
+      // the reward NFT to the unchanged proxy address.
+      await increaseTime(LOCKUP);
+      const balance = await token.balanceOf(user1.address);
+      await upgraded.connect(user1).unStake(ethers.parseEther("1000"));
+      expect(await token.balanceOf(user1.address)).to.equal(
+        balance + ethers.parseEther("1000")
+      );
+      await upgraded.connect(user1).claimRewards();
+      expect(await token.balanceOf(user1.address)).to.be.greaterThan(
+        balance + ethers.parseEther("1000")
+      );
+      expect(await rewardNFT.ownerOf(1)).to.equal(user1.address);
+      expect(await upgraded.totalStaked()).to.equal(ethers.parseEther("2500"));
+    });
+
+    it("Should reject an implementation that shifts the storage layout", async function () {
+      const Broken = await ethers.getContractFactory(
+        "TokenStakingUpgradeableBroken"
+      );
+
+      await expect(
+        upgrades.validateUpgrade(staking.target, Broken)
+      ).to.be.rejectedWith("New storage layout is incompatible");
+      await expect(
+        upgrades.upgradeProxy(staking.target, Broken)
+      ).to.be.rejectedWith("New storage layout is incompatible");
+    });
+
+    it("Should stay upgradeable from the first deployed storage layout", async function () {
+      // TokenStakingUpgradeableV1 declares the storage proxies were first
+      // deployed with; every later version must be a valid upgrade from it
+      const V1 = await ethers.getContractFactory("TokenStakingUpgradeableV1");
+      for (const name of [
+        "TokenStakingUpgradeable",
+        "TokenStakingUpgradeableV2",
+      ]) {
+        await upgrades.validateUpgrade(
+          V1,
+          await ethers.getContractFactory(name),
+          { kind: "uups" }
+        );
+      }
+      await expect(
+        upgrades.validateUpgrade(
+          V1,
+          await ethers.getContractFactory("TokenStakingUpgradeableBroken"),
+          { kind: "uups" }
+        )
+      ).to.be.rejectedWith("New storage layout is incompatible");
+    });
+
+    it("Should only let DEFAULT_ADMIN upgrade", async function () {
+      const V2 = await ethers.getContractFactory("TokenStakingUpgradeableV2");
+      const implementation = await upgrades.prepareUpgrade(staking.target, V2);
+
+      await expect(
+        staking.connect(user1).upgradeToAndCall(implementation, "0x")
+      )
+        .to.be.revertedWithCustomError(
+          staking,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, ethers.ZeroHash);
+    });
+
+    it("Should not be initializable again", async function () {
+      await expect(
+        staking.initialize(
+          token.target,
+          token.target,
+          1000,
+          LOCKUP,
+          rewardNFT.target
+        )
+      ).to.be.revertedWithCustomError(staking, "InvalidInitialization");
+
+      const implementation = await ethers.getContractAt(
+        "TokenStakingUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(staking.target)
+      );
+      await expect(
+        implementation.initialize(
+          token.target,
+          token.target,
+          1000,
+          LOCKUP,
+          rewardNFT.target
+        )
+      ).to.be.revertedWithCustomError(staking, "InvalidInitialization");
+    });
+  });
+
+  describe("TokenVestingUpgradeable", function () {
+    const CLIFF = 30 * 24 * 60 * 60;
+    const DURATION = 300 * 24 * 60 * 60;
+    let vesting;
+
+    const snapshot = async () => ({
+      info: await Promise.all(
+        [user1, user2].map(async (user) =>
+          (await vesting.getVestingInfo(user.address)).toArray()
+        )
+      ),
+      schedule: [
+        await vesting.token(),
+        await vesting.cliffDuration(),
+        await vesting.vestingDuration(),
+        await vesting.releaseInterval(),
+        await vesting.startTime(),
+      ],
+      totalAllocated: await vesting.totalAllocated(),
+      outstandingAllocation: await vesting.outstandingAllocation(),
+      beneficiaries: await vesting.getBeneficiaries(),
+      treasury: await vesting.treasury(),
+      balance: await token.balanceOf(vesting.target),
+    });
+
+    beforeEach(async function () {
+      const TokenVestingUpgradeable = await ethers.getContractFactory(
+        "TokenVestingUpgradeable"
+      );
+      vesting = await upgrades.deployProxy(
+        TokenVestingUpgradeable,
+        [token.target, CLIFF, DURATION, 0],
+        { kind: "uups" }
+      );
+
+      await vesting.setBeneficiaries(
+        [user1.address, user2.address],
+        [ethers.parseEther("3000"), ethers.parseEther("6000")]
+      );
+      await token.approve(vesting.target, ethers.parseEther("9000"));
+      await vesting.fund(ethers.parseEther("9000"));
+      await increaseTime(CLIFF + DURATION / 3);
+      await vesting.release(user1.address);
+    });
+
+    it("Should keep allocations, releases and the schedule across an upgrade", async function () {
+      const before = await snapshot();
+
+      const V2 = await ethers.getContractFactory("TokenVestingUpgradeableV2");
+      const upgraded = await upgrades.upgradeProxy(vesting.target, V2);
+
+      expect(await upgraded.version()).to.equal("2");
+      const after = await snapshot();
+      expect(after.schedule).to.deep.equal(before.schedule);
+      expect(after.totalAllocated).to.equal(before.totalAllocated);
+      expect(after.outstandingAllocation).to.equal(
+        before.outstandingAllocation
+      );
+      expect(after.beneficiaries).to.deep.equal(before.beneficiaries);
+      expect(after.treasury).to.equal(before.treasury);
+      expect(after.balance).to.equal(before.balance);
+      // Allocation and released amount per beneficiary
+      expect(after.info.map((info) => info.slice(0, 2))).to.deep.equal(
+        before.info.map((info) => info.slice(0, 2))
+      );
+
+      await increaseTime(DURATION);
+      await upgraded.release(user1.address);
+      await upgraded.release(user2.address);
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("13000")
+      );
+      expect(await token.balanceOf(user2.address)).to.equal(
+        ethers.parseEther("16000")
+      );
+      expect(await upgraded.outstandingAllocation()).to.equal(0n);
+    });
+  });
+});
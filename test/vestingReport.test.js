@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { exportVestingReport } = require("../scripts/exportVestingReport");
+const { buildMerkleDistribution } = require("../scripts/lib/merkle");
+
+describe("Vesting report", function () {
+  const DAY = 24 * 60 * 60;
+  const CLIFF_DURATION = 30 * DAY;
+
+  let owner, beneficiary1, beneficiary2, beneficiary3;
+  let token;
+  let vesting;
+  let deployBlock;
+  let fundedBlock;
+  let outDir;
+  let originalLog;
+
+  const toTokens = (value) => ethers.parseUnits(value.toString(), 18);
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  beforeEach(async function () {
+    [owner, beneficiary1, beneficiary2, beneficiary3] =
+      await ethers.getSigners();
+
+    const tokenFactory = await ethers.getContractFactory("MockERC20");
+    token = await tokenFactory.deploy(
+      "Vesting Token",
+      "VEST",
+      owner.address,
+      toTokens(1000000)
+    );
+
+    const vestingFactory = await ethers.getContractFactory("TokenVesting");
+    vesting = await vestingFactory.deploy(token.target, CLIFF_DURATION, 0, 0);
+    deployBlock = (await vesting.deploymentTransaction().wait()).blockNumber;
+
+    await vesting.setBeneficiaries(
+      [beneficiary1.address, beneficiary2.address, beneficiary3.address],
+      [toTokens(1000), toTokens(2500.5), toTokens(500)]
+    );
+    await token.approve(vesting.target, toTokens(4000.5));
+    fundedBlock = (await (await vesting.fund(toTokens(4000.5))).wait())
+      .blockNumber;
+
+    await increaseTime(CLIFF_DURATION);
+    await vesting.release(beneficiary1.address);
+    await vesting.revokeBeneficiary(beneficiary3.address);
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it("Should write a CSV ledger with a totals row", async function () {
+    const { csvFile, report } = await exportVestingReport(hre, {
+      vestingAddress: vesting.target,
+      outDir,
+    });
+
+    expect(path.basename(csvFile)).to.equal(
+      `vesting-hardhat-${report.asOf.blockNumber}.csv`
+    );
+    const lines = fs.readFileSync(csvFile, "utf8").trim().split("\n");
+    const cliffEnd = new Date(
+      Number((await vesting.startTime()) + BigInt(CLIFF_DURATION)) * 1000
+    ).toISOString();
+
+    // Without a vesting duration everything is vested at the cliff.
+    const dates = `${cliffEnd},${cliffEnd}`;
+    expect(lines).to.deep.equal([
+      "beneficiary,allocation,vested,released,releasable,unreleased,revoked,cliffEnd,vestingEnd",
+      `${beneficiary1.address},1000.0,1000.0,1000.0,0.0,0.0,false,${dates}`,
+      `${beneficiary2.address},2500.5,2500.5,0.0,2500.5,2500.5,false,${dates}`,
+      `${beneficiary3.address},500.0,500.0,0.0,0.0,500.0,true,${dates}`,
+      "TOTAL,4000.5,4000.5,1000.0,2500.5,3000.5,,,",
+    ]);
+  });
+
+  it("Should write contract totals and base-unit amounts to JSON", async function () {
+    const { jsonFile } = await exportVestingReport(hre, {
+      vestingAddress: vesting.target,
+      outDir,
+    });
+    const report = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+
+    expect(report.token).to.deep.equal({
+      address: token.target,
+      symbol: "VEST",
+      decimals: 18,
+    });
+    expect(report.status).to.deep.equal({
+      isPaused: false,
+      isConfigured: true,
+      currentBalance: toTokens(3000.5).toString(),
+      totalAllocation: toTokens(4000.5).toString(),
+      totalVested: toTokens(4000.5).toString(),
+      totalReleased: toTokens(1000).toString(),
+      totalReleasable: toTokens(2500.5).toString(),
+      outstanding: toTokens(2500.5).toString(),
+      shortfall: "0",
+    });
+    expect(report.beneficiaries[1].releasable).to.equal(
+      toTokens(2500.5).toString()
+    );
+  });
+
+  it("Should report vested amounts along a linear schedule", async function () {
+    const vestingFactory = await ethers.getContractFactory("TokenVesting");
+    const linear = await vestingFactory.deploy(
+      token.target,
+      CLIFF_DURATION,
+      100 * DAY,
+      0
+    );
+    await linear.setBeneficiaries([beneficiary1.address], [toTokens(1000)]);
+    const cliffEnd = Number(await linear.startTime()) + CLIFF_DURATION;
+    await ethers.provider.send("evm_mine", [cliffEnd + 25 * DAY]);
+
+    const { report } = await exportVestingReport(hre, {
+      vestingAddress: linear.target,
+      outDir,
+    });
+
+    expect(report.beneficiaries[0].vested).to.equal(toTokens(250));
+    expect(report.status.totalVested).to.equal(toTokens(250));
+    expect(report.beneficiaries[0].vestingEnd).to.equal(
+      new Date((cliffEnd + 100 * DAY) * 1000).toISOString()
+    );
+  });
+
+  it("Should count unregistered Merkle beneficiaries as outstanding", async function () {
+    const vestingFactory = await ethers.getContractFactory("TokenVesting");
+    const merkle = await vestingFactory.deploy(
+      token.target,
+      CLIFF_DURATION,
+      0,
+      0
+    );
+    const distribution = buildMerkleDistribution({
+      beneficiaries: [beneficiary1.address, beneficiary2.address],
+      allocations: [toTokens(1000), toTokens(500)],
+    });
+    await merkle.setMerkleRoot(
+      distribution.merkleRoot,
+      distribution.totalAllocation
+    );
+    await token.approve(merkle.target, toTokens(1000));
+    await merkle.fund(toTokens(1000));
+
+    const { report } = await exportVestingReport(hre, {
+      vestingAddress: merkle.target,
+      outDir,
+    });
+
+    expect(report.beneficiaries).to.deep.equal([]);
+    expect(report.status.outstanding).to.equal(toTokens(1500));
+    expect(report.status.shortfall).to.equal(toTokens(500));
+  });
+
+  it("Should report the ledger as of a historical block", async function () {
+    const { report } = await exportVestingReport(hre, {
+      vestingAddress: vesting.target,
+      blockNumber: fundedBlock,
+      outDir,
+    });
+
+    expect(report.asOf.blockNumber).to.equal(fundedBlock);
+    expect(report.status.currentBalance).to.equal(toTokens(4000.5));
+    expect(report.status.totalReleased).to.equal(0n);
+    // Before the cliff nothing was releasable and nobody was revoked.
+    expect(report.status.totalReleasable).to.equal(0n);
+    expect(report.beneficiaries.map((row) => row.revoked)).to.deep.equal([
+      false,
+      false,
+      false,
+    ]);
+  });
+
+  it("Should export through the vesting:report task", async function () {
+    const { report, jsonFile } = await hre.run("vesting:report", {
+      address: vesting.target,
+      block: fundedBlock,
+      out: outDir,
+    });
+
+    expect(report.beneficiaries).to.have.lengthOf(3);
+    expect(fs.existsSync(jsonFile)).to.equal(true);
+  });
+
+  it("Should reject blocks before deployment or in the future", async function () {
+    await expect(
+      exportVestingReport(hre, {
+        vestingAddress: vesting.target,
+        blockNumber: deployBlock - 1,
+        outDir,
+      })
+    ).to.be.rejectedWith("was not deployed yet");
+
+    await expect(
+      exportVestingReport(hre, {
+        vestingAddress: vesting.target,
+        blockNumber: (await ethers.provider.getBlockNumber()) + 1000,
+        outDir,
+      })
+    ).to.be.rejectedWith("does not exist yet");
+  });
+});
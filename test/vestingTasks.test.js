@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { sendWithPreflight } = require("../tasks/helpers");
+
+describe("Vesting tasks", function () {
+  const DAY = 24 * 60 * 60;
+  const CLIFF_DURATION = 30 * DAY;
+
+  let owner, beneficiary1, beneficiary2, nonBeneficiary;
+  let token;
+  let vesting;
+  let address;
+  let output;
+  let originalLog;
+
+  const toTokens = (value) => ethers.parseUnits(value.toString(), 18);
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  beforeEach(async function () {
+    [owner, beneficiary1, beneficiary2, nonBeneficiary] =
+      await ethers.getSigners();
+
+    const tokenFactory = await ethers.getContractFactory("MockERC20");
+    token = await tokenFactory.deploy(
+      "Vesting Token",
+      "VEST",
+      owner.address,
+      toTokens(1000000)
+    );
+
+    const vestingFactory = await ethers.getContractFactory("TokenVesting");
+    vesting = await vestingFactory.deploy(token.target, CLIFF_DURATION, 0, 0);
+    address = vesting.target;
+
+    await vesting.setBeneficiaries(
+      [beneficiary1.address, beneficiary2.address],
+      [toTokens(1000), toTokens(3000)]
+    );
+
+    output = [];
+    originalLog = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  it("Should report the shortfall between balance and outstanding allocations", async function () {
+    await hre.run("vesting:fund", { amount: "2500", address });
+
+    const status = await hre.run("vesting:status", { address });
+
+    expect(status.outstanding).to.equal(toTokens(4000));
+    expect(status.currentBalance).to.equal(toTokens(2500));
+    expect(status.shortfall).to.equal(toTokens(1500));
+    expect(output).to.include("⚠️  Shortfall: 1500.0 VEST");
+  });
+
+  it("Should fund exactly the shortfall when no amount is given", async function () {
+    await hre.run("vesting:fund", { amount: "1000", address });
+    await hre.run("vesting:fund", { address });
+
+    expect(await token.balanceOf(address)).to.equal(toTokens(4000));
+    const status = await hre.run("vesting:status", { address });
+    expect(status.shortfall).to.equal(0n);
+  });
+
+  it("Should exclude revoked beneficiaries from outstanding allocations", async function () {
+    await hre.run("vesting:revoke", {
+      beneficiary: beneficiary2.address,
+      address,
+    });
+
+    const status = await hre.run("vesting:status", { address });
+    expect(status.outstanding).to.equal(toTokens(1000));
+    expect(await vesting.revoked(beneficiary2.address)).to.equal(true);
+
+    await hre.run("vesting:unrevoke", {
+      beneficiary: beneficiary2.address,
+      address,
+    });
+    expect(await vesting.revoked(beneficiary2.address)).to.equal(false);
+  });
+
+  it("Should claw back a revoked allocation to the treasury", async function () {
+    await hre.run("vesting:fund", { address });
+    await hre.run("vesting:treasury", {
+      treasury: nonBeneficiary.address,
+      address,
+    });
+
+    const result = await hre.run("vesting:revoke", {
+      beneficiary: beneficiary2.address,
+      clawback: true,
+      address,
+    });
+
+    expect(result.clawback).to.equal(toTokens(3000));
+    expect(await token.balanceOf(nonBeneficiary.address)).to.equal(
+      toTokens(3000)
+    );
+    expect(output).to.include("Returned to treasury: 3000.0 VEST");
+    await expect(
+      hre.run("vesting:unrevoke", {
+        beneficiary: beneficiary2.address,
+        address,
+      })
+    ).to.be.rejectedWith("Unrevoke would revert: Allocation was clawed back");
+  });
+
+  it("Should fund and add a beneficiary with its own start time", async function () {
+    await hre.run("vesting:fund", { address });
+    const start = Number(await vesting.startTime()) + 60 * DAY;
+
+    await hre.run("vesting:add", {
+      beneficiary: nonBeneficiary.address,
+      allocation: "500",
+      start,
+      fund: true,
+      address,
+    });
+    await hre.run("vesting:increase", {
+      beneficiary: nonBeneficiary.address,
+      amount: "250",
+      fund: true,
+      address,
+    });
+
+    expect(await vesting.allocations(nonBeneficiary.address)).to.equal(
+      toTokens(750)
+    );
+    expect(await vesting.cliffEndOf(nonBeneficiary.address)).to.equal(
+      BigInt(start + CLIFF_DURATION)
+    );
+    expect(await token.balanceOf(address)).to.equal(toTokens(4750));
+  });
+
+  it("Should reject additions the contract cannot cover", async function () {
+    await expect(
+      hre.run("vesting:add", {
+        beneficiary: nonBeneficiary.address,
+        allocation: "500",
+        start: 0,
+        address,
+      })
+    ).to.be.rejectedWith(
+      "Add beneficiaries would revert: Insufficient contract balance for total allocations"
+    );
+  });
+
+  it("Should format vesting info for a beneficiary", async function () {
+    const info = await hre.run("vesting:info", {
+      beneficiary: beneficiary1.address,
+      address,
+    });
+
+    expect(info.allocation).to.equal(toTokens(1000));
+    expect(output).to.include("Allocation: 1000.0 VEST");
+    expect(output).to.include("Releasable now: 0.0 VEST");
+    expect(output).to.include("Revoked: false");
+  });
+
+  it("Should show the revert reason before sending a release", async function () {
+    await hre.run("vesting:fund", { address });
+    const nonceBefore = await ethers.provider.getTransactionCount(
+      owner.address
+    );
+
+    await expect(
+      hre.run("vesting:release", { beneficiary: beneficiary1.address, address })
+    ).to.be.rejectedWith("Release would revert: Cliff period not reached");
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(
+      nonceBefore
+    );
+
+    await increaseTime(CLIFF_DURATION);
+    await hre.run("vesting:release", {
+      beneficiary: beneficiary1.address,
+      address,
+    });
+    expect(await token.balanceOf(beneficiary1.address)).to.equal(
+      toTokens(1000)
+    );
+  });
+
+  it("Should surface the revoked and paused reasons", async function () {
+    await hre.run("vesting:fund", { address });
+    await increaseTime(CLIFF_DURATION);
+
+    await hre.run("vesting:revoke", {
+      beneficiary: beneficiary1.address,
+      address,
+    });
+    await expect(
+      hre.run("vesting:release", { beneficiary: beneficiary1.address, address })
+    ).to.be.rejectedWith("Beneficiary is revoked");
+
+    await hre.run("vesting:pause", { address });
+    expect(await vesting.paused()).to.equal(true);
+    await expect(hre.run("vesting:pause", { address })).to.be.rejectedWith(
+      "Pause would revert: Contract already paused"
+    );
+    await expect(
+      hre.run("vesting:release", { beneficiary: beneficiary2.address, address })
+    ).to.be.rejectedWith("Contract is paused");
+
+    await hre.run("vesting:unpause", { address });
+    expect(await vesting.paused()).to.equal(false);
+  });
+
+  it("Should decode custom errors such as access control", async function () {
+    await expect(
+      sendWithPreflight("Pause", vesting.connect(nonBeneficiary), "pause")
+    ).to.be.rejectedWith(
+      `Pause would revert: AccessControlUnauthorizedAccount(${
+        nonBeneficiary.address
+      }, ${await vesting.PAUSER_ROLE()})`
+    );
+  });
+});